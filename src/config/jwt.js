@@ -0,0 +1,24 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Access tokens are short-lived and sent on every request; refresh tokens are
+// long-lived, stored server-side and rotated on every use. Attempt tickets let
+// the app take a test offline and prove later which attempt its answers are for.
+const jwtConfig = {
+  accessSecret: process.env.JWT_ACCESS_SECRET,
+  refreshSecret: process.env.JWT_REFRESH_SECRET,
+  ticketSecret: process.env.ATTEMPT_TICKET_SECRET,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+  refreshTokenTtl: process.env.REFRESH_TOKEN_TTL || "7d",
+  issuer: process.env.JWT_ISSUER || "testbank-backend",
+};
+
+if (!jwtConfig.accessSecret || !jwtConfig.refreshSecret) {
+  console.warn("⚠️ JWT_ACCESS_SECRET / JWT_REFRESH_SECRET are not set - token issuing will fail");
+}
+if (!jwtConfig.ticketSecret) {
+  console.warn("⚠️ ATTEMPT_TICKET_SECRET is not set - offline attempts are unavailable");
+}
+
+export default jwtConfig;
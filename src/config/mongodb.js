@@ -16,4 +16,33 @@ const connectDB = async () => {
   }
 };
 
+let transactionsSupported = true;
+
+/**
+ * 🔒 Run `fn(session)` in a transaction, retried on transient errors, and
+ * return what it returns. A standalone server (local development) can't run
+ * transactions: there `fn` runs once with a null session and the unique indexes
+ * are what keep concurrent writes apart.
+ */
+export async function withTransaction(fn) {
+  if (transactionsSupported) {
+    const session = await mongoose.startSession();
+    try {
+      let value;
+      await session.withTransaction(async () => {
+        value = await fn(session);
+      });
+      return value;
+    } catch (err) {
+      // IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+      if (err.code !== 20) throw err;
+      transactionsSupported = false;
+      console.warn("⚠️ MongoDB is not a replica set - running without transactions");
+    } finally {
+      await session.endSession();
+    }
+  }
+  return fn(null);
+}
+
 export default connectDB;
\ No newline at end of file
@@ -0,0 +1,31 @@
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Where uploaded question attachments and feedback files live.
+// STORAGE_DRIVER=local keeps them under UPLOAD_DIR (default ./public, where the
+// QuestionFile/ and CorrectFile/ folders already are); STORAGE_DRIVER=s3 uses
+// any S3-compatible service - set S3_ENDPOINT (and S3_FORCE_PATH_STYLE=true)
+// to point it at a local stand-in such as MinIO.
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || "local",
+  maxUploadBytes: (Number(process.env.MAX_UPLOAD_MB) || 10) * 1024 * 1024,
+  local: {
+    root: path.resolve(process.env.UPLOAD_DIR || "public"),
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  },
+};
+
+if (storageConfig.driver === "s3" && !storageConfig.s3.bucket) {
+  console.warn("⚠️ STORAGE_DRIVER=s3 but S3_BUCKET is not set - uploads will fail");
+}
+
+export default storageConfig;
@@ -0,0 +1,44 @@
+import { creditFor } from "../scoring.js";
+import { findMatch } from "../matching.js";
+
+// Key: question.blanks, one { answers } per {{n}} marker in the text. Answer:
+// one string per blank. Blanks are compared like identification answers (the
+// question's matching options apply) and `matchedRule` lists the rule per blank.
+// Proportional credit unless the question sets another scoringMode.
+
+export default {
+  normalizeAnswer(question, raw) {
+    const values = Array.isArray(raw) ? raw : [raw];
+    const filled = (question.blanks || []).map((_, index) => {
+      const value = values[index];
+      if (value === null || value === undefined || typeof value === "object") return null;
+      const text = String(value).trim();
+      return text ? text : null;
+    });
+    return filled.some(Boolean) ? filled : null;
+  },
+
+  grade(question, answer) {
+    const blanks = question.blanks || [];
+    const matchedRule = blanks.map((blank, index) => {
+      if (answer[index] === null) return null;
+      const match = findMatch(question, answer[index], blank.answers || []);
+      return match ? match.rule : null;
+    });
+
+    const correct = matchedRule.filter(Boolean).length;
+    const answered = answer.filter(value => value !== null).length;
+    return {
+      credit: creditFor(question, { correct, wrong: answered - correct, expected: blanks.length }, "proportional"),
+      matchedRule,
+    };
+  },
+
+  formatAnswer(question, answer) {
+    return answer.map(value => value ?? "—").join(", ");
+  },
+
+  formatKey(question) {
+    return (question.blanks || []).map(blank => (blank.answers || []).join(" / ")).join(", ");
+  },
+};
@@ -0,0 +1,56 @@
+import { normalizeText } from "../normalize.js";
+import { creditFor } from "../scoring.js";
+import { findMatch } from "../matching.js";
+
+// Key: question.answers (falls back to a correctAnswer array). Answer: list of
+// strings; order and case don't matter, duplicates count once. Each item is
+// compared with the question's matching options and can fill one expected item.
+// Credit follows the question's scoringMode; `matchedRule` lists the rule used
+// for each given item (null when it matched nothing).
+
+const expectedItems = (question) => {
+  const source = Array.isArray(question.answers) && question.answers.some(a => normalizeText(a))
+    ? question.answers
+    : Array.isArray(question.correctAnswer) ? question.correctAnswer : [];
+  return source.map(item => String(item).trim()).filter(Boolean);
+};
+
+export default {
+  normalizeAnswer(question, raw) {
+    const values = Array.isArray(raw) ? raw : [raw];
+    const items = values
+      // Older app builds send indexes into choices for enumeration
+      .map(value => (typeof value === "number" && Array.isArray(question.choices) ? question.choices[value] : value))
+      .filter(value => value !== null && value !== undefined)
+      .map(value => String(value).trim())
+      .filter(Boolean);
+    return items.length ? items : null;
+  },
+
+  grade(question, answer) {
+    const expected = [...new Map(expectedItems(question).map(item => [normalizeText(item), item])).values()];
+    const given = [...new Map(answer.map(item => [normalizeText(item), item])).values()];
+
+    const remaining = [...expected];
+    const matchedRule = given.map(item => {
+      const match = findMatch(question, item, remaining);
+      if (!match) return null;
+      remaining.splice(match.index, 1);
+      return match.rule;
+    });
+
+    const correct = matchedRule.filter(Boolean).length;
+    return {
+      credit: creditFor(question, { correct, wrong: given.length - correct, expected: expected.length }),
+      matchedRule,
+    };
+  },
+
+  formatAnswer(question, answer) {
+    return answer.join(", ");
+  },
+
+  formatKey(question) {
+    return expectedItems(question).join(", ");
+  },
+};
@@ -0,0 +1,24 @@
+// Essays can't be auto-graded: answers are queued as "pending" for an instructor
+// and earn nothing until they are scored.
+
+export default {
+  manual: true,
+
+  normalizeAnswer(question, raw) {
+    if (raw === null || raw === undefined) return null;
+    const text = String(raw).trim();
+    return text ? text : null;
+  },
+
+  grade() {
+    return { credit: 0 };
+  },
+
+  formatAnswer(question, answer) {
+    return answer;
+  },
+
+  formatKey(question) {
+    return question.answer || "";
+  },
+};
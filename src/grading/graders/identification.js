@@ -0,0 +1,33 @@
+import { findMatch } from "../matching.js";
+
+// Key: any of question.answers, correctAnswer or answer, compared with the
+// question's matching options (see ../matching.js). The rule that matched is
+// recorded on the result as `matchedRule`.
+
+const acceptedAnswers = (question) => {
+  const accepted = [...(question.answers || [])];
+  if (typeof question.correctAnswer === "string") accepted.push(question.correctAnswer);
+  if (typeof question.answer === "string") accepted.push(question.answer);
+  return [...new Set(accepted.map(a => String(a).trim()).filter(Boolean))];
+};
+
+export default {
+  normalizeAnswer(question, raw) {
+    if (raw === null || raw === undefined || typeof raw === "object") return null;
+    const text = String(raw).trim();
+    return text ? text : null;
+  },
+
+  grade(question, answer) {
+    const match = findMatch(question, answer, acceptedAnswers(question));
+    return { credit: match ? 1 : 0, matchedRule: match ? match.rule : null };
+  },
+
+  formatAnswer(question, answer) {
+    return answer;
+  },
+
+  formatKey(question) {
+    return acceptedAnswers(question).join(" / ");
+  },
+};
@@ -0,0 +1,44 @@
+import { normalizeText } from "../normalize.js";
+import { creditFor } from "../scoring.js";
+
+// Key: question.pairs ({ prompt, match }). Students see the prompts in order and
+// the matches shuffled. Answer: one entry per prompt, the chosen match as an
+// original pair index (mapped back from display indexes) or its text. Each right
+// pair counts; proportional credit unless the question sets another scoringMode.
+
+const toIndex = (pairs, value) => {
+  if (typeof value === "string" && /^\d+$/.test(value.trim())) value = Number(value);
+  if (Number.isInteger(value)) return value >= 0 && value < pairs.length ? value : null;
+  if (typeof value !== "string") return null;
+  const index = pairs.findIndex(pair => normalizeText(pair.match) === normalizeText(value));
+  return index === -1 ? null : index;
+};
+
+export default {
+  normalizeAnswer(question, raw) {
+    if (!Array.isArray(raw)) return null;
+    const pairs = question.pairs || [];
+    const chosen = pairs.map((_, position) => toIndex(pairs, raw[position]));
+    return chosen.some(index => index !== null) ? chosen : null;
+  },
+
+  grade(question, answer) {
+    const pairs = question.pairs || [];
+    // Compared by text so two prompts sharing the same match both count
+    const correct = answer.filter((index, position) =>
+      index !== null && normalizeText(pairs[index].match) === normalizeText(pairs[position].match)
+    ).length;
+    const answered = answer.filter(index => index !== null).length;
+    return { credit: creditFor(question, { correct, wrong: answered - correct, expected: pairs.length }, "proportional") };
+  },
+
+  formatAnswer(question, answer) {
+    return question.pairs
+      .map((pair, position) => `${pair.prompt} → ${answer[position] === null ? "—" : question.pairs[answer[position]].match}`)
+      .join("; ");
+  },
+
+  formatKey(question) {
+    return (question.pairs || []).map(pair => `${pair.prompt} → ${pair.match}`).join("; ");
+  },
+};
@@ -0,0 +1,55 @@
+import { resolveChoiceIndex } from "../normalize.js";
+import { creditFor } from "../scoring.js";
+
+// Key: correctAnswer as index, letter or choice text - or an array of them for
+// "select all that apply". Answer: original choice index or array of indexes
+// (already mapped back from any per-attempt shuffle). Multi-answer keys honour
+// the question's scoringMode; single-answer keys are always all-or-nothing.
+
+const keyIndexes = (question) => {
+  const key = question.correctAnswer;
+  if (key === undefined || key === null) return [];
+  const entries = Array.isArray(key) ? key : [key];
+  return [...new Set(entries.map(entry => resolveChoiceIndex(entry, question.choices || [])))]
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b);
+};
+
+const toIndex = (question, value) => {
+  if (typeof value === "string" && /^\d+$/.test(value.trim())) return Number(value);
+  if (typeof value === "number") return Number.isInteger(value) ? value : -1;
+  // Choice text is accepted too, but never a bare letter (the app sends indexes)
+  return typeof value === "string" ? (question.choices || []).indexOf(value) : -1;
+};
+
+const choiceText = (question, index) => question.choices?.[index] ?? `Option ${index + 1}`;
+
+export default {
+  normalizeAnswer(question, raw) {
+    const values = Array.isArray(raw) ? raw : [raw];
+    const indexes = [...new Set(values.map(value => toIndex(question, value)))]
+      .filter(index => index >= 0 && index < (question.choices || []).length)
+      .sort((a, b) => a - b);
+    if (indexes.length === 0) return null;
+    return Array.isArray(raw) ? indexes : indexes[0];
+  },
+
+  grade(question, answer) {
+    const expected = keyIndexes(question);
+    const given = Array.isArray(answer) ? answer : [answer];
+    const correct = given.filter(index => expected.includes(index)).length;
+    const counts = { correct, wrong: given.length - correct, expected: expected.length };
+    // One right answer: picking several is wrong, whatever the scoringMode says
+    if (expected.length === 1) return { credit: creditFor({}, counts) };
+    return { credit: creditFor(question, counts) };
+  },
+
+  formatAnswer(question, answer) {
+    const given = Array.isArray(answer) ? answer : [answer];
+    return given.map(index => choiceText(question, index)).join(", ");
+  },
+
+  formatKey(question) {
+    return keyIndexes(question).map(index => choiceText(question, index)).join(", ");
+  },
+};
@@ -0,0 +1,35 @@
+import { parseNumber } from "../matching.js";
+
+// Key: correctAnswer (a number) ± tolerance. Answers within partialTolerance
+// earn partialCredit (default half). A trailing `unit` on the answer is ignored.
+
+const unitsOf = (question) => (question.unit ? [question.unit] : []);
+const withUnit = (question, value) => (question.unit ? `${value} ${question.unit}` : String(value));
+
+export default {
+  normalizeAnswer(question, raw) {
+    if (typeof raw === "object") return null;
+    return parseNumber(raw, unitsOf(question));
+  },
+
+  grade(question, answer) {
+    const expected = parseNumber(question.correctAnswer);
+    if (expected === null) return { credit: 0 };
+
+    const difference = Math.abs(answer - expected);
+    if (difference <= (question.tolerance || 0) + Number.EPSILON) return { credit: 1 };
+    if (typeof question.partialTolerance === "number" && difference <= question.partialTolerance + Number.EPSILON) {
+      return { credit: question.partialCredit ?? 0.5 };
+    }
+    return { credit: 0 };
+  },
+
+  formatAnswer(question, answer) {
+    return withUnit(question, answer);
+  },
+
+  formatKey(question) {
+    const tolerance = question.tolerance ? ` ± ${question.tolerance}` : "";
+    return withUnit(question, `${question.correctAnswer}${tolerance}`);
+  },
+};
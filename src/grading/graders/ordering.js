@@ -0,0 +1,43 @@
+import { normalizeText } from "../normalize.js";
+import { creditFor } from "../scoring.js";
+
+// Key: question.items in the correct sequence (always shown shuffled). Answer:
+// the student's sequence as original item indexes (mapped back from display
+// indexes) or item texts. Each item in its right position counts; proportional
+// credit unless the question sets another scoringMode. A misplaced item already
+// costs its share, so proportional-penalty only takes off for placements that
+// can't be right anywhere - an item placed more than once:
+// (correct - repeats) / items. One swapped pair of n items scores (n - 2) / n.
+
+const toIndex = (items, value) => {
+  if (typeof value === "string" && /^\d+$/.test(value.trim())) value = Number(value);
+  if (Number.isInteger(value)) return value >= 0 && value < items.length ? value : null;
+  if (typeof value !== "string") return null;
+  const index = items.findIndex(item => normalizeText(item) === normalizeText(value));
+  return index === -1 ? null : index;
+};
+
+export default {
+  normalizeAnswer(question, raw) {
+    if (!Array.isArray(raw)) return null;
+    const items = question.items || [];
+    const sequence = raw.slice(0, items.length).map(value => toIndex(items, value));
+    return sequence.some(index => index !== null) ? sequence : null;
+  },
+
+  grade(question, answer) {
+    const expected = (question.items || []).length;
+    const correct = answer.filter((index, position) => index === position).length;
+    const placed = answer.filter(index => index !== null);
+    const repeats = placed.length - new Set(placed).size;
+    return { credit: creditFor(question, { correct, wrong: repeats, expected }, "proportional") };
+  },
+
+  formatAnswer(question, answer) {
+    return answer.map(index => (index === null ? "—" : question.items[index])).join(" → ");
+  },
+
+  formatKey(question) {
+    return (question.items || []).join(" → ");
+  },
+};
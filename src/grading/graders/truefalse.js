@@ -0,0 +1,21 @@
+import { toBoolean, capitalize } from "../normalize.js";
+
+export default {
+  normalizeAnswer(question, raw) {
+    return toBoolean(raw);
+  },
+
+  grade(question, answer) {
+    const expected = toBoolean(question.correctAnswer);
+    return { credit: expected !== null && expected === answer ? 1 : 0 };
+  },
+
+  formatAnswer(question, answer) {
+    return capitalize(answer);
+  },
+
+  formatKey(question) {
+    const expected = toBoolean(question.correctAnswer);
+    return expected === null ? "" : capitalize(expected);
+  },
+};
@@ -0,0 +1,202 @@
+import { registerGrader, getGrader, listGraderTypes } from "./registry.js";
+import { isBlank } from "./normalize.js";
+import { SCORING_MODES } from "./scoring.js";
+import multiple from "./graders/multiple.js";
+import truefalse from "./graders/truefalse.js";
+import enumeration from "./graders/enumeration.js";
+import identification from "./graders/identification.js";
+import essay from "./graders/essay.js";
+import matching from "./graders/matching.js";
+import ordering from "./graders/ordering.js";
+import cloze from "./graders/cloze.js";
+import numeric from "./graders/numeric.js";
+
+// ===== GRADING =====
+// The one place answers are scored. Every submit route goes through
+// gradeAttempt(); nothing here touches the database, so it can be exercised
+// with plain objects.
+
+registerGrader("multiple", multiple);
+registerGrader("truefalse", truefalse);
+registerGrader("enumeration", enumeration);
+registerGrader("identification", identification);
+registerGrader("essay", essay);
+registerGrader("matching", matching);
+registerGrader("ordering", ordering);
+registerGrader("cloze", cloze);
+registerGrader("numeric", numeric);
+
+export { registerGrader, getGrader, listGraderTypes, SCORING_MODES };
+
+export const NO_ANSWER = "No answer provided";
+
+/**
+ * ✔️ true for full credit, "partial" for some, false for none.
+ */
+export function correctnessOf(credit) {
+  if (credit >= 1) return true;
+  return credit > 0 ? "partial" : false;
+}
+
+// Points are kept to two decimals so partial credit sums cleanly
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+/**
+ * ✅ Pass rule: passingPoints when the test sets one, otherwise 50%.
+ */
+export function passesTest(test, score, percentage) {
+  if (test?.passingPoints > 0) return score >= test.passingPoints;
+  return percentage >= 50;
+}
+
+/**
+ * 🔄 Bring submitted answers into the one format graders accept:
+ * `[{ questionId, answer }]`. Positional arrays (`answers[i]` answers
+ * `questions[i]`) from the older submit route are converted as well.
+ */
+export function normalizeAnswers(questions, answers) {
+  if (!Array.isArray(answers)) return [];
+
+  const keyed = answers.some(entry => entry && typeof entry === "object" && !Array.isArray(entry) && "questionId" in entry);
+  if (keyed) {
+    return answers
+      .filter(entry => entry && entry.questionId !== undefined && entry.questionId !== null)
+      .map(entry => ({ questionId: entry.questionId.toString(), answer: entry.answer }));
+  }
+
+  return questions.map((question, index) => ({
+    questionId: question._id.toString(),
+    answer: answers[index],
+  }));
+}
+
+/**
+ * 🎯 Grade one question. `rawAnswer` is whatever the student sent for it.
+ */
+export function gradeQuestion(question, rawAnswer) {
+  const maxPoints = question.points || 0;
+  const grader = getGrader(question.type);
+
+  const base = {
+    questionId: question._id,
+    questionText: question.text,
+    questionType: question.type,
+    correctAnswer: question.correctAnswer ?? (question.answers?.length ? question.answers : null),
+    maxPoints,
+  };
+
+  if (!grader) {
+    console.warn(`⚠️ No grader registered for question type: ${question.type}`);
+    return {
+      ...base,
+      studentAnswer: rawAnswer ?? null,
+      displayStudentAnswer: isBlank(rawAnswer) ? NO_ANSWER : String(rawAnswer),
+      displayCorrectAnswer: "",
+      isCorrect: false,
+      pointsEarned: 0,
+      feedback: pickFeedback(question, false),
+    };
+  }
+
+  const answer = isBlank(rawAnswer) ? null : grader.normalizeAnswer(question, rawAnswer);
+  const display = {
+    studentAnswer: answer,
+    displayStudentAnswer: answer === null ? NO_ANSWER : grader.formatAnswer(question, answer),
+    displayCorrectAnswer: grader.formatKey(question),
+  };
+
+  // Left for an instructor; blank answers have nothing to review and score 0
+  if (grader.manual && answer !== null) {
+    return {
+      ...base,
+      ...display,
+      isCorrect: false,
+      pointsEarned: 0,
+      gradingStatus: "pending",
+      feedback: { text: "", file: "" },
+    };
+  }
+
+  const { credit = 0, ...details } = answer === null ? { credit: 0 } : grader.grade(question, answer);
+  const isCorrect = correctnessOf(credit);
+
+  return {
+    ...base,
+    ...details,
+    ...display,
+    isCorrect,
+    pointsEarned: roundPoints(credit * maxPoints),
+    gradingStatus: "auto",
+    feedback: pickFeedback(question, isCorrect === true),
+  };
+}
+
+/**
+ * 📝 Apply an instructor's score to a pending (or already graded) result.
+ * Returns an error message, or null once the result has been updated.
+ */
+export function applyManualGrade(result, { points, feedback, gradedBy, now = new Date() }) {
+  if (typeof points !== "number" || !Number.isFinite(points) || points < 0 || points > result.maxPoints) {
+    return `points must be a number between 0 and ${result.maxPoints}`;
+  }
+  if (feedback !== undefined && typeof feedback !== "string") {
+    return "feedback must be a string";
+  }
+
+  result.pointsEarned = roundPoints(points);
+  result.isCorrect = correctnessOf(result.maxPoints > 0 ? points / result.maxPoints : 0);
+  result.gradingStatus = "graded";
+  result.gradedBy = gradedBy;
+  result.gradedAt = now;
+  if (feedback !== undefined) {
+    result.feedback = { text: feedback, file: result.feedback?.file || "" };
+  }
+  return null;
+}
+
+function pickFeedback(question, isCorrect) {
+  const feedback = isCorrect ? question.feedbackWhenCorrect : question.feedbackWhenIncorrect;
+  return { text: feedback?.text || "", file: feedback?.file || "" };
+}
+
+/**
+ * 🧮 Grade a whole attempt.
+ * `questions` defaults to every question on the test; pass the attempt's frozen
+ * set to grade only what the student was shown. Returns the questionResults
+ * plus totals ready to store on a StudentTestAttempt.
+ */
+export function gradeAttempt(test, answers, { questions = test.questions || [] } = {}) {
+  const byQuestion = new Map(
+    normalizeAnswers(questions, answers).map(entry => [entry.questionId, entry.answer])
+  );
+
+  const questionResults = questions.map(question =>
+    gradeQuestion(question, byQuestion.get(question._id.toString()))
+  );
+
+  return { questionResults, ...summarizeResults(test, questionResults) };
+}
+
+/**
+ * 📊 Attempt totals from its questionResults. Also used to recompute an attempt
+ * after manual grading. `gradingStatus` stays "pending" while any answer awaits
+ * an instructor; score and passed are provisional until then.
+ */
+export function summarizeResults(test, questionResults) {
+  const totalPoints = questionResults.reduce((sum, r) => sum + r.maxPoints, 0);
+  const score = roundPoints(questionResults.reduce((sum, r) => sum + r.pointsEarned, 0));
+  const percentage = totalPoints > 0 ? (score / totalPoints) * 100 : 0;
+  const pendingReview = questionResults.filter(r => r.gradingStatus === "pending").length;
+
+  return {
+    score,
+    totalPoints,
+    percentage,
+    passed: passesTest(test, score, percentage),
+    gradingStatus: pendingReview > 0 ? "pending" : "complete",
+    pendingReview,
+    correctAnswers: questionResults.filter(r => r.isCorrect === true).length,
+    partialAnswers: questionResults.filter(r => r.isCorrect === "partial").length,
+    totalQuestions: questionResults.length,
+  };
+}
@@ -0,0 +1,133 @@
+import { normalizeText } from "./normalize.js";
+
+// Matching a typed answer against accepted answers for identification and
+// enumeration. Each question can loosen the comparison through `question.matching`:
+//   ignorePunctuation  "Photosynthesis." matches "photosynthesis"
+//   ignoreArticles     "the mitochondria" matches "mitochondria"
+//   foldAccents        "cafe" matches "café"
+//   maxEditDistance    typos allowed (Levenshtein), e.g. 1 for "photosynthsis"
+//   numericTolerance   compare as numbers, e.g. 0.01 accepts 9.8 for 9.81
+//   units              unit suffixes to ignore on numeric answers ("m/s", "kg")
+// An accepted answer written as /pattern/flags is a regular expression.
+// Rules are tried from strictest to loosest; the first that matches is recorded.
+
+export const MATCH_RULES = ["exact", "normalized", "numeric", "fuzzy", "regex"];
+
+const REGEX_ANSWER = /^\/(.+)\/([a-z]*)$/s;
+const NUMBER = /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Compile an accepted answer written as /pattern/flags. Returns null for plain
+ * answers and throws for an invalid pattern.
+ */
+export function parseRegexAnswer(accepted) {
+  const match = REGEX_ANSWER.exec(String(accepted).trim());
+  if (!match) return null;
+  // Case-insensitive like every other rule; g/y would make test() stateful
+  const flags = match[2].replace(/[giy]/g, "");
+  return new RegExp(match[1], `${flags}i`);
+}
+
+const matchingOptions = (question) => question.matching || {};
+
+// Lowercased and trimmed, plus whatever the question's options strip away
+function canonical(value, options) {
+  let text = normalizeText(value);
+  if (options.foldAccents) text = text.normalize("NFD").replace(/\p{M}/gu, "");
+  if (options.ignorePunctuation) text = text.replace(/\p{P}/gu, " ");
+  if (options.ignoreArticles) text = text.replace(/(^|\s)(a|an|the)(?=\s|$)/g, " ");
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Read a typed number, ignoring thousands separators and any of `units` as a
+ * suffix ("9.81 m/s"). Returns null when it isn't a number.
+ */
+export function parseNumber(value, units = []) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  let text = normalizeText(value).replace(/,/g, "");
+  // Longest unit first so "km" is stripped before "m"
+  for (const unit of [...units].sort((a, b) => b.length - a.length)) {
+    const suffix = normalizeText(unit);
+    if (suffix && text.endsWith(suffix)) {
+      text = text.slice(0, -suffix.length).trim();
+      break;
+    }
+  }
+  return NUMBER.test(text) ? Number(text) : null;
+}
+
+/**
+ * Levenshtein distance, giving up (returns max + 1) once it exceeds `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 🔍 Which rule (if any) makes `given` match one `accepted` answer.
+ * Returns a MATCH_RULES name or null.
+ */
+export function matchAnswer(question, given, accepted) {
+  const options = matchingOptions(question);
+
+  let pattern = null;
+  try {
+    pattern = parseRegexAnswer(accepted);
+  } catch {
+    return null; // a broken pattern never matches
+  }
+  if (pattern) return pattern.test(String(given).trim()) ? "regex" : null;
+
+  if (normalizeText(given) === normalizeText(accepted)) return "exact";
+
+  const givenText = canonical(given, options);
+  const acceptedText = canonical(accepted, options);
+  if (givenText && givenText === acceptedText) return "normalized";
+
+  if (typeof options.numericTolerance === "number" && options.numericTolerance >= 0) {
+    const expected = parseNumber(accepted, options.units);
+    const actual = parseNumber(given, options.units);
+    if (expected !== null && actual !== null) {
+      // Numbers are never fuzzy-matched as text: "10" is not a typo of "18"
+      return Math.abs(actual - expected) <= options.numericTolerance + Number.EPSILON ? "numeric" : null;
+    }
+  }
+
+  const tolerance = options.maxEditDistance || 0;
+  if (tolerance > 0 && givenText && acceptedText.length > tolerance
+    && editDistance(givenText, acceptedText, tolerance) <= tolerance) {
+    return "fuzzy";
+  }
+
+  return null;
+}
+
+/**
+ * 🔍 First accepted answer that `given` matches, strictest rule first.
+ * Returns `{ rule, index }` or null.
+ */
+export function findMatch(question, given, acceptedAnswers) {
+  let best = null;
+  acceptedAnswers.forEach((accepted, index) => {
+    const rule = matchAnswer(question, given, accepted);
+    if (rule && (!best || MATCH_RULES.indexOf(rule) < MATCH_RULES.indexOf(best.rule))) {
+      best = { rule, index };
+    }
+  });
+  return best;
+}
@@ -0,0 +1,46 @@
+// Small shared helpers for turning answers and answer keys into comparable values.
+
+export const isBlank = (value) =>
+  value === null || value === undefined
+  || (typeof value === "string" && value.trim() === "")
+  || (Array.isArray(value) && value.length === 0);
+
+export const normalizeText = (value) => String(value ?? "").toLowerCase().trim();
+
+/**
+ * true / false from booleans, 1 / 0, "true" / "t" / "1" and friends.
+ * Returns null for anything else.
+ */
+export function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value === 1 ? true : value === 0 ? false : null;
+  const text = normalizeText(value);
+  if (["true", "t", "1", "yes"].includes(text)) return true;
+  if (["false", "f", "0", "no"].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Resolve one multiple-choice key entry to a choice index.
+ * Accepts an index (2), a letter ("C") or the exact choice text.
+ */
+export function resolveChoiceIndex(value, choices = []) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) && value >= 0 && value < choices.length ? value : -1;
+  }
+  if (typeof value !== "string") return -1;
+
+  const textIndex = choices.indexOf(value);
+  if (textIndex !== -1) return textIndex;
+
+  if (/^[A-Za-z]$/.test(value)) {
+    const letterIndex = value.toUpperCase().charCodeAt(0) - 65;
+    return letterIndex < choices.length ? letterIndex : -1;
+  }
+  return -1;
+}
+
+export const capitalize = (value) => {
+  const text = String(value);
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+};
@@ -0,0 +1,25 @@
+// Grader registry keyed by question type. A grader is an object with:
+//   normalizeAnswer(question, raw) → canonical answer, or null when unanswered
+//   grade(question, answer)        → { credit: 0..1, ...details } (answer is never null)
+//   formatAnswer(question, answer) → display string for a student answer
+//   formatKey(question)            → display string for the correct answer
+// and optionally `manual: true` when answers need an instructor to score them.
+
+const graders = new Map();
+
+export function registerGrader(type, grader) {
+  for (const method of ["normalizeAnswer", "grade", "formatAnswer", "formatKey"]) {
+    if (typeof grader[method] !== "function") {
+      throw new Error(`Grader for "${type}" is missing ${method}()`);
+    }
+  }
+  graders.set(type, grader);
+}
+
+export function getGrader(type) {
+  return graders.get(type) || null;
+}
+
+export function listGraderTypes() {
+  return [...graders.keys()];
+}
@@ -0,0 +1,29 @@
+// Turning item counts into credit for questions with several right answers
+// (enumeration, "select all that apply", matching, ordering, cloze). Single-answer
+// questions don't use this.
+
+export const SCORING_MODES = ["all-or-nothing", "proportional", "proportional-penalty"];
+
+// `fallback` applies when the question doesn't set a mode
+export const getScoringMode = (question, fallback = "all-or-nothing") =>
+  SCORING_MODES.includes(question.scoringMode) ? question.scoringMode : fallback;
+
+/**
+ * ⚖️ Credit from 0 to 1 for `correct` right items and `wrong` extra items out of
+ * `expected`.
+ *   all-or-nothing       → 1 only for an exact match
+ *   proportional         → correct / expected; extra items are ignored
+ *   proportional-penalty → (correct - wrong) / expected, never below 0
+ */
+export function creditFor(question, { correct, wrong, expected }, fallback) {
+  if (expected <= 0) return 0;
+
+  switch (getScoringMode(question, fallback)) {
+    case "proportional":
+      return Math.min(correct / expected, 1);
+    case "proportional-penalty":
+      return Math.max(0, Math.min((correct - wrong) / expected, 1));
+    default:
+      return correct === expected && wrong === 0 ? 1 : 0;
+  }
+}
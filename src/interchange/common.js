@@ -0,0 +1,58 @@
+import { resolveChoiceIndex } from "../grading/normalize.js";
+
+// Helpers shared by the import/export formats.
+
+export const choiceLetter = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Correct choice indexes of a multiple-choice question, whatever form the key
+ * is stored in (index, letter or choice text, single or array).
+ */
+export function correctChoiceIndexes(question) {
+  const { correctAnswer } = question;
+  if (correctAnswer === undefined || correctAnswer === null) return [];
+  const keys = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+  return keys.map(key => resolveChoiceIndex(key, question.choices || [])).filter(index => index !== -1);
+}
+
+/**
+ * Accepted answers of an identification or enumeration question, with a
+ * legacy `correctAnswer` / `answer` folded in.
+ */
+export function acceptedAnswers(question) {
+  const answers = [...(question.answers || [])];
+  const extra = Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer, question.answer];
+  for (const value of extra) {
+    if (typeof value === "string" && value.trim() && !answers.includes(value)) answers.push(value);
+  }
+  return answers;
+}
+
+/**
+ * Export warning for the fields of `question` a format has no place for, or
+ * null when it carries none of them.
+ */
+export function droppedFields(question, index, fields, format) {
+  const dropped = fields.filter(field => question[field] !== undefined && question[field] !== null && question[field] !== "");
+  if (!dropped.length) return null;
+  return { index, type: question.type, reason: `${format} cannot hold ${dropped.join(", ")}; left out of the export` };
+}
+
+export const feedbackText = (feedback) => (feedback && feedback.text) || "";
+
+export const toFeedback = (text) => (text ? { text } : undefined);
+
+/**
+ * Drop undefined fields so imported questions only carry what the source set.
+ */
+export function compact(question) {
+  return Object.fromEntries(Object.entries(question).filter(([, value]) => value !== undefined));
+}
+
+// "3" -> 3; anything else is passed through for validateQuestion to report
+export function toNumber(value) {
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  if (text === "") return undefined;
+  return /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i.test(text) ? Number(text) : text;
+}
@@ -0,0 +1,224 @@
+import { choiceLetter, correctChoiceIndexes, acceptedAnswers, feedbackText, toFeedback, compact, toNumber } from "./common.js";
+
+// Spreadsheet format: one question per row, a header row naming the columns
+// (any order, case-insensitive, unknown columns ignored). List cells separate
+// entries with "|"; a cloze blank lists its alternatives with "~"; a matching
+// pair is written "prompt -> match". Escape a literal | or ~ with a backslash.
+// The matching column holds an identification / enumeration question's
+// answer-matching options as JSON, e.g. {"ignoreArticles":true}.
+//
+//   type,text,points,choices,correctAnswer
+//   multiple,Capital of France?,1,Paris|Lyon|Nice,A
+
+export const COLUMNS = [
+  "type", "text", "points", "choices", "correctAnswer", "answers", "items", "pairs", "blanks",
+  "tolerance", "partialTolerance", "partialCredit", "unit", "scoringMode",
+  "matching", "feedbackWhenCorrect", "feedbackWhenIncorrect",
+];
+
+/**
+ * RFC 4180 records: quoted cells may hold commas, quotes ("") and line breaks.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        cell += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === "\"" && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+export const formatCsv = (rows) => rows.map(row => row.map(escapeCell).join(",")).join("\r\n") + "\r\n";
+
+// Split on an unescaped separator, then unescape
+function splitList(cell, separator) {
+  if (!cell.trim()) return [];
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < cell.length; i++) {
+    if (cell[i] === "\\" && (cell[i + 1] === "|" || cell[i + 1] === "~" || cell[i + 1] === "\\")) {
+      current += cell[i] + cell[i + 1];
+      i++;
+    } else if (cell[i] === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += cell[i];
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim().replace(/\\([|~\\])/g, "$1"));
+}
+
+const joinList = (values, separator) =>
+  values.map(value => String(value).replace(/([\\|~])/g, "\\$1")).join(separator);
+
+function toQuestion(cells) {
+  const type = cells.type.trim().toLowerCase();
+  const list = (column) => (cells[column] ? splitList(cells[column], "|") : undefined);
+
+  let correctAnswer = cells.correctAnswer?.trim() || undefined;
+  if (type === "multiple" && correctAnswer?.includes("|")) correctAnswer = splitList(correctAnswer, "|");
+  if (type === "numeric") correctAnswer = toNumber(correctAnswer);
+  if (type === "enumeration" && correctAnswer !== undefined) correctAnswer = splitList(correctAnswer, "|");
+
+  const pairs = cells.pairs
+    ? splitList(cells.pairs, "|").map(pair => {
+      const [prompt, ...match] = pair.split("->");
+      return { prompt: prompt.trim(), match: match.join("->").trim() };
+    })
+    : undefined;
+
+  // Blanks are separated by "|"; splitList unescapes, so split on "~" first
+  const blanks = cells.blanks
+    ? splitList(cells.blanks.replace(/\\~/g, "\u0000"), "|").map(blank => ({
+      answers: blank.split("~").map(answer => answer.replace(/\u0000/g, "~").trim()).filter(Boolean),
+    }))
+    : undefined;
+
+  return compact({
+    type,
+    text: cells.text,
+    points: toNumber(cells.points),
+    choices: list("choices"),
+    correctAnswer,
+    answers: list("answers"),
+    items: list("items"),
+    pairs,
+    blanks,
+    tolerance: toNumber(cells.tolerance),
+    partialTolerance: toNumber(cells.partialTolerance),
+    partialCredit: toNumber(cells.partialCredit),
+    unit: cells.unit || undefined,
+    scoringMode: cells.scoringMode?.trim() || undefined,
+    matching: toMatching(cells.matching),
+    feedbackWhenCorrect: toFeedback(cells.feedbackWhenCorrect),
+    feedbackWhenIncorrect: toFeedback(cells.feedbackWhenIncorrect),
+  });
+}
+
+/**
+ * 📥 Questions from a CSV file. Each entry is labelled with its spreadsheet
+ * row ("row 2" is the first question, under the header).
+ */
+export function parse(content) {
+  const rows = parseCsv(String(content).replace(/^\uFEFF/, ""));
+  if (!rows.length) return { entries: [], errors: [{ label: "file", errors: ["The file is empty"] }] };
+
+  const columnsByName = new Map(COLUMNS.map(column => [column.toLowerCase(), column]));
+  const header = rows[0].map(name => columnsByName.get(name.trim().toLowerCase()) || null);
+  const missing = ["type", "text"].filter(column => !header.includes(column));
+  if (missing.length) {
+    return { entries: [], errors: [{ label: "row 1", errors: [`The header row is missing: ${missing.join(", ")}`] }] };
+  }
+
+  const entries = [];
+  rows.slice(1).forEach((row, index) => {
+    if (row.every(cell => !cell.trim())) return; // blank lines between questions
+    const cells = {};
+    header.forEach((column, i) => {
+      if (column) cells[column] = row[i] ?? "";
+    });
+    entries.push({ label: `row ${index + 2}`, question: toQuestion(cells) });
+  });
+
+  return { entries, errors: [] };
+}
+
+// Unparseable JSON is passed through for validateQuestion to report
+function toMatching(cell) {
+  const text = cell?.trim();
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function toCells(question) {
+  const cells = {
+    type: question.type,
+    text: question.text,
+    points: question.points ?? "",
+    tolerance: question.tolerance ?? "",
+    partialTolerance: question.partialTolerance ?? "",
+    partialCredit: question.partialCredit ?? "",
+    unit: question.unit || "",
+    scoringMode: question.scoringMode || "",
+    matching: question.matching ? JSON.stringify(question.matching) : "",
+    feedbackWhenCorrect: feedbackText(question.feedbackWhenCorrect),
+    feedbackWhenIncorrect: feedbackText(question.feedbackWhenIncorrect),
+  };
+
+  switch (question.type) {
+    case "multiple":
+      cells.choices = joinList(question.choices || [], "|");
+      cells.correctAnswer = correctChoiceIndexes(question).map(choiceLetter).join("|");
+      break;
+    case "identification":
+    case "enumeration":
+      cells.answers = joinList(acceptedAnswers(question), "|");
+      break;
+    case "matching":
+      cells.pairs = joinList((question.pairs || []).map(pair => `${pair.prompt} -> ${pair.match}`), "|");
+      break;
+    case "ordering":
+      cells.items = joinList(question.items || [], "|");
+      break;
+    case "cloze":
+      cells.blanks = (question.blanks || []).map(blank => joinList(blank.answers || [], "~")).join("|");
+      break;
+    default:
+      if (question.correctAnswer !== undefined && question.correctAnswer !== null) {
+        cells.correctAnswer = String(question.correctAnswer);
+      }
+  }
+  return cells;
+}
+
+/**
+ * 📤 A test's questions as CSV, one row per question. Every question type fits.
+ */
+export function serialize(test) {
+  const rows = [COLUMNS, ...(test.questions || []).map(question => {
+    const cells = toCells(question);
+    return COLUMNS.map(column => cells[column] ?? "");
+  })];
+  return { body: formatCsv(rows), skipped: [], warnings: [] };
+}
@@ -0,0 +1,341 @@
+import { choiceLetter, correctChoiceIndexes, acceptedAnswers, feedbackText, toFeedback, compact, droppedFields } from "./common.js";
+
+// Moodle GIFT. Questions are separated by blank lines; the answers go in braces:
+//   Capital of France? {=Paris ~Lyon ~Nice}       multiple choice
+//   Water boils at 100 C. {T}                     true/false
+//   Who wrote Hamlet? {=Shakespeare =W. Shakespeare}  identification
+//   Match: {=cat -> meow =dog -> woof}            matching
+//   Value of pi? {#3.14:0.01}                     numeric
+//   Describe photosynthesis. {}                   essay
+// "#" adds feedback to an answer, "####" general feedback to the question.
+// GIFT has no points, so exports write them as a "// points: n" comment line
+// that imports read back (Moodle ignores it). Enumeration, ordering and cloze
+// questions have no GIFT equivalent and are skipped on export; answer-matching
+// options and numeric units have no GIFT syntax and are reported in `warnings`.
+
+export const SUPPORTED_TYPES = ["multiple", "truefalse", "identification", "matching", "numeric", "essay"];
+
+const DEFAULT_POINTS = 1;
+const POINTS_COMMENT = /^\/\/\s*points:\s*([\d.]+)\s*$/i;
+
+const unescape = (text) => text.replace(/\\(.)/g, (_, char) => (char === "n" ? "\n" : char)).trim();
+
+const escape = (text) => String(text ?? "").replace(/[\\~=#{}:]/g, "\\$&").replace(/\r?\n/g, "\\n");
+
+// Index of the first unescaped occurrence of `token` at or after `from`
+function indexOfUnescaped(text, token, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Split on an unescaped separator, keeping escapes for unescape() to resolve later
+function splitUnescaped(text, separator) {
+  const parts = [];
+  let start = 0;
+  let index;
+  while ((index = indexOfUnescaped(text, separator, start)) !== -1) {
+    parts.push(text.slice(start, index));
+    start = index + separator.length;
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Split an answer block into answers ({ mark: "=" | "~", weight, text, feedback })
+ * and the "####" general feedback.
+ */
+function splitAnswers(body) {
+  const generalAt = indexOfUnescaped(body, "####");
+  const general = generalAt === -1 ? "" : unescape(body.slice(generalAt + 4));
+  const list = generalAt === -1 ? body : body.slice(0, generalAt);
+
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i];
+    if (char === "\\") {
+      if (current) current.raw += char + (list[i + 1] ?? "");
+      i++;
+    } else if (char === "=" || char === "~") {
+      current = { mark: char, raw: "" };
+      answers.push(current);
+    } else if (current) {
+      current.raw += char;
+    }
+  }
+
+  return {
+    general,
+    answers: answers.map(({ mark, raw }) => {
+      let text = raw.trim();
+      let weight = null;
+      const weighted = /^%(-?\d+(?:\.\d+)?)%/.exec(text);
+      if (weighted) {
+        weight = Number(weighted[1]);
+        text = text.slice(weighted[0].length);
+      }
+      const [answer, ...feedback] = splitUnescaped(text, "#");
+      return { mark, weight, text: answer, feedback: unescape(feedback.join("#")) };
+    }),
+  };
+}
+
+// "3.14:0.01" or "3.1..3.2" or "3.14" -> { value, tolerance }
+function parseNumericSpec(spec) {
+  const text = unescape(spec);
+  const range = /^(-?[\d.]+(?:e-?\d+)?)\s*\.\.\s*(-?[\d.]+(?:e-?\d+)?)$/i.exec(text);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const [value, tolerance = "0"] = text.split(":");
+  return { value: Number(value), tolerance: Number(tolerance) };
+}
+
+function numericQuestion(body) {
+  const { answers, general } = body.includes("=")
+    ? splitAnswers(body)
+    : { answers: [{ mark: "=", weight: null, ...splitFeedback(body) }], general: "" };
+
+  const specs = answers.map(answer => ({ ...answer, ...parseNumericSpec(answer.text) }));
+  const full = specs.find(spec => spec.weight === null || spec.weight >= 100) || specs[0];
+  const partial = specs.find(spec => spec !== full && spec.weight > 0 && spec.weight < 100 && spec.value === full?.value);
+
+  return {
+    question: {
+      type: "numeric",
+      correctAnswer: full ? full.value : undefined,
+      tolerance: full?.tolerance || undefined,
+      partialTolerance: partial?.tolerance,
+      partialCredit: partial ? partial.weight / 100 : undefined,
+      feedbackWhenCorrect: toFeedback(full?.feedback),
+    },
+    general,
+  };
+}
+
+function splitFeedback(text) {
+  const [answer, ...feedback] = splitUnescaped(text, "#");
+  return { text: answer, feedback: unescape(feedback.join("#")) };
+}
+
+// Question fields from the contents of the { } answer block
+function parseAnswerBlock(body) {
+  const trimmed = body.trim();
+
+  if (trimmed === "") return { question: { type: "essay" }, general: "" };
+  if (trimmed.startsWith("####")) return { question: { type: "essay" }, general: unescape(trimmed.slice(4)) };
+  if (trimmed.startsWith("#")) return numericQuestion(trimmed.slice(1));
+
+  const generalAt = indexOfUnescaped(trimmed, "####");
+  const head = generalAt === -1 ? trimmed : trimmed.slice(0, generalAt);
+  const trueFalse = /^(T|F|TRUE|FALSE)\s*(#.*)?$/is.exec(head.trim());
+  if (trueFalse) {
+    const correct = trueFalse[1].toUpperCase().startsWith("T");
+    // {T#shown when wrong#shown when right}
+    const [, wrongFeedback = "", rightFeedback = ""] = splitUnescaped(head.trim(), "#");
+    return {
+      question: {
+        type: "truefalse",
+        correctAnswer: correct,
+        feedbackWhenCorrect: toFeedback(unescape(rightFeedback)),
+        feedbackWhenIncorrect: toFeedback(unescape(wrongFeedback)),
+      },
+      general: generalAt === -1 ? "" : unescape(trimmed.slice(generalAt + 4)),
+    };
+  }
+
+  const { answers, general } = splitAnswers(trimmed);
+  if (!answers.length) return { error: "The answer block has no answers" };
+
+  if (answers.every(answer => answer.mark === "=" && indexOfUnescaped(answer.text, "->") !== -1)) {
+    return {
+      question: {
+        type: "matching",
+        pairs: answers.map(answer => {
+          const [prompt, ...match] = splitUnescaped(answer.text, "->");
+          return { prompt: unescape(prompt), match: unescape(match.join("->")) };
+        }),
+        feedbackWhenCorrect: toFeedback(answers.find(answer => answer.feedback)?.feedback),
+      },
+      general,
+    };
+  }
+
+  if (answers.every(answer => answer.mark === "=")) {
+    // Partly-weighted short answers have no equivalent here; only full-credit ones are kept
+    const accepted = answers.filter(answer => answer.weight === null || answer.weight >= 100);
+    return {
+      question: {
+        type: "identification",
+        answers: accepted.map(answer => unescape(answer.text)),
+        feedbackWhenCorrect: toFeedback(accepted.find(answer => answer.feedback)?.feedback),
+      },
+      general,
+    };
+  }
+
+  const isCorrect = (answer) => (answer.weight !== null ? answer.weight > 0 : answer.mark === "=");
+  const correct = answers.map((answer, index) => (isCorrect(answer) ? index : -1)).filter(index => index !== -1);
+  const wrongWithFeedback = answers.find(answer => !isCorrect(answer) && answer.feedback);
+
+  return {
+    question: {
+      type: "multiple",
+      choices: answers.map(answer => unescape(answer.text)),
+      correctAnswer: correct.length === 1 ? choiceLetter(correct[0]) : correct.map(choiceLetter),
+      scoringMode: correct.length > 1
+        ? (answers.some(answer => answer.weight < 0) ? "proportional-penalty" : "proportional")
+        : undefined,
+      feedbackWhenCorrect: toFeedback(answers.find(answer => isCorrect(answer) && answer.feedback)?.feedback),
+      feedbackWhenIncorrect: toFeedback(wrongWithFeedback?.feedback),
+    },
+    general,
+  };
+}
+
+function parseQuestion(block) {
+  let text = block.text.trim();
+
+  if (text.startsWith("::")) {
+    const end = indexOfUnescaped(text, "::", 2);
+    if (end !== -1) text = text.slice(end + 2).trim();
+  }
+  text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, "");
+
+  const open = indexOfUnescaped(text, "{");
+  if (open === -1) return { error: "No {answer} block found" };
+  const close = indexOfUnescaped(text, "}", open + 1);
+  if (close === -1) return { error: "The {answer} block is not closed" };
+
+  const parsed = parseAnswerBlock(text.slice(open + 1, close));
+  if (parsed.error) return parsed;
+
+  const before = unescape(text.slice(0, open));
+  const after = unescape(text.slice(close + 1));
+  // "Missing word" questions have text after the answer block
+  const questionText = after ? `${before} _____ ${after}` : before;
+
+  const question = { ...parsed.question, text: questionText, points: block.points ?? DEFAULT_POINTS };
+  if (parsed.general) {
+    question.feedbackWhenCorrect ||= toFeedback(parsed.general);
+    question.feedbackWhenIncorrect ||= toFeedback(parsed.general);
+  }
+  return { question: compact(question) };
+}
+
+/**
+ * 📥 Questions from a GIFT file. Entries are labelled with the line the
+ * question starts on.
+ */
+export function parse(content) {
+  const lines = String(content).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const blocks = [];
+  let current = null;
+  let points;
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith("//")) {
+      const match = POINTS_COMMENT.exec(trimmed);
+      if (match) points = Number(match[1]);
+      return;
+    }
+    if (trimmed === "" || trimmed.startsWith("$CATEGORY:")) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, text: "", points };
+      points = undefined;
+      blocks.push(current);
+    }
+    current.text += `${line}\n`;
+  });
+
+  const entries = [];
+  const errors = [];
+  for (const block of blocks) {
+    const label = `line ${block.line}`;
+    const { question, error } = parseQuestion(block);
+    if (error) errors.push({ label, errors: [error] });
+    else entries.push({ label, question });
+  }
+  return { entries, errors };
+}
+
+function answerBlock(question) {
+  const correctFeedback = feedbackText(question.feedbackWhenCorrect);
+  const wrongFeedback = feedbackText(question.feedbackWhenIncorrect);
+  const withFeedback = (text, feedback) => (feedback ? `${text}#${escape(feedback)}` : text);
+  const general = wrongFeedback ? `\n####${escape(wrongFeedback)}` : "";
+
+  switch (question.type) {
+    case "multiple": {
+      const correct = correctChoiceIndexes(question);
+      const penalty = question.scoringMode === "proportional-penalty";
+      const lines = (question.choices || []).map((choice, index) => {
+        const isCorrect = correct.includes(index);
+        let mark = isCorrect ? "=" : "~";
+        if (correct.length > 1) {
+          mark = isCorrect ? `~%${Number((100 / correct.length).toFixed(5))}%` : penalty ? "~%-100%" : "~";
+        }
+        return withFeedback(`${mark}${escape(choice)}`, isCorrect ? correctFeedback : wrongFeedback);
+      });
+      return `{\n${lines.join("\n")}\n}`;
+    }
+    case "truefalse": {
+      const correct = String(question.correctAnswer).toLowerCase();
+      const key = correct === "true" || correct === "1" ? "TRUE" : "FALSE";
+      const feedback = correctFeedback || wrongFeedback ? `#${escape(wrongFeedback)}#${escape(correctFeedback)}` : "";
+      return `{${key}${feedback}}`;
+    }
+    case "identification":
+      return `{\n${acceptedAnswers(question).map(answer => withFeedback(`=${escape(answer)}`, correctFeedback)).join("\n")}${general}\n}`;
+    case "matching":
+      return `{\n${(question.pairs || []).map(pair => `=${escape(pair.prompt)} -> ${escape(pair.match)}`).join("\n")}${general}\n}`;
+    case "numeric": {
+      const full = `${question.correctAnswer}:${question.tolerance || 0}`;
+      if (question.partialTolerance !== undefined && question.partialTolerance !== null) {
+        const credit = Math.round((question.partialCredit ?? 0.5) * 100);
+        return `{#\n${withFeedback(`=%100%${full}`, correctFeedback)}\n=%${credit}%${question.correctAnswer}:${question.partialTolerance}${general}\n}`;
+      }
+      return `{#${withFeedback(full, correctFeedback)}${general}}`;
+    }
+    case "essay":
+      return `{${general.trim()}}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 📤 A test's questions as GIFT. Questions GIFT cannot express are listed in
+ * `skipped` and left out; fields GIFT cannot hold are listed in `warnings`.
+ */
+export function serialize(test) {
+  const heading = `${test.title}${test.subjectCode ? ` (${test.subjectCode})` : ""}`.replace(/\s+/g, " ");
+  const blocks = [`// ${heading}`];
+  const skipped = [];
+  const warnings = [];
+
+  (test.questions || []).forEach((question, index) => {
+    const answers = answerBlock(question);
+    if (answers === null) {
+      skipped.push({ index, type: question.type, reason: `${question.type} questions have no GIFT equivalent` });
+      return;
+    }
+    const warning = droppedFields(question, index, ["matching", "unit"], "GIFT");
+    if (warning) warnings.push(warning);
+    blocks.push(`// points: ${question.points ?? 0}\n::Q${index + 1}:: ${escape(question.text)} ${answers}`);
+  });
+
+  return { body: `${blocks.join("\n\n")}\n`, skipped, warnings };
+}
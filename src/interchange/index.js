@@ -0,0 +1,59 @@
+import path from "path";
+import * as csv from "./csv.js";
+import * as json from "./json.js";
+import * as gift from "./gift.js";
+import * as qti from "./qti.js";
+import { validateQuestion } from "../validation/testValidation.js";
+
+// Bulk import / export of tests. Each format module exports
+//   parse(content)  -> { test?, entries: [{ label, question }], errors: [{ label, errors }] }
+//   serialize(test) -> { body, skipped: [{ index, type, reason }], warnings: [{ index, type, reason }] }
+// where `label` points the instructor at the row / line / item in their file,
+// `skipped` lists questions left out and `warnings` fields left off a question.
+
+export const FORMATS = {
+  csv: { module: csv, contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { module: json, contentType: "application/json; charset=utf-8", extension: "json" },
+  gift: { module: gift, contentType: "text/plain; charset=utf-8", extension: "gift" },
+  qti: { module: qti, contentType: "application/zip", extension: "zip", binary: true },
+};
+
+const EXTENSIONS = { ".csv": "csv", ".json": "json", ".gift": "gift", ".txt": "gift", ".xml": "qti", ".zip": "qti" };
+
+/**
+ * Format for an uploaded file name, or null when the extension is unknown.
+ */
+export const formatForFile = (filename) => EXTENSIONS[path.extname(filename || "").toLowerCase()] || null;
+
+/**
+ * 📥 Parse and validate questions from an uploaded file or pasted text.
+ * Nothing is saved: `questions` holds the ones that passed validation and
+ * `errors` lists every problem by label, so a dry run can show both.
+ */
+export function importQuestions(format, content) {
+  const { module, binary } = FORMATS[format];
+  const { test = {}, entries, errors } = module.parse(binary || !Buffer.isBuffer(content) ? content : content.toString("utf8"));
+
+  const questions = [];
+  const problems = [...errors];
+  for (const { label, question } of entries) {
+    const questionErrors = validateQuestion(question);
+    if (questionErrors.length) problems.push({ label, errors: questionErrors });
+    else questions.push({ label, question });
+  }
+
+  return { test, questions, errors: problems, total: entries.length + errors.length };
+}
+
+const fileSlug = (title) =>
+  String(title || "test").normalize("NFKD").replace(/[^\w\s-]/g, "").trim().replace(/\s+/g, "-").slice(0, 60) || "test";
+
+/**
+ * 📤 A test written in `format`: { body, contentType, filename, skipped, warnings }.
+ */
+export function exportTest(format, test) {
+  const { module, contentType, extension } = FORMATS[format];
+  const plain = typeof test.toObject === "function" ? test.toObject() : test;
+  const { body, skipped, warnings } = module.serialize(plain);
+  return { body, contentType, filename: `${fileSlug(plain.title)}.${extension}`, skipped, warnings };
+}
@@ -0,0 +1,68 @@
+import { pickTestFields, pickQuestionFields } from "../validation/testValidation.js";
+
+// Native format: the test's editable fields and its questions exactly as the
+// authoring API takes them, so nothing is lost on a round trip.
+//
+//   { "format": "exam-test", "version": 1, "test": { "title": ... }, "questions": [ ... ] }
+//
+// A bare array of questions, or a test object with `questions`, is accepted too.
+
+export const FORMAT_NAME = "exam-test";
+export const FORMAT_VERSION = 1;
+
+/**
+ * 📥 Test fields and questions from a JSON document. Entries are labelled
+ * "questions[0]", "questions[1]", ... like the authoring API's errors.
+ */
+export function parse(content) {
+  let document;
+  try {
+    document = JSON.parse(String(content).replace(/^\uFEFF/, ""));
+  } catch (err) {
+    return { entries: [], errors: [{ label: "file", errors: [`Invalid JSON: ${err.message}`] }] };
+  }
+
+  let test = {};
+  let questions = document;
+  if (document && !Array.isArray(document) && typeof document === "object") {
+    if (document.format !== undefined && document.format !== FORMAT_NAME) {
+      return { entries: [], errors: [{ label: "file", errors: [`Unknown format "${document.format}"`] }] };
+    }
+    if (document.version !== undefined && document.version > FORMAT_VERSION) {
+      return { entries: [], errors: [{ label: "file", errors: [`Format version ${document.version} is newer than this server supports`] }] };
+    }
+    const source = document.test || document;
+    const { questions: embedded, ...fields } = pickTestFields(source);
+    test = fields;
+    questions = document.questions ?? embedded;
+  }
+
+  if (!Array.isArray(questions)) {
+    return { test, entries: [], errors: [{ label: "file", errors: ["questions must be an array"] }] };
+  }
+
+  const entries = questions.map((question, index) => {
+    const picked = pickQuestionFields(question);
+    delete picked._id; // imported questions are new questions
+    return { label: `questions[${index}]`, question: picked };
+  });
+  return { test, entries, errors: [] };
+}
+
+/**
+ * 📤 A test in the native JSON format.
+ */
+export function serialize(test) {
+  const { questions = [], ...fields } = pickTestFields(test);
+  const document = {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    test: fields,
+    questions: questions.map(question => {
+      const { _id, ...rest } = question;
+      return rest;
+    }),
+  };
+  return { body: JSON.stringify(document, null, 2), skipped: [], warnings: [] };
+}
@@ -0,0 +1,553 @@
+import { XMLParser } from "fast-xml-parser";
+import { choiceLetter, correctChoiceIndexes, acceptedAnswers, feedbackText, toFeedback, compact, droppedFields } from "./common.js";
+import { isZip, readZip, writeZip } from "./zip.js";
+
+// IMS QTI 2.1. Exports are content packages: a ZIP with imsmanifest.xml, an
+// assessmentTest and one assessmentItem file per question. Imports take such
+// a package or a single XML file holding one or more assessmentItems.
+//
+//   choiceInteraction          multiple / truefalse
+//   orderInteraction           ordering
+//   matchInteraction           matching
+//   textEntryInteraction       identification, numeric (float/integer), cloze (several in the text)
+//   extendedTextInteraction    essay
+// Enumeration questions have no QTI equivalent and are skipped on export;
+// answer-matching options have no QTI field and are reported in `warnings`.
+
+export const SUPPORTED_TYPES = ["multiple", "truefalse", "identification", "numeric", "essay", "matching", "ordering", "cloze"];
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const TEMPLATES = "http://www.imsglobal.org/question/qti_v2p1/rptemplates";
+const DEFAULT_POINTS = 1;
+const CLOZE_MARKER = /\{\{\s*(\d+)\s*\}\}/g;
+
+const parser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  removeNSPrefix: true,
+  trimValues: false,
+  parseTagValue: false,
+  parseAttributeValue: false,
+});
+
+// ----- reading (fast-xml-parser's ordered node lists) -----
+
+const tagOf = (node) => Object.keys(node).find(key => key !== ":@");
+const childrenOf = (node) => (Array.isArray(node[tagOf(node)]) ? node[tagOf(node)] : []);
+const attr = (node, name) => node[":@"]?.[name];
+
+function findAll(nodes, tag, found = []) {
+  for (const node of nodes) {
+    if (tagOf(node) === tag) found.push(node);
+    findAll(childrenOf(node), tag, found);
+  }
+  return found;
+}
+
+const findFirst = (nodes, tag) => findAll(nodes, tag)[0];
+
+const BLOCK_TAGS = new Set(["p", "div", "br", "li", "blockquote", "prompt"]);
+
+/**
+ * Text of a node list. `replace(node)` may return a string to stand in for an
+ * element (and its children), or undefined to descend into it as usual.
+ */
+function textOf(nodes, replace = () => undefined) {
+  let text = "";
+  for (const node of nodes) {
+    const tag = tagOf(node);
+    if (tag === "#text") {
+      text += node["#text"];
+      continue;
+    }
+    const replacement = replace(node);
+    if (replacement !== undefined) {
+      text += replacement;
+      continue;
+    }
+    const inner = textOf(childrenOf(node), replace);
+    text += BLOCK_TAGS.has(tag) ? `\n${inner}\n` : inner;
+  }
+  return text;
+}
+
+const cleanText = (text) => text.replace(/[ \t]+/g, " ").replace(/ *\n[\n ]*/g, "\n").trim();
+
+const valuesOf = (node) => (node ? findAll(childrenOf(node), "value").map(value => cleanText(textOf(childrenOf(value)))) : []);
+
+function readResponseDeclarations(item) {
+  const declarations = new Map();
+  for (const node of findAll(childrenOf(item), "responseDeclaration")) {
+    const children = childrenOf(node);
+    declarations.set(attr(node, "identifier"), {
+      cardinality: attr(node, "cardinality"),
+      baseType: attr(node, "baseType"),
+      correct: valuesOf(findFirst(children, "correctResponse")),
+      mapped: findAll(children, "mapEntry")
+        .filter(entry => Number(attr(entry, "mappedValue")) > 0)
+        .map(entry => attr(entry, "mapKey")),
+    });
+  }
+  return declarations;
+}
+
+function readPoints(item) {
+  const maxScore = findAll(childrenOf(item), "outcomeDeclaration").find(node => attr(node, "identifier") === "MAXSCORE");
+  const [value] = valuesOf(maxScore && findFirst(childrenOf(maxScore), "defaultValue"));
+  return value !== undefined && value !== "" ? Number(value) : DEFAULT_POINTS;
+}
+
+function readFeedback(item) {
+  const feedback = {};
+  for (const node of findAll(childrenOf(item), "modalFeedback")) {
+    const identifier = String(attr(node, "identifier") || "").toLowerCase();
+    const text = cleanText(textOf(childrenOf(node)));
+    if (/incorrect|wrong/.test(identifier)) feedback.feedbackWhenIncorrect = toFeedback(text);
+    else if (/correct/.test(identifier)) feedback.feedbackWhenCorrect = toFeedback(text);
+  }
+  return feedback;
+}
+
+// Tolerances from <equal toleranceMode="absolute"> in the response processing
+function readTolerances(item) {
+  const processing = findFirst(childrenOf(item), "responseProcessing");
+  if (!processing) return {};
+  const [full, partial] = findAll(childrenOf(processing), "equal")
+    .filter(node => attr(node, "toleranceMode") === "absolute")
+    .map(node => Number(String(attr(node, "tolerance") || "0").trim().split(/\s+/)[0]));
+  const elseIf = findFirst(childrenOf(processing), "responseElseIf");
+  const [credit] = elseIf ? valuesOfBase(elseIf) : [];
+  return {
+    tolerance: full || undefined,
+    partialTolerance: partial,
+    partialCredit: partial !== undefined && credit !== undefined ? credit : undefined,
+  };
+}
+
+const valuesOfBase = (node) =>
+  findAll(childrenOf(node), "baseValue")
+    .filter(value => attr(value, "baseType") === "float")
+    .map(value => Number(cleanText(textOf(childrenOf(value)))));
+
+// Body text without the interactions (their prompts are added separately)
+const INTERACTIONS = new Set([
+  "choiceInteraction", "orderInteraction", "matchInteraction", "textEntryInteraction",
+  "extendedTextInteraction", "inlineChoiceInteraction", "associateInteraction", "gapMatchInteraction",
+]);
+
+function questionFromItem(item) {
+  const body = findFirst(childrenOf(item), "itemBody");
+  if (!body) return { error: "assessmentItem has no itemBody" };
+
+  const declarations = readResponseDeclarations(item);
+  const bodyNodes = childrenOf(body);
+  const interactions = findAll(bodyNodes, "choiceInteraction")
+    .concat(findAll(bodyNodes, "orderInteraction"), findAll(bodyNodes, "matchInteraction"),
+      findAll(bodyNodes, "extendedTextInteraction"));
+  const textEntries = findAll(bodyNodes, "textEntryInteraction");
+
+  const promptOf = (interaction) => {
+    const prompt = findFirst(childrenOf(interaction), "prompt");
+    return prompt ? cleanText(textOf(childrenOf(prompt))) : "";
+  };
+  const stem = cleanText(textOf(bodyNodes, node => (INTERACTIONS.has(tagOf(node)) ? "" : undefined)));
+  const withPrompt = (interaction) => [stem, promptOf(interaction)].filter(Boolean).join("\n");
+  const base = { points: readPoints(item), ...readFeedback(item) };
+
+  // A single gap followed by more text is a cloze gap too, unless it's a number and a unit
+  const firstDeclaration = textEntries.length ? declarations.get(attr(textEntries[0], "responseIdentifier")) : undefined;
+  const isNumber = ["float", "integer"].includes(firstDeclaration?.baseType);
+  const [beforeGap, afterGap = ""] = textOf(bodyNodes, node => {
+    const tag = tagOf(node);
+    if (tag === "textEntryInteraction") return "\u0000";
+    return INTERACTIONS.has(tag) ? "" : undefined;
+  }).split("\u0000");
+
+  if (textEntries.length > 1 || (textEntries.length === 1 && !isNumber && cleanText(afterGap))) {
+    let blank = 0;
+    const blanks = [];
+    const text = cleanText(textOf(bodyNodes, node => {
+      if (tagOf(node) !== "textEntryInteraction") return undefined;
+      const declaration = declarations.get(attr(node, "responseIdentifier")) || { correct: [], mapped: [] };
+      blanks.push({ answers: [...new Set([...declaration.correct, ...declaration.mapped])] });
+      blank += 1;
+      return `{{${blank}}}`;
+    }));
+    return { question: compact({ ...base, type: "cloze", text, blanks }) };
+  }
+
+  if (textEntries.length === 1) {
+    const declaration = firstDeclaration || { correct: [], mapped: [] };
+    if (isNumber) {
+      return {
+        question: compact({
+          ...base,
+          type: "numeric",
+          text: cleanText(beforeGap),
+          unit: cleanText(afterGap) || undefined,
+          correctAnswer: declaration.correct.length ? Number(declaration.correct[0]) : undefined,
+          ...readTolerances(item),
+        }),
+      };
+    }
+    return {
+      question: compact({
+        ...base,
+        type: "identification",
+        text: stem,
+        answers: [...new Set([...declaration.correct, ...declaration.mapped])],
+      }),
+    };
+  }
+
+  const [interaction] = interactions;
+  if (!interaction) return { error: "No supported interaction found" };
+  const declaration = declarations.get(attr(interaction, "responseIdentifier")) || { correct: [], mapped: [] };
+  const text = withPrompt(interaction);
+
+  switch (tagOf(interaction)) {
+    case "choiceInteraction": {
+      const choices = findAll(childrenOf(interaction), "simpleChoice");
+      const ids = choices.map(choice => attr(choice, "identifier"));
+      const texts = choices.map(choice => cleanText(textOf(childrenOf(choice))));
+      const correct = declaration.correct.map(id => ids.indexOf(id)).filter(index => index !== -1);
+
+      const lowered = texts.map(choice => choice.toLowerCase());
+      if (texts.length === 2 && lowered.includes("true") && lowered.includes("false") && correct.length === 1) {
+        return { question: compact({ ...base, type: "truefalse", text, correctAnswer: lowered[correct[0]] === "true" }) };
+      }
+      const multiple = declaration.cardinality === "multiple" || attr(interaction, "maxChoices") !== "1";
+      return {
+        question: compact({
+          ...base,
+          type: "multiple",
+          text,
+          choices: texts,
+          correctAnswer: multiple && correct.length !== 1 ? correct.map(choiceLetter) : correct.length ? choiceLetter(correct[0]) : undefined,
+        }),
+      };
+    }
+
+    case "orderInteraction": {
+      const choices = new Map(findAll(childrenOf(interaction), "simpleChoice")
+        .map(choice => [attr(choice, "identifier"), cleanText(textOf(childrenOf(choice)))]));
+      return {
+        question: compact({
+          ...base,
+          type: "ordering",
+          text,
+          items: declaration.correct.map(id => choices.get(id)).filter(Boolean),
+        }),
+      };
+    }
+
+    case "matchInteraction": {
+      const choices = new Map(findAll(childrenOf(interaction), "simpleAssociableChoice")
+        .map(choice => [attr(choice, "identifier"), cleanText(textOf(childrenOf(choice)))]));
+      const pairs = declaration.correct.map(value => {
+        const [source, target] = value.split(/\s+/);
+        return { prompt: choices.get(source), match: choices.get(target) };
+      });
+      return { question: compact({ ...base, type: "matching", text, pairs }) };
+    }
+
+    default:
+      return { question: compact({ ...base, type: "essay", text }) };
+  }
+}
+
+const parseXml = (xml) => parser.parse(String(xml).replace(/^\uFEFF/, ""));
+
+function itemsInPackage(buffer) {
+  const files = readZip(buffer);
+  const byName = new Map(files.map(file => [file.name, file.data]));
+  const manifest = byName.get("imsmanifest.xml");
+
+  let hrefs;
+  if (manifest) {
+    hrefs = findAll(parseXml(manifest), "resource")
+      .filter(resource => String(attr(resource, "type") || "").startsWith("imsqti_item"))
+      .map(resource => attr(resource, "href"));
+  } else {
+    hrefs = files.map(file => file.name).filter(name => name.endsWith(".xml")).sort();
+  }
+
+  const test = {};
+  const testFile = manifest && findAll(parseXml(manifest), "resource")
+    .find(resource => String(attr(resource, "type") || "").startsWith("imsqti_test"));
+  if (testFile && byName.has(attr(testFile, "href"))) {
+    const assessment = findFirst(parseXml(byName.get(attr(testFile, "href"))), "assessmentTest");
+    if (attr(assessment || {}, "title")) test.title = attr(assessment, "title");
+  }
+
+  const items = [];
+  for (const href of hrefs) {
+    const data = byName.get(href);
+    if (!data) {
+      items.push({ label: href, error: "Listed in the manifest but missing from the package" });
+      continue;
+    }
+    for (const item of findAll(parseXml(data), "assessmentItem")) items.push({ label: href, item });
+  }
+  return { test, items };
+}
+
+/**
+ * 📥 Questions from a QTI 2.1 package (ZIP) or XML file. Entries are labelled
+ * with the item's file or identifier.
+ */
+export function parse(content) {
+  let source;
+  try {
+    if (isZip(content)) {
+      source = itemsInPackage(content);
+    } else {
+      const items = findAll(parseXml(content), "assessmentItem");
+      source = { test: {}, items: items.map(item => ({ label: `item ${attr(item, "identifier") || "?"}`, item })) };
+    }
+  } catch (err) {
+    return { entries: [], errors: [{ label: "file", errors: [`Could not read QTI: ${err.message}`] }] };
+  }
+
+  if (!source.items.length) {
+    return { test: source.test, entries: [], errors: [{ label: "file", errors: ["No assessmentItem found"] }] };
+  }
+
+  const entries = [];
+  const errors = [];
+  for (const { label, item, error } of source.items) {
+    const parsed = error ? { error } : questionFromItem(item);
+    if (parsed.error) errors.push({ label, errors: [parsed.error] });
+    else entries.push({ label, question: parsed.question });
+  }
+  return { test: source.test, entries, errors };
+}
+
+// ----- writing -----
+
+const escapeXml = (text) => String(text ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const paragraphs = (text) => String(text ?? "").split(/\n+/).filter(line => line.trim())
+  .map(line => `<p>${escapeXml(line)}</p>`).join("\n    ");
+
+const valueList = (values, baseType = "") =>
+  values.map(value => `<value${baseType ? ` baseType="${baseType}"` : ""}>${escapeXml(value)}</value>`).join("");
+
+function responseDeclaration(identifier, { cardinality = "single", baseType = "identifier", correct = [], mapped = [] }) {
+  const correctResponse = correct.length ? `\n    <correctResponse>${valueList(correct)}</correctResponse>` : "";
+  const mapping = mapped.length
+    ? `\n    <mapping defaultValue="0">${mapped.map(key => `<mapEntry mapKey="${escapeXml(key)}" mappedValue="1"/>`).join("")}</mapping>`
+    : "";
+  return `  <responseDeclaration identifier="${identifier}" cardinality="${cardinality}" baseType="${baseType}">${correctResponse}${mapping}\n  </responseDeclaration>`;
+}
+
+const simpleChoices = (texts, tag = "simpleChoice", prefix = "") =>
+  texts.map((text, index) => `<${tag} identifier="${prefix}${choiceLetter(index)}">${escapeXml(text)}</${tag}>`).join("\n      ");
+
+function numericProcessing(question) {
+  const tolerance = question.tolerance || 0;
+  const condition = (value) =>
+    `<equal toleranceMode="absolute" tolerance="${value} ${value}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`;
+  const partial = question.partialTolerance !== undefined && question.partialTolerance !== null
+    ? `
+      <responseElseIf>
+        ${condition(question.partialTolerance)}
+        <setOutcomeValue identifier="SCORE"><product><variable identifier="MAXSCORE"/><baseValue baseType="float">${question.partialCredit ?? 0.5}</baseValue></product></setOutcomeValue>
+      </responseElseIf>`
+    : "";
+  return `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        ${condition(tolerance)}
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>${partial}
+    </responseCondition>
+  </responseProcessing>`;
+}
+
+// Declarations, body and processing for one question (null when QTI can't express it)
+function itemParts(question) {
+  const text = question.text;
+  const template = (name) => `  <responseProcessing template="${TEMPLATES}/${name}"/>`;
+
+  switch (question.type) {
+    case "multiple": {
+      const correct = correctChoiceIndexes(question).map(choiceLetter);
+      const multiple = Array.isArray(question.correctAnswer) && question.correctAnswer.length > 1;
+      return {
+        declarations: [responseDeclaration("RESPONSE", { cardinality: multiple ? "multiple" : "single", correct })],
+        body: `${paragraphs(text)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.shuffleChoices ? "true" : "false"}" maxChoices="${multiple ? 0 : 1}">
+      ${simpleChoices(question.choices || [])}
+    </choiceInteraction>`,
+        processing: template("match_correct"),
+      };
+    }
+    case "truefalse": {
+      const correct = String(question.correctAnswer).toLowerCase();
+      const key = correct === "true" || correct === "1" ? "A" : "B";
+      return {
+        declarations: [responseDeclaration("RESPONSE", { correct: [key] })],
+        body: `${paragraphs(text)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      ${simpleChoices(["True", "False"])}
+    </choiceInteraction>`,
+        processing: template("match_correct"),
+      };
+    }
+    case "identification": {
+      const answers = acceptedAnswers(question);
+      return {
+        declarations: [responseDeclaration("RESPONSE", { baseType: "string", correct: answers.slice(0, 1), mapped: answers })],
+        body: `${paragraphs(text)}
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/></p>`,
+        processing: template("map_response"),
+      };
+    }
+    case "numeric":
+      return {
+        declarations: [responseDeclaration("RESPONSE", { baseType: "float", correct: [question.correctAnswer] })],
+        body: `${paragraphs(text)}
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>${question.unit ? ` ${escapeXml(question.unit)}` : ""}</p>`,
+        processing: numericProcessing(question),
+      };
+    case "essay":
+      return {
+        declarations: [responseDeclaration("RESPONSE", { baseType: "string" })],
+        body: `${paragraphs(text)}
+    <extendedTextInteraction responseIdentifier="RESPONSE"/>`,
+        processing: "",
+      };
+    case "ordering": {
+      const items = question.items || [];
+      return {
+        declarations: [responseDeclaration("RESPONSE", { cardinality: "ordered", correct: items.map((_, i) => choiceLetter(i)) })],
+        body: `${paragraphs(text)}
+    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${simpleChoices(items)}
+    </orderInteraction>`,
+        processing: template("match_correct"),
+      };
+    }
+    case "matching": {
+      const pairs = question.pairs || [];
+      const sources = pairs.map(pair => pair.prompt);
+      const targets = pairs.map(pair => pair.match);
+      const associable = (texts, prefix) => texts.map((value, i) =>
+        `<simpleAssociableChoice identifier="${prefix}${choiceLetter(i)}" matchMax="1">${escapeXml(value)}</simpleAssociableChoice>`).join("\n        ");
+      return {
+        declarations: [responseDeclaration("RESPONSE", {
+          cardinality: "multiple",
+          baseType: "directedPair",
+          correct: pairs.map((_, i) => `P${choiceLetter(i)} M${choiceLetter(i)}`),
+        })],
+        body: `${paragraphs(text)}
+    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      <simpleMatchSet>
+        ${associable(sources, "P")}
+      </simpleMatchSet>
+      <simpleMatchSet>
+        ${associable(targets, "M")}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        processing: template("match_correct"),
+      };
+    }
+    case "cloze": {
+      const blanks = question.blanks || [];
+      const body = paragraphs(text).replace(CLOZE_MARKER, (_, n) =>
+        `<textEntryInteraction responseIdentifier="RESPONSE_${n}" expectedLength="15"/>`);
+      return {
+        declarations: blanks.map((blank, i) => responseDeclaration(`RESPONSE_${i + 1}`, {
+          baseType: "string",
+          correct: (blank.answers || []).slice(0, 1),
+          mapped: blank.answers || [],
+        })),
+        body,
+        processing: "",
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function itemXml(question, identifier, title) {
+  const parts = itemParts(question);
+  if (!parts) return null;
+
+  const feedback = [
+    ["correct", feedbackText(question.feedbackWhenCorrect)],
+    ["incorrect", feedbackText(question.feedbackWhenIncorrect)],
+  ].filter(([, text]) => text)
+    .map(([id, text]) => `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="${id}" showHide="show">${escapeXml(text)}</modalFeedback>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+${parts.declarations.join("\n")}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${question.points ?? 0}</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${parts.body}
+  </itemBody>
+${[parts.processing, ...feedback].filter(Boolean).join("\n")}
+</assessmentItem>
+`;
+}
+
+/**
+ * 📤 A test as a QTI 2.1 content package (ZIP). Questions QTI cannot express
+ * are listed in `skipped` and left out; fields QTI cannot hold are listed in
+ * `warnings`.
+ */
+export function serialize(test) {
+  const files = [];
+  const resources = [];
+  const skipped = [];
+  const warnings = [];
+
+  (test.questions || []).forEach((question, index) => {
+    const identifier = `item${index + 1}`;
+    const xml = itemXml(question, identifier, `Question ${index + 1}`);
+    if (!xml) {
+      skipped.push({ index, type: question.type, reason: `${question.type} questions have no QTI equivalent` });
+      return;
+    }
+    const warning = droppedFields(question, index, ["matching"], "QTI");
+    if (warning) warnings.push(warning);
+    const href = `items/${identifier}.xml`;
+    files.push({ name: href, data: xml });
+    resources.push({ identifier, href });
+  });
+
+  const testXml = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="test" title="${escapeXml(test.title)}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section1" title="${escapeXml(test.title)}" visible="true">
+      ${resources.map(resource => `<assessmentItemRef identifier="${resource.identifier}" href="${resource.href}"/>`).join("\n      ")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-${escapeXml(test._id || "test")}">
+  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessmentTest.xml"><file href="assessmentTest.xml"/></resource>
+    ${resources.map(resource => `<resource identifier="${resource.identifier}" type="imsqti_item_xmlv2p1" href="${resource.href}"><file href="${resource.href}"/></resource>`).join("\n    ")}
+  </resources>
+</manifest>
+`;
+
+  const body = writeZip([
+    { name: "imsmanifest.xml", data: manifest },
+    { name: "assessmentTest.xml", data: testXml },
+    ...files,
+  ]);
+  return { body, skipped, warnings };
+}
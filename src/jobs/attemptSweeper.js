@@ -0,0 +1,54 @@
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import Test from "../models/Test.js";
+import { ATTEMPT_GRACE_MS, autoSubmitAttempt } from "../services/attemptSessions.js";
+
+const SWEEP_INTERVAL_MS = (Number(process.env.ATTEMPT_SWEEP_SECONDS) || 60) * 1000;
+
+/**
+ * 🧹 Finalize in-progress attempts whose time (plus grace) has run out.
+ * Offline attempts are left until their upload window closes.
+ */
+export async function sweepExpiredAttempts(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ATTEMPT_GRACE_MS);
+  const expired = await StudentTestAttempt.find({
+    status: "in-progress",
+    expiresAt: { $ne: null, $lt: cutoff },
+    $or: [{ "offline.uploadBy": null }, { "offline.uploadBy": { $lt: now } }],
+  });
+
+  if (expired.length === 0) return 0;
+
+  const testIds = [...new Set(expired.map(a => a.test.toString()))];
+  const tests = await Test.find({ _id: { $in: testIds } }).lean();
+  const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+
+  for (const attempt of expired) {
+    try {
+      await autoSubmitAttempt(attempt, testsById.get(attempt.test.toString()));
+    } catch (err) {
+      console.error(`❌ Failed to auto-submit attempt ${attempt._id}:`, err.message);
+    }
+  }
+
+  console.log(`🧹 Attempt sweeper finalized ${expired.length} expired attempt(s)`);
+  return expired.length;
+}
+
+export function startAttemptSweeper() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepExpiredAttempts();
+    } catch (err) {
+      console.error("❌ Attempt sweeper error:", err);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  console.log(`✅ Attempt sweeper running every ${SWEEP_INTERVAL_MS / 1000}s`);
+  return timer;
+}
@@ -0,0 +1,143 @@
+import Student from "../models/Student.js";
+import Admin from "../models/Admin.js";
+import { verifyAccessToken, isAccessTokenRevoked } from "../utils/tokens.js";
+
+// Which model backs each token role, and which fields never leave the server
+const ACCOUNT_MODELS = {
+  student: { model: Student, hidden: "-password -securityAnswer" },
+  admin: { model: Admin, hidden: "-password" },
+};
+
+/**
+ * Verify the Bearer token on a request and load the account it belongs to.
+ * Sends the error response itself and returns null when the request is rejected.
+ */
+async function resolveAccount(req, res, allowedRoles) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    res.status(401).json({ code: "AUTH_REQUIRED", message: "Authentication required" });
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    const code = err.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID";
+    res.status(401).json({ code, message: "Invalid or expired access token" });
+    return null;
+  }
+
+  if (!allowedRoles.includes(payload.role)) {
+    res.status(403).json({ code: "FORBIDDEN", message: "This account cannot access this resource" });
+    return null;
+  }
+
+  if (await isAccessTokenRevoked(payload.jti)) {
+    res.status(401).json({ code: "TOKEN_REVOKED", message: "Access token has been revoked" });
+    return null;
+  }
+
+  const { model, hidden } = ACCOUNT_MODELS[payload.role];
+  const account = await model.findById(payload.sub).select(hidden);
+  if (!account || (account.tokenVersion || 0) !== payload.tv) {
+    res.status(401).json({ code: "TOKEN_REVOKED", message: "Access token has been revoked" });
+    return null;
+  }
+
+  req.auth = payload;
+  return account;
+}
+
+/**
+ * 🔐 Require a valid student access token.
+ * Verifies the Bearer token, rejects revoked ones and attaches the
+ * authenticated student (without password/security answer) as `req.student`.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const student = await resolveAccount(req, res, ["student"]);
+    if (!student) return;
+    req.student = student;
+    next();
+  } catch (err) {
+    console.error("❌ Authentication error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * 🔐 Require a valid instructor/admin access token and attach it as `req.admin`.
+ */
+export const authenticateAdmin = async (req, res, next) => {
+  try {
+    const admin = await resolveAccount(req, res, ["admin"]);
+    if (!admin) return;
+    if (admin.active === false) {
+      return res.status(403).json({ code: "ACCOUNT_DISABLED", message: "This account has been disabled" });
+    }
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error("❌ Authentication error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * 🔐 Accept either a student or an instructor token. Sets `req.student` or
+ * `req.admin` to match.
+ */
+export const authenticateAny = async (req, res, next) => {
+  try {
+    const account = await resolveAccount(req, res, ["student", "admin"]);
+    if (!account) return;
+    if (req.auth.role === "admin") {
+      if (account.active === false) {
+        return res.status(403).json({ code: "ACCOUNT_DISABLED", message: "This account has been disabled" });
+      }
+      req.admin = account;
+    } else {
+      req.student = account;
+    }
+    next();
+  } catch (err) {
+    console.error("❌ Authentication error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * 👑 Only allow super admins (must run after `authenticateAdmin`).
+ */
+export const requireSuperAdmin = (req, res, next) => {
+  if (req.admin?.role !== "superadmin") {
+    return res.status(403).json({ code: "FORBIDDEN", message: "Super admin access required" });
+  }
+  next();
+};
+
+/**
+ * 🛡️ Reject requests that name a different student than the one logged in.
+ * Older app builds still send `studentId` in the URL, query or body; it may be
+ * either the Mongo `_id` or the school `studentID`. Handlers must still use
+ * `req.student` - this only turns a mismatch into a 403 instead of ignoring it.
+ */
+export const ensureSelf = (req, res, next) => {
+  const claimed = [
+    req.params?.studentId,
+    req.query?.studentId,
+    req.body?.studentId,
+    req.body?.studentID,
+  ].filter(value => value !== undefined && value !== null && value !== "");
+
+  const own = [req.student._id.toString(), req.student.studentID];
+  const mismatch = claimed.some(value => !own.includes(String(value)));
+
+  if (mismatch) {
+    return res.status(403).json({ code: "FORBIDDEN", message: "You can only access your own data" });
+  }
+  next();
+};
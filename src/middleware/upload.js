@@ -0,0 +1,25 @@
+import multer from "multer";
+import storageConfig from "../config/storage.js";
+
+// Uploads are held in memory only long enough to hash, check and store them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: storageConfig.maxUploadBytes, files: 1 },
+});
+
+/**
+ * 📥 Parse the single "file" field, turning multer errors into JSON responses.
+ * Requests that aren't multipart pass straight through.
+ */
+export function receiveFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        code: "FILE_TOO_LARGE",
+        message: `Files may be at most ${Math.round(storageConfig.maxUploadBytes / 1024 / 1024)} MB`,
+      });
+    }
+    res.status(400).json({ code: "UPLOAD_ERROR", message: err.message });
+  });
+}
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Instructor / administrator accounts. Instructors author tests; super admins
+// can manage every test and create other instructor accounts.
+const adminSchema = new mongoose.Schema({
+  lastName: { type: String, required: true },
+  firstName: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ["instructor", "superadmin"], default: "instructor" },
+  department: { type: String, default: "" },
+  active: { type: Boolean, default: true },
+  // Bumped to invalidate every token issued before it
+  tokenVersion: { type: Number, default: 0 },
+}, { timestamps: true });
+
+adminSchema.virtual('fullName').get(function() {
+  return `${this.lastName}, ${this.firstName}`.trim();
+});
+
+export default mongoose.model("Admin", adminSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Something the app noticed while a student had an attempt open (see src/services/proctoring.js).
+// `receivedAt` is the server's clock and orders the timeline; `occurredAt` is
+// the device's own, kept for reference only.
+const proctoringEventSchema = new mongoose.Schema({
+  attempt: { type: mongoose.Schema.Types.ObjectId, ref: "StudentTestAttempt", required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+  test: { type: mongoose.Schema.Types.ObjectId, ref: "Test", required: true },
+  type: {
+    type: String,
+    enum: ["app-backgrounded", "focus-lost", "copy", "paste", "screenshot", "network-change"],
+    required: true
+  },
+  durationSeconds: Number,        // how long the student was away, for backgrounded / focus-lost
+  details: { type: mongoose.Schema.Types.Mixed },
+  points: { type: Number, default: 0 },        // suspicion points under the rules at the time
+  violation: { type: Boolean, default: false }, // counted towards the test's autoSubmitAfter
+  occurredAt: Date,
+  receivedAt: { type: Date, default: Date.now }
+});
+
+proctoringEventSchema.index({ attempt: 1, receivedAt: 1 });
+
+export default mongoose.model("ProctoringEvent", proctoringEventSchema);
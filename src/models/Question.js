@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+import { questionSchema } from "./Test.js";
+
+// Question bank: standalone questions that tests reference or draw from at
+// random (see src/services/questionBank.js). Same fields as a test's embedded
+// questions, plus what draw rules filter on.
+const bankQuestionSchema = new mongoose.Schema({
+  ...questionSchema.obj,
+  subjectCode: { type: String, required: true },
+  topic: { type: String, default: "" },
+  difficulty: { type: String, enum: ["easy", "medium", "hard"], default: "medium" },
+  tags: [String],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+bankQuestionSchema.index({ subjectCode: 1, topic: 1, difficulty: 1 });
+bankQuestionSchema.index({ tags: 1 });
+
+export default mongoose.model("Question", bankQuestionSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// One document per issued refresh token. Tokens are rotated on every refresh,
+// so a revoked token being presented again means it was stolen and the whole
+// family (every token for that account) gets revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  role: { type: String, enum: ["student", "admin"], required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: String, default: null },
+  createdByIp: { type: String, default: "" },
+}, { timestamps: true });
+
+// Let MongoDB drop expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// One row per attempt whose result a regrade changed
+const regradeChangeSchema = new mongoose.Schema({
+  attempt: { type: mongoose.Schema.Types.ObjectId, ref: "StudentTestAttempt", required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: "Student" },
+  questionIds: [{ type: mongoose.Schema.Types.ObjectId }], // questions whose result changed
+  oldScore: Number,
+  newScore: Number,
+  oldTotalPoints: Number,
+  newTotalPoints: Number,
+  oldPercentage: Number,
+  newPercentage: Number,
+  oldPassed: Boolean,
+  newPassed: Boolean
+}, { _id: false });
+
+// Audit trail of answer-key regrades (see src/services/regrade.js)
+const regradeLogSchema = new mongoose.Schema({
+  test: { type: mongoose.Schema.Types.ObjectId, ref: "Test", required: true },
+  questionIds: [{ type: mongoose.Schema.Types.ObjectId }], // empty = every question
+  reason: { type: String, default: "" },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true },
+  attemptsChecked: { type: Number, default: 0 },
+  attemptsChanged: { type: Number, default: 0 },
+  passStatusChanged: { type: Number, default: 0 },
+  changes: [regradeChangeSchema],
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date
+});
+
+regradeLogSchema.index({ test: 1, startedAt: -1 });
+
+export default mongoose.model("RegradeLog", regradeLogSchema);
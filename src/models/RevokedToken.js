@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// Denylist of access tokens revoked before their natural expiry (logout).
+// Entries only need to live as long as the token itself would have.
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RevokedToken", revokedTokenSchema);
@@ -24,6 +24,8 @@ const studentSchema = new mongoose.Schema({
     soundEffects: { type: Boolean, default: true },
     vibration: { type: Boolean, default: true },
   },
+  // Bumped to invalidate every token issued before it (revoke-all, password reset)
+  tokenVersion: { type: Number, default: 0 },
 }, { timestamps: true });
 
 // Virtual for full name (computed property)
@@ -1,32 +1,112 @@
 import mongoose from "mongoose";
+import { questionSchema } from "./Test.js";
 
 const questionResultSchema = new mongoose.Schema({
   questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
   questionText: { type: String, required: true },
   questionType: { type: String, required: true },
-  studentAnswer: { type: mongoose.Schema.Types.Mixed }, // Can be string, array, etc.
+  studentAnswer: { type: mongoose.Schema.Types.Mixed }, // Normalized answer as graded: choice index(es), boolean, string or string list
   correctAnswer: { type: mongoose.Schema.Types.Mixed, default: null }, // Store the actual correct answer from the question
-  isCorrect: { type: Boolean, required: true },
-  pointsEarned: { type: Number, required: true },
+  displayStudentAnswer: { type: String, default: "" }, // Formatted for result screens
+  displayCorrectAnswer: { type: String, default: "" },
+  // true, false or "partial" when only some of the credit was earned
+  isCorrect: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    validate: { validator: v => v === true || v === false || v === "partial", message: "isCorrect must be true, false or \"partial\"" }
+  },
+  pointsEarned: { type: Number, required: true }, // may be fractional under partial credit
+  // Identification: rule that accepted the answer ("exact", "normalized", "numeric", "fuzzy", "regex");
+  // enumeration: one rule (or null) per item given
+  matchedRule: { type: mongoose.Schema.Types.Mixed, default: null },
   maxPoints: { type: Number, required: true },
   feedback: {
     text: { type: String, default: "" },
     file: { type: String, default: "" }
-  }
+  },
+  // "pending" answers (essays) wait for an instructor; "graded" ones were scored by hand
+  gradingStatus: { type: String, enum: ["auto", "pending", "graded"], default: "auto" },
+  gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  gradedAt: { type: Date }
+}, { _id: false });
+
+// Per-question choice permutation: order[displayIndex] = original choice index
+const choiceOrderSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  order: [Number]
+}, { _id: false });
+
+// An answer autosaved during an open attempt, exactly as the client sent it
+// (choice indexes in this attempt's display order). `version` goes up by one on
+// every save; a write must name the version it replaces, so stale writes from
+// another device are rejected instead of overwriting newer answers.
+const savedAnswerSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  answer: { type: mongoose.Schema.Types.Mixed, default: null },
+  version: { type: Number, default: 1 },
+  savedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Set when the app took the attempt offline with a signed ticket
+const offlineSchema = new mongoose.Schema({
+  ticketIssuedAt: Date,
+  uploadBy: Date,       // bundles are accepted (and the attempt kept open) until then
+  bundleKey: String,    // Idempotency key of the bundle that was graded
+  bundleHash: String,   // sha256 of its answers, to recognise re-sent copies
+  deviceStartedAt: Date,
+  deviceFinishedAt: Date,
+  receivedAt: Date
+}, { _id: false });
+
+// Running proctoring totals; the events themselves are ProctoringEvent documents
+const proctoringSummarySchema = new mongoose.Schema({
+  events: { type: Number, default: 0 },
+  violations: { type: Number, default: 0 },
+  suspicionScore: { type: Number, default: 0 },
+  lastEventAt: Date,
+  autoSubmittedAt: Date // set when too many violations closed the attempt
 }, { _id: false });
 
 const StudentTestAttemptSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
   test: { type: mongoose.Schema.Types.ObjectId, ref: "Test", required: true },
+  // Version of the test this attempt was taken on; legacy attempts have none and use the live test
+  testVersion: { type: mongoose.Schema.Types.ObjectId, ref: "TestVersion" },
+  attemptNumber: { type: Number, default: 1 }, // 1-based, per student and test
   score: { type: Number, required: true, default: 0 },
   totalPoints: { type: Number, required: true, default: 0 },
   percentage: { type: Number, required: true, default: 0 },
   passed: { type: Boolean, required: true, default: false },
+  // "pending" until every essay answer has been graded; score/passed are provisional until then
+  gradingStatus: { type: String, enum: ["complete", "pending"], default: "complete" },
   questionResults: [questionResultSchema],
-  takenAt: { type: Date, default: Date.now },
+  // Questions drawn for this attempt, in the order shown; empty on legacy attempts (= all questions)
+  questionIds: [{ type: mongoose.Schema.Types.ObjectId }],
+  // Copies of the bank questions drawn for this attempt (ids match the bank's)
+  drawnQuestions: [questionSchema],
+  choiceOrders: [choiceOrderSchema],
+  savedAnswers: [savedAnswerSchema], // autosaves while in progress; graded on submit
+  offline: { type: offlineSchema, default: undefined },
+  proctoring: { type: proctoringSummarySchema, default: undefined },
+  submissionKey: String, // Idempotency-Key of the submit request that recorded it
+  // "in-progress" attempts are open sessions started via /start; legacy documents have no status
+  status: { type: String, enum: ["in-progress", "submitted", "auto-submitted"], default: "submitted" },
+  takenAt: { type: Date, default: Date.now }, // server-recorded start time
+  expiresAt: { type: Date, default: null },   // start + timeLimit, capped at the deadline
   submittedAt: { type: Date }
 });
 
+StudentTestAttemptSchema.index({ status: 1, expiresAt: 1 });
+StudentTestAttemptSchema.index({ test: 1, gradingStatus: 1 });
+StudentTestAttemptSchema.index({ testVersion: 1 });
+// One document per attempt: concurrent starts/submits of the same attempt collide here
+// (existing data: run `npm run renumber-attempts` before deploying)
+StudentTestAttemptSchema.index({ student: 1, test: 1, attemptNumber: 1 }, { unique: true });
+StudentTestAttemptSchema.index(
+  { student: 1, submissionKey: 1 },
+  { unique: true, partialFilterExpression: { submissionKey: { $type: "string" } } }
+);
+
 // Pre-save middleware to convert string student to ObjectId
 StudentTestAttemptSchema.pre('save', function(next) {
   if (this.student && typeof this.student === 'string') {
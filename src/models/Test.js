@@ -5,35 +5,111 @@ const feedbackSchema = new mongoose.Schema({
   file: { type: String, default: "" } // URL path to file, e.g. /CorrectFile/xxx.png
 }, { _id: false });
 
-const questionSchema = new mongoose.Schema({
-  text: { type: String, required: true },
-  type: { type: String, enum: ["multiple", "truefalse", "enumeration", "identification", "essay"], required: true },
+// Looser answer matching for identification / enumeration (see src/grading/matching.js)
+const matchingSchema = new mongoose.Schema({
+  ignorePunctuation: { type: Boolean, default: false },
+  ignoreArticles: { type: Boolean, default: false },    // a, an, the
+  foldAccents: { type: Boolean, default: false },
+  maxEditDistance: { type: Number, default: 0 },        // typos allowed
+  numericTolerance: { type: Number, default: null },    // set to grade answers as numbers
+  units: [String]                                       // unit suffixes ignored on numeric answers
+}, { _id: false });
+
+// Matching questions: each prompt must be paired with its match
+const pairSchema = new mongoose.Schema({
+  prompt: { type: String, required: true },
+  match: { type: String, required: true }
+}, { _id: false });
+
+// Cloze questions: accepted answers for the blank marked {{n}} in the text
+const blankSchema = new mongoose.Schema({
+  answers: [String]
+}, { _id: false });
+
+export const questionSchema = new mongoose.Schema({
+  text: { type: String, required: true },  // cloze: blanks marked {{1}}, {{2}}, ...
+  type: {
+    type: String,
+    enum: ["multiple", "truefalse", "enumeration", "identification", "essay", "matching", "ordering", "cloze", "numeric"],
+    required: true
+  },
   points: { type: Number, default: 0 },
   choices: [String],            // for multiple choice
+  shuffleChoices: { type: Boolean, default: undefined }, // overrides the test-wide setting
+  // How partly right answers are scored; unset means all-or-nothing for enumeration /
+  // multiple choice and proportional for matching, ordering and cloze
+  scoringMode: { type: String, enum: ["all-or-nothing", "proportional", "proportional-penalty"], default: undefined },
   // Allow correctAnswer to be string or array (multiple correct choices)
   correctAnswer: { type: mongoose.Schema.Types.Mixed, default: undefined },
   answer: String,               // for identification / essay expected answer
-  answers: [String],            // for enumeration / identification alternatives
+  answers: [String],            // for enumeration / identification alternatives; "/pattern/" entries are regexes
+  matching: { type: matchingSchema, default: undefined },
+  pairs: { type: [pairSchema], default: undefined },  // for matching
+  items: { type: [String], default: undefined },      // for ordering, in the correct sequence
+  blanks: { type: [blankSchema], default: undefined }, // for cloze
+  // for numeric: correctAnswer is the value
+  tolerance: Number,            // full credit within ± tolerance
+  partialTolerance: Number,     // partialCredit within ± partialTolerance
+  partialCredit: Number,        // 0..1, default 0.5
+  unit: String,                 // shown to students; accepted as an answer suffix
   files: [String],              // question attached files -> URLs placed inside public/QuestionFile/
   feedbackWhenCorrect: feedbackSchema,
   feedbackWhenIncorrect: feedbackSchema
 });
 
+// Draw `count` random bank questions matching the filters, per attempt
+export const drawRuleSchema = new mongoose.Schema({
+  subjectCode: String,          // defaults to the test's subjectCode
+  topic: String,
+  difficulty: { type: String, enum: ["easy", "medium", "hard"] },
+  tags: [String],               // drawn questions carry all of these
+  count: { type: Number, required: true },
+  points: Number                // overrides each drawn question's points
+}, { _id: false });
+
+// Anti-cheating rules (see src/services/proctoring.js). Not versioned: changes
+// apply to attempts already in progress.
+const proctoringSchema = new mongoose.Schema({
+  autoSubmitAfter: { type: Number, default: 0 }, // submit the attempt at this many violations; 0 = never
+  weights: { type: Map, of: Number },             // suspicion points per event type, over the defaults
+  longAbsenceSeconds: Number                      // time away that earns extra suspicion points
+}, { _id: false });
+
 const testSchema = new mongoose.Schema({
   title: { type: String, required: true },
   subjectCode: { type: String, required: true },
   description: { type: String, default: "" },
   timeLimit: Number,
+  availableFrom: Date,          // test is "Upcoming" until this date
   deadline: Date,
   access: { type: String, enum: ["Private", "Public"], default: "Private" },
-  howManyQuestions: { type: Number, required: true },
+  howManyQuestions: { type: Number, required: true }, // drawn from `questions`; bank questions come on top
   passingPoints: { type: Number, default: 0 },
+  shuffleChoices: { type: Boolean, default: false }, // shuffle multiple-choice options per attempt
+  maxAttempts: { type: Number, default: 1 },         // 0 = unlimited
+  cooldownMinutes: { type: Number, default: 0 },     // wait between attempts
+  scoringPolicy: { type: String, enum: ["highest", "latest", "average"], default: "highest" },
+  // What students see after submitting (see src/services/reviewPolicy.js)
+  reviewPolicy: {
+    type: String,
+    enum: ["immediate", "correctness-only", "score-only", "after-deadline", "never"],
+    default: "immediate"
+  },
+  proctoring: { type: proctoringSchema, default: undefined },
   assignedSections: [String],
-  prerequisites: [String],
+  prerequisites: [String],      // Test ids or subject codes that must be passed first
+  // Students only see published tests (see src/services/testVersions.js); tests
+  // from before versioning have no status and count as published
+  status: { type: String, enum: ["draft", "published", "archived"] },
+  publishedVersion: Number,     // latest TestVersion.version
+  publishedAt: Date,
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
-  questions: [questionSchema]
+  questions: [questionSchema],
+  // Question bank: questions every attempt gets, and rules drawing more per attempt
+  bankQuestions: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+  drawRules: [drawRuleSchema]
 });
 
 // Virtual: total questions, total points across all questions
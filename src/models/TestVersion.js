@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { questionSchema, drawRuleSchema } from "./Test.js";
+
+// An immutable snapshot of a test's content, taken each time it is published.
+// Attempts point at the version they were taken on, so results keep matching
+// the questions the student actually saw however the test is edited later.
+const testVersionSchema = new mongoose.Schema({
+  test: { type: mongoose.Schema.Types.ObjectId, ref: "Test", required: true },
+  version: { type: Number, required: true },  // 1, 2, 3, ... per test
+  title: { type: String, required: true },
+  subjectCode: { type: String, required: true },
+  description: { type: String, default: "" },
+  timeLimit: Number,
+  howManyQuestions: { type: Number, required: true },
+  passingPoints: { type: Number, default: 0 },
+  shuffleChoices: { type: Boolean, default: false },
+  questions: [questionSchema],
+  bankQuestions: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+  drawRules: [drawRuleSchema],
+  note: { type: String, default: "" },        // what changed, from the instructor
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  publishedAt: { type: Date, default: Date.now }
+});
+
+testVersionSchema.index({ test: 1, version: 1 }, { unique: true });
+
+const immutable = new Error("Test versions are immutable; publish a new version instead");
+
+testVersionSchema.pre("save", function(next) {
+  next(this.isNew ? undefined : immutable);
+});
+
+testVersionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], function(next) {
+  next(immutable);
+});
+
+export default mongoose.model("TestVersion", testVersionSchema);
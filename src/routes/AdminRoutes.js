@@ -0,0 +1,234 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import Admin from "../models/Admin.js";
+import Test from "../models/Test.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { authenticateAdmin, requireSuperAdmin } from "../middleware/auth.js";
+import { serializeTest } from "../serializers/testSerializer.js";
+import { serializeAttempt, serializeAttemptQuestions } from "../serializers/attemptSerializer.js";
+import { loadTestForAttempt } from "../services/testVersions.js";
+import { describeProctoring, getProctoringRules, getProctoringTimeline } from "../services/proctoring.js";
+import {
+  issueTokens,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeAccessToken,
+} from "../utils/tokens.js";
+
+const router = express.Router();
+
+// Strip secrets before sending an admin document to the client
+const toAdminResponse = (admin) => {
+  const { password: _, tokenVersion: __, ...adminData } = admin.toObject ? admin.toObject() : admin;
+  return adminData;
+};
+
+// POST /api/admin/login
+router.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required." });
+    }
+
+    const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() });
+    if (!admin) {
+      return res.status(404).json({ message: "No instructor account found for this email." });
+    }
+
+    if (!admin.active) {
+      return res.status(403).json({ code: "ACCOUNT_DISABLED", message: "This account has been disabled." });
+    }
+
+    const isPasswordMatch = await bcrypt.compare(password, admin.password);
+    if (!isPasswordMatch) {
+      return res.status(401).json({ message: "Incorrect password." });
+    }
+
+    const tokens = await issueTokens(admin, "admin", { ip: req.ip });
+
+    console.log(`✅ Instructor login successful: ${admin.email}`);
+
+    res.status(200).json({
+      message: "Login successful!",
+      user: toAdminResponse(admin),
+      ...tokens,
+    });
+  } catch (error) {
+    console.error("Admin login error:", error);
+    res.status(500).json({
+      message: "Internal server error.",
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/logout
+router.post("/logout", authenticateAdmin, async (req, res) => {
+  try {
+    await revokeAccessToken(req.auth);
+    if (req.body?.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken, req.admin._id);
+    }
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Error logging out instructor:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/admin/token/revoke-all
+router.post("/token/revoke-all", authenticateAdmin, async (req, res) => {
+  try {
+    await Admin.updateOne({ _id: req.admin._id }, { $inc: { tokenVersion: 1 } });
+    await revokeAllRefreshTokens(req.admin._id);
+    res.json({ message: "All sessions have been revoked" });
+  } catch (err) {
+    console.error("Error revoking instructor tokens:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Current instructor profile
+router.get("/me", authenticateAdmin, (req, res) => {
+  res.json(toAdminResponse(req.admin));
+});
+
+// ✅ Tests authored by the current instructor (super admins see all)
+router.get("/tests", authenticateAdmin, async (req, res) => {
+  try {
+    const filter = req.admin.role === "superadmin" ? {} : { createdBy: req.admin._id };
+    const tests = await Test.find(filter).sort({ createdAt: -1 }).lean();
+    res.json(tests.map(test => serializeTest(test, { role: "admin" })));
+  } catch (err) {
+    console.error("Error fetching instructor tests:", err);
+    res.status(500).json({ message: "Server error fetching tests" });
+  }
+});
+
+// ✅ One test with answer keys and feedback (own tests; super admins see all)
+router.get("/tests/:id", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Test not found" });
+    }
+
+    const filter = req.admin.role === "superadmin" ? {} : { createdBy: req.admin._id };
+    const test = await Test.findOne({ _id: req.params.id, ...filter }).lean();
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    res.json(serializeTest(test, { role: "admin" }));
+  } catch (err) {
+    console.error("Error fetching instructor test:", err);
+    res.status(500).json({ message: "Server error fetching test" });
+  }
+});
+
+/**
+ * ✅ Attempts at one of the instructor's tests, with each attempt's proctoring
+ * totals. ?sort=suspicion puts the most suspicious first.
+ */
+router.get("/tests/:id/attempts", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Test not found" });
+    }
+
+    const filter = req.admin.role === "superadmin" ? {} : { createdBy: req.admin._id };
+    const test = await Test.findOne({ _id: req.params.id, ...filter }).select("_id").lean();
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const sort = req.query.sort === "suspicion" ? { "proctoring.suspicionScore": -1, takenAt: -1 } : { takenAt: -1 };
+    const attempts = await StudentTestAttempt.find({ test: test._id })
+      .select("student attemptNumber status score totalPoints percentage passed gradingStatus takenAt submittedAt proctoring")
+      .populate("student", "firstName lastName studentID section")
+      .sort(sort)
+      .lean();
+
+    res.json(attempts.map(attempt => ({ ...attempt, proctoring: describeProctoring(attempt) })));
+  } catch (err) {
+    console.error("Error fetching test attempts:", err);
+    res.status(500).json({ message: "Server error fetching attempts" });
+  }
+});
+
+/**
+ * ✅ One attempt at an instructor's test: answers and keys as taken, plus the
+ * proctoring timeline and suspicion score.
+ */
+router.get("/attempts/:attemptId", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.attemptId)) {
+      return res.status(404).json({ message: "Attempt not found" });
+    }
+
+    const attempt = await StudentTestAttempt.findById(req.params.attemptId)
+      .populate("student", "firstName lastName studentID section")
+      .lean();
+    if (!attempt) return res.status(404).json({ message: "Attempt not found" });
+
+    const filter = req.admin.role === "superadmin" ? {} : { createdBy: req.admin._id };
+    const liveTest = await Test.findOne({ _id: attempt.test, ...filter }).lean();
+    if (!liveTest) return res.status(404).json({ message: "Attempt not found" });
+
+    const test = await loadTestForAttempt(attempt, liveTest);
+    res.json({
+      ...serializeAttempt(attempt, { role: "admin" }),
+      test: { ...serializeTest(test, { role: "admin" }), questions: serializeAttemptQuestions(test, attempt, { role: "admin" }) },
+      proctoring: {
+        ...describeProctoring(attempt),
+        autoSubmitAfter: getProctoringRules(liveTest).autoSubmitAfter,
+        ...(await getProctoringTimeline(attempt._id)),
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching attempt:", err);
+    res.status(500).json({ message: "Server error fetching attempt" });
+  }
+});
+
+// ✅ Create an instructor account (super admin only)
+router.post("/instructors", authenticateAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const { firstName, lastName, email, password, department, role } = req.body;
+
+    if (!firstName || !lastName || !email || !password) {
+      return res.status(400).json({ message: "Missing required fields" });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters" });
+    }
+
+    if (role && !["instructor", "superadmin"].includes(role)) {
+      return res.status(400).json({ message: "Role must be instructor or superadmin" });
+    }
+
+    const existing = await Admin.findOne({ email: String(email).toLowerCase().trim() });
+    if (existing) {
+      return res.status(400).json({ message: "Email already exists" });
+    }
+
+    const admin = await Admin.create({
+      firstName,
+      lastName,
+      email,
+      password: await bcrypt.hash(password, 12),
+      department: department || "",
+      role: role || "instructor",
+    });
+
+    console.log(`✅ Instructor account created: ${admin.email}`);
+    res.status(201).json({ message: "Instructor created successfully", user: toAdminResponse(admin) });
+  } catch (err) {
+    console.error("Error creating instructor:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Email already exists" });
+    }
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
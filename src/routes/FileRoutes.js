@@ -0,0 +1,89 @@
+import express from "express";
+import { authenticateAdmin, authenticateAny } from "../middleware/auth.js";
+import { receiveFile } from "../middleware/upload.js";
+import { getStorage } from "../storage/index.js";
+import { FILE_FOLDERS, storeAttachment, contentTypeFor } from "../services/attachments.js";
+
+const router = express.Router();
+
+const SAFE_NAME = /^[\w-][\w.-]*$/;
+
+/**
+ * 📤 Stream a stored file. Responds 404 for unknown folders, unsafe names and
+ * missing files.
+ */
+async function sendStoredFile(folder, name, res) {
+  if (!Object.values(FILE_FOLDERS).includes(folder) || !SAFE_NAME.test(name)) {
+    return res.status(404).json({ message: "File not found" });
+  }
+
+  const file = await getStorage().get(`${folder}/${name}`);
+  if (!file) return res.status(404).json({ message: "File not found" });
+
+  res.set({
+    "Content-Type": file.contentType || contentTypeFor(name),
+    "X-Content-Type-Options": "nosniff",
+    // Content-addressed names never change content; only the signed-in user may cache them
+    "Cache-Control": "private, max-age=31536000, immutable",
+  });
+  if (file.size !== undefined) res.set("Content-Length", String(file.size));
+
+  file.stream.on("error", (err) => {
+    console.error(`❌ Error streaming file ${folder}/${name}:`, err);
+    res.destroy(err);
+  });
+  file.stream.pipe(res);
+}
+
+/**
+ * 🟢 Upload a question attachment or feedback file (multipart, field "file").
+ * `kind` (form field or query) is "question" (default) or "feedback".
+ * Returns the URL to put in a question's `files` or a feedback `file`.
+ */
+router.post("/", authenticateAdmin, receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ code: "VALIDATION_ERROR", message: "Attach the file as the \"file\" field" });
+    }
+
+    const { file, error } = await storeAttachment({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      kind: req.body?.kind || req.query.kind || "question",
+    });
+    if (error) return res.status(error.status).json(error.body);
+
+    console.log(`📎 ${file.duplicate ? "Reused" : "Stored"} ${file.key} (${file.size} bytes) for ${req.admin.email}`);
+    res.status(file.duplicate ? 200 : 201).json({ message: "File uploaded", file });
+  } catch (err) {
+    console.error("Error uploading file:", err);
+    res.status(500).json({ message: "Server error uploading file" });
+  }
+});
+
+// ✅ Download a stored file (students and instructors)
+router.get("/:folder/:name", authenticateAny, async (req, res) => {
+  try {
+    await sendStoredFile(req.params.folder, req.params.name, res);
+  } catch (err) {
+    console.error("Error serving file:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * 🔗 Older questions link files as /QuestionFile/<name> and /CorrectFile/<name>;
+ * mount this on those paths so the links keep working (behind the same auth).
+ */
+export const legacyFileRoutes = express.Router();
+
+legacyFileRoutes.get("/:name", authenticateAny, async (req, res) => {
+  try {
+    await sendStoredFile(req.baseUrl.replace(/^\//, ""), req.params.name, res);
+  } catch (err) {
+    console.error("Error serving file:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,275 @@
+import express from "express";
+import mongoose from "mongoose";
+import Test from "../models/Test.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import RegradeLog from "../models/RegradeLog.js";
+import { authenticateAdmin } from "../middleware/auth.js";
+import { applyManualGrade, summarizeResults } from "../grading/index.js";
+import { loadTestForAttempt } from "../services/testVersions.js";
+import { regradeTest } from "../services/regrade.js";
+import { findSimilarSubmissions, SIMILARITY_DEFAULTS } from "../services/similarity.js";
+
+const router = express.Router();
+
+// Tests whose answers the instructor may grade (super admins grade everything)
+const gradableTestFilter = (admin) => (admin.role === "superadmin" ? {} : { createdBy: admin._id });
+
+/**
+ * 🟢 Essay answers waiting for an instructor, grouped by test.
+ * Optional ?testId= narrows the queue to one test.
+ */
+router.get("/queue", authenticateAdmin, async (req, res) => {
+  try {
+    const filter = gradableTestFilter(req.admin);
+    if (req.query.testId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.testId)) {
+        return res.status(404).json({ message: "Test not found" });
+      }
+      filter._id = req.query.testId;
+    }
+
+    const tests = await Test.find(filter).select("title subjectCode").lean();
+    const testsById = new Map(tests.map(t => [t._id.toString(), t]));
+
+    const attempts = await StudentTestAttempt.find({
+      test: { $in: tests.map(t => t._id) },
+      gradingStatus: "pending",
+    })
+      .populate("student", "firstName lastName studentID section")
+      .sort({ submittedAt: 1 })
+      .lean();
+
+    const queue = new Map();
+    for (const attempt of attempts) {
+      const testId = attempt.test.toString();
+      if (!queue.has(testId)) {
+        const test = testsById.get(testId);
+        queue.set(testId, { testId, title: test.title, subjectCode: test.subjectCode, answers: [] });
+      }
+
+      for (const result of attempt.questionResults.filter(r => r.gradingStatus === "pending")) {
+        queue.get(testId).answers.push({
+          attemptId: attempt._id,
+          attemptNumber: attempt.attemptNumber || 1,
+          student: attempt.student,
+          submittedAt: attempt.submittedAt,
+          questionId: result.questionId,
+          questionText: result.questionText,
+          studentAnswer: result.studentAnswer,
+          maxPoints: result.maxPoints,
+        });
+      }
+    }
+
+    const grouped = [...queue.values()];
+    res.json({
+      totalPending: grouped.reduce((sum, t) => sum + t.answers.length, 0),
+      tests: grouped,
+    });
+  } catch (err) {
+    console.error("Error fetching grading queue:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * 🟡 Grade one answer: { points, feedback }.
+ * Re-grading an already graded answer is allowed. The attempt's score,
+ * percentage and passed are recomputed, and it leaves "awaiting grading" once
+ * nothing is pending.
+ */
+router.patch("/attempts/:attemptId/questions/:questionId", authenticateAdmin, async (req, res) => {
+  try {
+    const { attemptId, questionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+      return res.status(404).json({ message: "Attempt not found" });
+    }
+
+    const attempt = await StudentTestAttempt.findById(attemptId);
+    if (!attempt) return res.status(404).json({ message: "Attempt not found" });
+
+    const test = await Test.findOne({ _id: attempt.test, ...gradableTestFilter(req.admin) }).lean();
+    if (!test) {
+      return res.status(403).json({ code: "NOT_TEST_OWNER", message: "You can only grade tests you created" });
+    }
+
+    const result = attempt.questionResults.find(r => r.questionId.toString() === questionId);
+    if (!result) return res.status(404).json({ message: "Question not found in this attempt" });
+
+    if (!["pending", "graded"].includes(result.gradingStatus)) {
+      return res.status(400).json({ code: "NOT_MANUALLY_GRADED", message: "This answer was graded automatically" });
+    }
+
+    const error = applyManualGrade(result, {
+      points: req.body?.points,
+      feedback: req.body?.feedback,
+      gradedBy: req.admin._id,
+    });
+    if (error) return res.status(400).json({ code: "VALIDATION_ERROR", message: error });
+
+    // Passing points as of the version the attempt was taken on
+    const summary = summarizeResults(await loadTestForAttempt(attempt, test), attempt.questionResults);
+    attempt.set({
+      score: summary.score,
+      totalPoints: summary.totalPoints,
+      percentage: summary.percentage,
+      passed: summary.passed,
+      gradingStatus: summary.gradingStatus,
+    });
+    await attempt.save();
+
+    console.log(`📝 Graded question ${questionId} on attempt ${attemptId}: ${result.pointsEarned}/${result.maxPoints}`);
+
+    res.json({
+      message: summary.gradingStatus === "complete" ? "Grading complete" : "Answer graded",
+      attempt: {
+        attemptId: attempt._id,
+        score: summary.score,
+        totalPoints: summary.totalPoints,
+        percentage: summary.percentage,
+        passed: summary.passed,
+        gradingStatus: summary.gradingStatus,
+        pendingReview: summary.pendingReview,
+      },
+      result,
+    });
+  } catch (err) {
+    console.error("Error grading answer:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ===== REGRADE =====
+
+const isPreview = (req) => ["true", "1", true].includes(req.query.preview ?? req.body?.preview);
+
+async function runRegrade(req, res, questionIds) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.testId)) {
+      return res.status(404).json({ message: "Test not found" });
+    }
+    if (!Array.isArray(questionIds) || !questionIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ code: "VALIDATION_ERROR", message: "questionIds must be a list of question ids" });
+    }
+
+    const test = await Test.findOne({ _id: req.params.testId, ...gradableTestFilter(req.admin) });
+    if (!test) {
+      return res.status(403).json({ code: "NOT_TEST_OWNER", message: "You can only regrade tests you created" });
+    }
+
+    const preview = isPreview(req);
+    const { error, attemptsChecked, changes, passStatusChanged, log } = await regradeTest(test, {
+      questionIds,
+      preview,
+      admin: req.admin,
+      reason: typeof req.body?.reason === "string" ? req.body.reason.trim() : "",
+    });
+    if (error) return res.status(error.status).json(error.body);
+
+    const rows = changes.map(({ studentInfo, ...change }) => ({ ...change, student: studentInfo }));
+    res.json({
+      message: preview
+        ? `${changes.length} attempt(s) would change`
+        : `Regraded ${changes.length} of ${attemptsChecked} attempt(s)`,
+      preview,
+      regradeId: log?._id || null,
+      attemptsChecked,
+      attemptsChanged: changes.length,
+      passStatusChanged,
+      passStatusChanges: rows.filter(row => row.oldPassed !== row.newPassed),
+      changes: rows,
+    });
+  } catch (err) {
+    console.error("Error regrading test:", err);
+    res.status(500).json({ message: "Server error regrading" });
+  }
+}
+
+/**
+ * 🟢 Regrade a test's submitted attempts against its current answer keys,
+ * after fixing a wrong correctAnswer. Body: { questionIds (optional, default
+ * every question), reason }. ?preview=true (or { preview: true }) only reports
+ * what would change, including whose pass/fail status flips. Refused with 409
+ * KEY_LAYOUT_CHANGED when the fix also reordered or edited choices, items or
+ * pairs, since stored answers point into the layout students saw.
+ */
+router.post("/tests/:testId/regrade", authenticateAdmin, (req, res) =>
+  runRegrade(req, res, req.body?.questionIds ?? []));
+
+// ✅ Regrade one question (test or drawn bank question); same body and ?preview as above
+router.post("/tests/:testId/questions/:questionId/regrade", authenticateAdmin, (req, res) =>
+  runRegrade(req, res, [req.params.questionId]));
+
+// ✅ Regrades run on a test, newest first (per-attempt changes at /regrades/:id)
+router.get("/tests/:testId/regrades", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.testId)) {
+      return res.status(404).json({ message: "Test not found" });
+    }
+    const test = await Test.exists({ _id: req.params.testId, ...gradableTestFilter(req.admin) });
+    if (!test) return res.status(403).json({ code: "NOT_TEST_OWNER", message: "You can only view tests you created" });
+
+    const logs = await RegradeLog.find({ test: req.params.testId })
+      .select("-changes")
+      .populate("requestedBy", "email")
+      .sort({ startedAt: -1 })
+      .lean();
+    res.json(logs);
+  } catch (err) {
+    console.error("Error listing regrades:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ One regrade with every attempt it changed (old and new scores)
+router.get("/regrades/:id", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Regrade not found" });
+    }
+    const log = await RegradeLog.findById(req.params.id)
+      .populate("requestedBy", "email")
+      .populate("changes.student", "firstName lastName studentID section")
+      .lean();
+    if (!log) return res.status(404).json({ message: "Regrade not found" });
+
+    const test = await Test.exists({ _id: log.test, ...gradableTestFilter(req.admin) });
+    if (!test) return res.status(403).json({ code: "NOT_TEST_OWNER", message: "You can only view tests you created" });
+
+    res.json(log);
+  } catch (err) {
+    console.error("Error fetching regrade:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ===== SIMILARITY =====
+
+/**
+ * 🟢 Pairs of students whose submissions look alike: shared essay wording and
+ * identical wrong answers, weighted up for submitting close together and for
+ * being in the same section. ?minScore= (default 0.3) &limit= (default 50).
+ */
+router.get("/tests/:testId/similarity", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.testId)) {
+      return res.status(404).json({ message: "Test not found" });
+    }
+    const test = await Test.findOne({ _id: req.params.testId, ...gradableTestFilter(req.admin) }).select("title subjectCode").lean();
+    if (!test) return res.status(403).json({ code: "NOT_TEST_OWNER", message: "You can only view tests you created" });
+
+    const minScore = Number(req.query.minScore ?? SIMILARITY_DEFAULTS.minScore);
+    const limit = Number.parseInt(req.query.limit ?? SIMILARITY_DEFAULTS.limit, 10);
+    if (!Number.isFinite(minScore) || minScore < 0 || !Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ code: "VALIDATION_ERROR", message: "minScore must be a non-negative number and limit a positive integer" });
+    }
+
+    const report = await findSimilarSubmissions(test, { minScore, limit: Math.min(limit, 500) });
+    res.json({ testId: test._id, title: test.title, subjectCode: test.subjectCode, minScore, ...report });
+  } catch (err) {
+    console.error("Error comparing submissions:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
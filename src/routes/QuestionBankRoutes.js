@@ -0,0 +1,187 @@
+import express from "express";
+import mongoose from "mongoose";
+import Question from "../models/Question.js";
+import Test from "../models/Test.js";
+import { authenticateAdmin } from "../middleware/auth.js";
+import { validateBankQuestion, pickBankQuestionFields } from "../validation/testValidation.js";
+import { collectQuestionFileKeys, releaseDroppedFiles, removeOrphanedFiles } from "../services/attachments.js";
+
+const router = express.Router();
+
+// Every instructor can browse the bank and use its questions in their tests;
+// only a question's author (or a super admin) may change or delete it.
+
+const MAX_PAGE_SIZE = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const validationError = (res, errors) =>
+  res.status(400).json({ code: "VALIDATION_ERROR", message: "Invalid question data", errors });
+
+/**
+ * 🔒 Load :id as `req.question`, only if the instructor wrote it.
+ */
+async function loadOwnedQuestion(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) return res.status(404).json({ message: "Question not found" });
+
+    const isOwner = question.createdBy && question.createdBy.toString() === req.admin._id.toString();
+    if (!isOwner && req.admin.role !== "superadmin") {
+      return res.status(403).json({ code: "NOT_QUESTION_OWNER", message: "You can only edit questions you created" });
+    }
+
+    req.question = question;
+    next();
+  } catch (err) {
+    console.error("Error loading question:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+/**
+ * 🟢 Browse the bank.
+ * Filters: ?subjectCode= &topic= &difficulty= &tag= (repeatable) &type= &search= &mine=true
+ * Paging: ?page= (1-based) &limit= (default 50, at most 200)
+ */
+router.get("/", authenticateAdmin, async (req, res) => {
+  try {
+    const { subjectCode, topic, difficulty, tag, type, search, mine } = req.query;
+    const filter = {};
+    if (subjectCode) filter.subjectCode = String(subjectCode);
+    if (topic) filter.topic = String(topic);
+    if (difficulty) filter.difficulty = String(difficulty);
+    if (type) filter.type = String(type);
+    if (tag) filter.tags = { $all: [].concat(tag).map(String) };
+    if (search) filter.text = new RegExp(escapeRegex(String(search)), "i");
+    if (mine === "true") filter.createdBy = req.admin._id;
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+
+    const [total, questions] = await Promise.all([
+      Question.countDocuments(filter),
+      Question.find(filter).sort({ subjectCode: 1, topic: 1, createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ]);
+
+    res.json({ total, page, limit, questions });
+  } catch (err) {
+    console.error("Error listing bank questions:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * 🟢 How many bank questions there are per subject, topic and difficulty -
+ * the pools draw rules pick from. Optional ?subjectCode= narrows it.
+ */
+router.get("/pools", authenticateAdmin, async (req, res) => {
+  try {
+    const match = req.query.subjectCode ? { subjectCode: String(req.query.subjectCode) } : {};
+    const pools = await Question.aggregate([
+      { $match: match },
+      { $group: { _id: { subjectCode: "$subjectCode", topic: "$topic", difficulty: "$difficulty" }, count: { $sum: 1 } } },
+      { $sort: { "_id.subjectCode": 1, "_id.topic": 1, "_id.difficulty": 1 } },
+    ]);
+
+    res.json(pools.map(({ _id, count }) => ({ ..._id, count })));
+  } catch (err) {
+    console.error("Error summarizing question pools:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ One bank question, with the tests that use it directly
+router.get("/:id", authenticateAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    const question = await Question.findById(req.params.id).lean();
+    if (!question) return res.status(404).json({ message: "Question not found" });
+
+    const usedBy = await Test.find({ bankQuestions: question._id }).select("title subjectCode").lean();
+    res.json({ ...question, usedBy });
+  } catch (err) {
+    console.error("Error fetching bank question:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Add a question to the bank
+router.post("/", authenticateAdmin, async (req, res) => {
+  try {
+    const data = pickBankQuestionFields(req.body);
+
+    const errors = validateBankQuestion(data);
+    if (errors.length) return validationError(res, errors);
+
+    const question = await Question.create({
+      ...data,
+      createdBy: req.admin._id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    console.log(`🏦 Bank question added by ${req.admin.email}: ${question.subjectCode}/${question.topic || "-"}`);
+    res.status(201).json(question);
+  } catch (err) {
+    console.error("Error adding bank question:", err);
+    res.status(500).json({ message: "Server error adding question" });
+  }
+});
+
+// ✅ Edit a bank question - applies to every attempt started from now on
+router.patch("/:id", authenticateAdmin, loadOwnedQuestion, async (req, res) => {
+  try {
+    const changes = pickBankQuestionFields(req.body);
+
+    const errors = validateBankQuestion({ ...req.question.toObject(), ...changes });
+    if (errors.length) return validationError(res, errors);
+
+    const filesBefore = collectQuestionFileKeys([req.question]);
+    req.question.set({ ...changes, updatedAt: new Date() });
+    await req.question.save();
+    await releaseDroppedFiles(filesBefore, [req.question]);
+
+    console.log(`✏️ Bank question updated: ${req.question._id}`);
+    res.json(req.question);
+  } catch (err) {
+    console.error("Error updating bank question:", err);
+    res.status(500).json({ message: "Server error updating question" });
+  }
+});
+
+/**
+ * 🔴 Delete a bank question. Refused while a test lists it in bankQuestions;
+ * attempts that already drew it keep their own copy.
+ */
+router.delete("/:id", authenticateAdmin, loadOwnedQuestion, async (req, res) => {
+  try {
+    const usedBy = await Test.find({ bankQuestions: req.question._id }).select("title subjectCode").lean();
+    if (usedBy.length) {
+      return res.status(409).json({
+        code: "QUESTION_IN_USE",
+        message: "Remove this question from the tests that use it first",
+        usedBy,
+      });
+    }
+
+    const files = collectQuestionFileKeys([req.question]);
+    await req.question.deleteOne();
+    await removeOrphanedFiles(files);
+
+    console.log(`🗑️ Bank question deleted: ${req.params.id}`);
+    res.json({ message: "Question deleted", questionId: req.params.id });
+  } catch (err) {
+    console.error("Error deleting bank question:", err);
+    res.status(500).json({ message: "Server error deleting question" });
+  }
+});
+
+export default router;
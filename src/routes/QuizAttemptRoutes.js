@@ -1,57 +1,44 @@
 import express from "express";
+import mongoose from "mongoose";
 import StudentTestAttempt from "../models/StudentTestAttempt.js";
 import Test from "../models/Test.js";
+import { authenticate, ensureSelf } from "../middleware/auth.js";
+import {
+  submitAttempt,
+  saveAnswers,
+  getRemainingSeconds,
+} from "../services/attemptSessions.js";
+import { loadTestForAttempt } from "../services/testVersions.js";
+import { submitOfflineBundle } from "../services/offlineAttempts.js";
+import { recordProctoringEvents } from "../services/proctoring.js";
+import { serializeTestSummary } from "../serializers/testSerializer.js";
+import { serializeAttempt, serializeAttemptQuestions } from "../serializers/attemptSerializer.js";
 
 const router = express.Router();
 
 /**
  * 🟢 Submit quiz attempt
- * Calculates score, correctness, and stores in MongoDB.
+ * Calculates score, correctness, and stores in MongoDB. With an Idempotency-Key
+ * header a retry returns the original attempt (200, replayed: true).
  */
-router.post("/", async (req, res) => {
+router.post("/", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId, testId, answers } = req.body;
+    const { testId, answers } = req.body;
+    const studentObjectId = req.student._id;
 
-    // Convert string studentId to ObjectId if needed
-    const studentObjectId = typeof studentId === 'string' 
-      ? new mongoose.Types.ObjectId(studentId) 
-      : studentId;
+    const liveTest = await Test.findById(testId).lean();
+    if (!liveTest) return res.status(404).json({ message: "Test not found" });
 
-    // Check if student already attempted this test
-    const existingAttempt = await StudentTestAttempt.findOne({
-      student: studentObjectId,
-      test: testId
-    });
-
-    if (existingAttempt) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Test already attempted" 
-      });
-    }
-
-    const test = await Test.findById(testId).lean();
-    if (!test) return res.status(404).json({ message: "Test not found" });
-
-    console.log(`📝 Processing quiz attempt for test: ${test.title}`);
+    console.log(`📝 Processing quiz attempt for test: ${liveTest.title}`);
     console.log(`👤 Student ID: ${studentObjectId}`);
-    console.log(`📊 Received ${answers.length} answers`);
+    console.log(`📊 Received ${answers?.length || 0} answers`);
 
-    // Use the same comprehensive scoring function
-    const result = processQuizSubmissionWithStudentTestAttempt(test, answers, studentObjectId);
-    
-    const attempt = new StudentTestAttempt({
-      student: studentObjectId,
-      test: testId,
-      questionResults: result.questionResults,
-      score: result.score,
-      totalPoints: result.totalPoints,
-      percentage: result.percentage,
-      passed: result.passed,
-      submittedAt: new Date(),
+    // Same grading as every other submit route: into the open session (rejects repeats
+    // and expired sessions), over the questions frozen on it, against its version
+    const { attempt, test, result, replayed, error } = await submitAttempt(liveTest, req.student, answers, {
+      idempotencyKey: req.get("Idempotency-Key") ?? null,
     });
-
-    await attempt.save();
+    if (error) return res.status(error.status).json(error.body);
     
     console.log(`✅ Quiz attempt saved successfully:`, {
       score: result.score,
@@ -60,7 +47,7 @@ router.post("/", async (req, res) => {
       passed: result.passed
     });
 
-    res.status(201).json(attempt);
+    res.status(replayed ? 200 : 201).json({ ...serializeAttempt(attempt, { test }), replayed });
   } catch (error) {
     console.error("❌ Error saving quiz attempt:", error);
     res.status(500).json({ message: "Server error" });
@@ -68,202 +55,152 @@ router.post("/", async (req, res) => {
 });
 
 /**
- * 🎯 Comprehensive Quiz Submission Processing Function for StudentTestAttempt
- * Handles all question types and scoring logic based on Test.js and StudentTestAttempt.js models
+ * 🟢 Upload answers taken offline: { ticket, answers, startedAt, finishedAt,
+ * idempotencyKey } (the key may also come as an Idempotency-Key header).
+ * Sending the same bundle again returns the stored result with replayed: true.
  */
-function processQuizSubmissionWithStudentTestAttempt(test, studentAnswers, studentId) {
-  console.log(`🔄 Processing quiz submission for test: ${test.title}`);
-  
-  let totalPoints = 0;
-  let score = 0;
-  let correctAnswers = 0;
-  const questionResults = [];
+router.post("/offline", authenticate, ensureSelf, async (req, res) => {
+  try {
+    const bundle = { ...req.body, idempotencyKey: req.get("Idempotency-Key") || req.body?.idempotencyKey };
+    const { attempt, test, replayed, error } = await submitOfflineBundle(req.student, bundle);
+    if (error) return res.status(error.status).json(error.body);
 
-  // Process each question in the test
-  for (const question of test.questions) {
-    console.log(`\n🔍 Processing Question: ${question.text.substring(0, 50)}...`);
-    console.log(`   Type: ${question.type}, Points: ${question.points}`);
-    
-    // Find the student's answer for this question
-    const studentAnswer = studentAnswers.find(a => 
-      a.questionId && a.questionId.toString() === question._id.toString()
-    );
-    
-    const result = evaluateQuestion(question, studentAnswer);
-    
-    console.log(`   Student Answer: ${JSON.stringify(studentAnswer ? studentAnswer.answer : 'No answer')}`);
-    console.log(`   Correct Answer: ${JSON.stringify(question.correctAnswer)}`);
-    console.log(`   Is Correct: ${result.isCorrect}, Points Earned: ${result.pointsEarned}`);
-    
-    // Update totals
-    totalPoints += question.points || 0;
-    score += result.pointsEarned;
-    if (result.isCorrect) correctAnswers++;
-    
-    // Store detailed answer information for StudentTestAttempt
-    questionResults.push({
-      questionId: question._id,
-      questionText: question.text,
-      questionType: question.type,
-      studentAnswer: studentAnswer ? studentAnswer.answer : null,
-      correctAnswer: question.correctAnswer || null, // Store the actual correct answer from the question, default to null if undefined
-      isCorrect: result.isCorrect,
-      pointsEarned: result.pointsEarned,
-      maxPoints: question.points || 0,
-      feedback: {
-        text: result.isCorrect ? (question.feedbackWhenCorrect?.text || "") : (question.feedbackWhenIncorrect?.text || ""),
-        file: result.isCorrect ? (question.feedbackWhenCorrect?.file || "") : (question.feedbackWhenIncorrect?.file || "")
-      }
-    });
+    res.status(replayed ? 200 : 201).json({ ...serializeAttempt(attempt, { test }), replayed });
+  } catch (error) {
+    console.error("❌ Error receiving offline bundle:", error);
+    res.status(500).json({ message: "Server error" });
   }
+});
 
-  // Calculate final results
-  const percentage = totalPoints > 0 ? (score / totalPoints) * 100 : 0;
-  const passed = percentage >= (test.passingPoints || 50);
+/**
+ * 🔵 Get attempts for the authenticated student
+ * The :studentId segment is kept for older app builds and must match the token.
+ */
+router.get("/student/:studentId", authenticate, ensureSelf, async (req, res) => {
+  try {
+    const attempts = await StudentTestAttempt.find({ student: req.student._id, status: { $ne: "in-progress" } })
+      .populate("test", "title subjectCode totalPoints passingPoints reviewPolicy deadline")
+      .sort({ submittedAt: -1 });
+    res.json(attempts.map(attempt => serializeAttempt(attempt)));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to get attempts" });
+  }
+});
 
-  console.log(`\n📊 Final Results:`);
-  console.log(`   Correct Answers: ${correctAnswers}/${test.questions.length}`);
-  console.log(`   Score: ${score}/${totalPoints}`);
-  console.log(`   Percentage: ${percentage.toFixed(2)}%`);
-  console.log(`   Passed: ${passed}`);
+// ===== AUTOSAVE =====
 
-  return {
-    questionResults,
-    score,
-    totalPoints,
-    percentage,
-    passed,
-    correctAnswers,
-    totalQuestions: test.questions.length
-  };
+// The student's own attempt and its live test, or null after answering 404
+async function loadOwnAttempt(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Attempt not found" });
+    return null;
+  }
+  const attempt = await StudentTestAttempt.findOne({ _id: req.params.id, student: req.student._id });
+  if (!attempt) {
+    res.status(404).json({ success: false, message: "Attempt not found" });
+    return null;
+  }
+  return { attempt, test: await Test.findById(attempt.test).lean() };
 }
 
 /**
- * 🎯 Question Evaluation Function
- * Evaluates a single question based on its type and returns scoring information
+ * 🟡 Autosave one answer on an open attempt: { answer, version }.
+ * `version` is the version last returned for this question (0 for a first
+ * save); a stale one gets 409 STALE_ANSWER with the newer saved copy.
  */
-function evaluateQuestion(question, studentAnswer) {
-  let isCorrect = false;
-  let pointsEarned = 0;
-
-  // If no student answer provided, question is incorrect
-  if (!studentAnswer || studentAnswer.answer === null || studentAnswer.answer === undefined) {
-    return { isCorrect: false, pointsEarned: 0 };
+router.put("/:id/answers/:questionId", authenticate, async (req, res) => {
+  try {
+    const loaded = await loadOwnAttempt(req, res);
+    if (!loaded) return;
+
+    const { answer = null, version } = req.body || {};
+    const { results, error } = await saveAnswers(loaded.attempt, loaded.test, [
+      { questionId: req.params.questionId, answer, version },
+    ]);
+    if (error) return res.status(error.status).json(error.body);
+
+    const [result] = results;
+    if (result.error) return res.status(result.error.status).json(result.error.body);
+    res.json({ success: true, ...result, remainingSeconds: getRemainingSeconds(loaded.attempt) });
+  } catch (error) {
+    console.error("❌ Error autosaving answer:", error);
+    res.status(500).json({ success: false, message: "Server error saving answer" });
   }
+});
 
-  const studentAns = studentAnswer.answer;
-  const correctAns = question.correctAnswer;
-
-  switch (question.type) {
-    case 'multiple':
-      // Multiple choice: handle different correctAnswer formats
-      if (Array.isArray(correctAns) && correctAns.length > 0) {
-        // If correctAnswer is an array like ["B"], convert to index
-        const correctChoice = correctAns[0]; // Get the first (and usually only) correct choice
-        const choiceIndex = question.choices ? question.choices.indexOf(correctChoice) : -1;
-        isCorrect = studentAns === choiceIndex;
-      } else if (typeof correctAns === 'number') {
-        // If correctAnswer is already an index
-        isCorrect = studentAns === correctAns;
-      } else {
-        isCorrect = false;
-      }
-      break;
-
-    case 'truefalse':
-      // True/False: convert student answer to boolean (handle both boolean and numeric formats)
-      let studentBool;
-      if (typeof studentAns === 'boolean') {
-        studentBool = studentAns;
-      } else if (typeof studentAns === 'number') {
-        studentBool = studentAns === 1; // 1 = true, 0 = false
-      } else if (typeof studentAns === 'string') {
-        studentBool = studentAns.toLowerCase() === 'true';
-      } else {
-        studentBool = false;
-      }
-      
-      // Convert correct answer to boolean
-      let correctBool;
-      if (typeof correctAns === 'string') {
-        correctBool = correctAns.toLowerCase() === 'true';
-      } else if (typeof correctAns === 'boolean') {
-        correctBool = correctAns;
-      } else if (typeof correctAns === 'number') {
-        correctBool = correctAns === 1; // 1 = true, 0 = false
-      } else {
-        correctBool = false;
-      }
-      
-      isCorrect = studentBool === correctBool;
-      break;
-
-    case 'enumeration':
-      // Enumeration: compare arrays of answers (order doesn't matter)
-      if (Array.isArray(studentAns) && Array.isArray(correctAns)) {
-        // Sort both arrays and compare
-        const sortedStudent = [...studentAns].sort();
-        const sortedCorrect = [...correctAns].sort();
-        isCorrect = JSON.stringify(sortedStudent) === JSON.stringify(sortedCorrect);
-      } else {
-        isCorrect = false;
-      }
-      break;
-
-    case 'identification':
-      // Identification: case-insensitive string comparison
-      if (typeof studentAns === 'string' && typeof correctAns === 'string') {
-        isCorrect = studentAns.toLowerCase().trim() === correctAns.toLowerCase().trim();
-      } else if (correctAns === undefined || correctAns === null) {
-        // If correct answer is undefined/null, mark as incorrect
-        isCorrect = false;
-      } else {
-        isCorrect = false;
-      }
-      break;
+/**
+ * 🟡 Autosave several answers at once (e.g. after reconnecting):
+ * { answers: [{ questionId, answer, version }] }. Each is saved or rejected on
+ * its own; rejected ones come back with the reason.
+ */
+router.put("/:id/answers", authenticate, async (req, res) => {
+  try {
+    const entries = req.body?.answers;
+    if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== "object")) {
+      return res.status(400).json({ success: false, code: "VALIDATION_ERROR", message: "answers must be a list of { questionId, answer, version }" });
+    }
 
-    case 'essay':
-      // Essay: always marked as incorrect for automatic grading
-      // In a real system, this would be manually graded later
-      isCorrect = false;
-      break;
+    const loaded = await loadOwnAttempt(req, res);
+    if (!loaded) return;
 
-    default:
-      console.warn(`⚠️ Unknown question type: ${question.type}`);
-      isCorrect = false;
-  }
+    const { results, error } = await saveAnswers(loaded.attempt, loaded.test, entries);
+    if (error) return res.status(error.status).json(error.body);
 
-  // Award points if correct
-  if (isCorrect) {
-    pointsEarned = question.points || 0;
+    const rejected = results.filter(r => r.error).map(({ questionId, error: { body } }) => ({ questionId, ...body }));
+    res.json({
+      success: rejected.length === 0,
+      saved: results.filter(r => !r.error),
+      rejected,
+      remainingSeconds: getRemainingSeconds(loaded.attempt),
+    });
+  } catch (error) {
+    console.error("❌ Error autosaving answers:", error);
+    res.status(500).json({ success: false, message: "Server error saving answers" });
   }
+});
 
-  return { isCorrect, pointsEarned };
-}
+// ===== PROCTORING =====
 
 /**
- * 🔵 Get attempts by student ID
+ * 🟢 Report what the app noticed during an open attempt: one event
+ * { type, occurredAt, durationSeconds, details } or { events: [...] }.
+ * Types: app-backgrounded, focus-lost, copy, paste, screenshot, network-change.
+ * The response says how many violations the attempt has and whether that just
+ * got it submitted.
  */
-router.get("/student/:studentId", async (req, res) => {
+router.post("/:id/proctoring-events", authenticate, async (req, res) => {
   try {
-    const attempts = await StudentTestAttempt.find({ student: req.params.studentId })
-      .populate("test", "title subjectCode totalPoints passingPoints")
-      .sort({ submittedAt: -1 });
-    res.json(attempts);
+    const loaded = await loadOwnAttempt(req, res);
+    if (!loaded) return;
+
+    const entries = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+    const { error, ...recorded } = await recordProctoringEvents(loaded.attempt, loaded.test, entries);
+    if (error) return res.status(error.status).json(error.body);
+
+    res.status(201).json({ success: true, ...recorded });
   } catch (error) {
-    res.status(500).json({ message: "Failed to get attempts" });
+    console.error("❌ Error recording proctoring events:", error);
+    res.status(500).json({ success: false, message: "Server error recording events" });
   }
 });
 
 /**
  * 🟣 Get one attempt by ID
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", authenticate, async (req, res) => {
   try {
-    const attempt = await StudentTestAttempt.findById(req.params.id)
-      .populate("test", "title subjectCode questions");
+    const attempt = await StudentTestAttempt.findOne({ _id: req.params.id, student: req.student._id }).lean();
     if (!attempt) return res.status(404).json({ message: "Not found" });
-    res.json(attempt);
+
+    // Rendered from the version the attempt was taken on, even if the test was edited or deleted since
+    const test = await loadTestForAttempt(attempt, await Test.findById(attempt.test).lean());
+    res.json({
+      ...serializeAttempt(attempt, { test }),
+      // Questions carry keys only when the review policy allows it
+      test: test
+        ? { ...serializeTestSummary(test), questions: serializeAttemptQuestions(test, attempt) }
+        : attempt.test,
+    });
   } catch (error) {
     res.status(500).json({ message: "Failed to get attempt" });
   }
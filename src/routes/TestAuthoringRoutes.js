@@ -0,0 +1,679 @@
+import express from "express";
+import mongoose from "mongoose";
+import Test from "../models/Test.js";
+import TestVersion from "../models/TestVersion.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { authenticateAdmin } from "../middleware/auth.js";
+import { receiveFile } from "../middleware/upload.js";
+import {
+  validateTest,
+  validateQuestion,
+  pickTestFields,
+  pickQuestionFields,
+} from "../validation/testValidation.js";
+import { validatePrerequisites } from "../services/prerequisites.js";
+import { validateBankReferences, countAttemptQuestions } from "../services/questionBank.js";
+import {
+  publishTest,
+  findVersion,
+  findLatestVersion,
+  diffVersions,
+  getTestStatus,
+  hasUnpublishedChanges,
+  VERSIONED_FIELDS,
+} from "../services/testVersions.js";
+import { collectQuestionFileKeys, releaseDroppedFiles, removeOrphanedFiles } from "../services/attachments.js";
+import { FORMATS, formatForFile, importQuestions, exportTest } from "../interchange/index.js";
+
+const router = express.Router();
+
+/**
+ * 🔒 Load :id as `req.test`, only if the instructor created it.
+ * Super admins may edit any test.
+ */
+async function loadOwnedTest(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Test not found" });
+    }
+
+    const test = await Test.findById(req.params.id);
+    if (!test) return res.status(404).json({ message: "Test not found" });
+
+    const isOwner = test.createdBy && test.createdBy.toString() === req.admin._id.toString();
+    if (!isOwner && req.admin.role !== "superadmin") {
+      return res.status(403).json({ code: "NOT_TEST_OWNER", message: "You can only edit tests you created" });
+    }
+
+    req.test = test;
+    next();
+  } catch (err) {
+    console.error("Error loading test:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+const validationError = (res, errors) =>
+  res.status(400).json({ code: "VALIDATION_ERROR", message: "Invalid test data", errors });
+
+const prerequisiteError = (res, { errors, cycle }) =>
+  res.status(400).json({
+    code: cycle ? "PREREQUISITE_CYCLE" : "VALIDATION_ERROR",
+    message: cycle ? "Prerequisites would create a cycle" : "Invalid prerequisites",
+    errors,
+    cycle,
+  });
+
+// ✅ Create a test (as a draft; students see it once it is published)
+router.post("/", authenticateAdmin, async (req, res) => {
+  try {
+    const data = pickTestFields(req.body);
+    if (data.questions === undefined) data.questions = [];
+    if (data.howManyQuestions === undefined) data.howManyQuestions = data.questions.length;
+
+    const errors = validateTest(data);
+    if (errors.length) return validationError(res, errors);
+
+    const prerequisiteProblem = await validatePrerequisites({
+      testId: null,
+      subjectCode: data.subjectCode,
+      prerequisites: data.prerequisites || [],
+    });
+    if (prerequisiteProblem) return prerequisiteError(res, prerequisiteProblem);
+
+    const bankProblem = await validateBankReferences(data);
+    if (bankProblem) return validationError(res, bankProblem.errors);
+
+    const test = await Test.create({
+      ...data,
+      status: "draft",
+      createdBy: req.admin._id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    console.log(`🆕 Test created by ${req.admin.email}: ${test.title}`);
+    res.status(201).json(test);
+  } catch (err) {
+    console.error("Error creating test:", err);
+    res.status(500).json({ message: "Server error creating test" });
+  }
+});
+
+// ✅ Replace a test
+router.put("/:id", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const data = pickTestFields(req.body);
+    if (data.questions === undefined) data.questions = [];
+    if (data.howManyQuestions === undefined) data.howManyQuestions = data.questions.length;
+
+    const errors = validateTest(data);
+    if (errors.length) return validationError(res, errors);
+
+    const prerequisiteProblem = await validatePrerequisites({
+      testId: req.test._id,
+      subjectCode: data.subjectCode,
+      prerequisites: data.prerequisites || [],
+    });
+    if (prerequisiteProblem) return prerequisiteError(res, prerequisiteProblem);
+
+    const bankProblem = await validateBankReferences(data);
+    if (bankProblem) return validationError(res, bankProblem.errors);
+
+    // Reset optional fields that the replacement leaves out
+    const filesBefore = collectQuestionFileKeys(req.test.questions);
+    req.test.set({
+      description: "",
+      timeLimit: undefined,
+      availableFrom: undefined,
+      deadline: undefined,
+      access: "Private",
+      passingPoints: 0,
+      shuffleChoices: false,
+      maxAttempts: 1,
+      cooldownMinutes: 0,
+      scoringPolicy: "highest",
+      reviewPolicy: "immediate",
+      assignedSections: [],
+      prerequisites: [],
+      bankQuestions: [],
+      drawRules: [],
+      ...data,
+      updatedAt: new Date(),
+    });
+    await req.test.save();
+    await releaseDroppedFiles(filesBefore, req.test.questions);
+
+    console.log(`✏️ Test replaced: ${req.test._id}`);
+    res.json(req.test);
+  } catch (err) {
+    console.error("Error replacing test:", err);
+    res.status(500).json({ message: "Server error updating test" });
+  }
+});
+
+// ✅ Partially update a test
+router.patch("/:id", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const data = pickTestFields(req.body);
+
+    const errors = validateTest(data, { partial: true });
+    const questionCount = (data.questions || req.test.questions).length;
+    const howMany = data.howManyQuestions ?? req.test.howManyQuestions;
+    if (data.howManyQuestions !== undefined && howMany > questionCount) {
+      errors.push("howManyQuestions cannot exceed the number of questions");
+    }
+    const availableFrom = data.availableFrom !== undefined ? data.availableFrom : req.test.availableFrom;
+    const deadline = data.deadline !== undefined ? data.deadline : req.test.deadline;
+    if (!errors.length && availableFrom && deadline && new Date(availableFrom) >= new Date(deadline)) {
+      errors.push("availableFrom must be before deadline");
+    }
+    if ((data.reviewPolicy ?? req.test.reviewPolicy) === "after-deadline" && !deadline) {
+      errors.push("reviewPolicy after-deadline needs a deadline");
+    }
+    if (errors.length) return validationError(res, errors);
+
+    if (data.prerequisites !== undefined || data.subjectCode !== undefined) {
+      const prerequisiteProblem = await validatePrerequisites({
+        testId: req.test._id,
+        subjectCode: data.subjectCode ?? req.test.subjectCode,
+        prerequisites: data.prerequisites ?? req.test.prerequisites,
+      });
+      if (prerequisiteProblem) return prerequisiteError(res, prerequisiteProblem);
+    }
+
+    if (data.bankQuestions !== undefined || data.drawRules !== undefined || data.subjectCode !== undefined) {
+      const bankProblem = await validateBankReferences({
+        subjectCode: data.subjectCode ?? req.test.subjectCode,
+        bankQuestions: data.bankQuestions ?? req.test.bankQuestions,
+        drawRules: data.drawRules ?? req.test.drawRules,
+      });
+      if (bankProblem) return validationError(res, bankProblem.errors);
+    }
+
+    // New questions: a test that asked every question keeps doing so, others never ask for more than there are
+    if (data.questions !== undefined && data.howManyQuestions === undefined) {
+      const askedAll = req.test.howManyQuestions === req.test.questions.length;
+      data.howManyQuestions = askedAll ? data.questions.length : Math.min(req.test.howManyQuestions, data.questions.length);
+    }
+
+    const filesBefore = collectQuestionFileKeys(req.test.questions);
+    req.test.set({ ...data, updatedAt: new Date() });
+    await req.test.save();
+    if (data.questions !== undefined) await releaseDroppedFiles(filesBefore, req.test.questions);
+
+    console.log(`✏️ Test updated: ${req.test._id}`);
+    res.json(req.test);
+  } catch (err) {
+    console.error("Error updating test:", err);
+    res.status(500).json({ message: "Server error updating test" });
+  }
+});
+
+// ✅ Delete a test - its published versions stay, so past results still render
+router.delete("/:id", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const files = collectQuestionFileKeys(req.test.questions);
+    await req.test.deleteOne();
+    await removeOrphanedFiles(files);
+    console.log(`🗑️ Test deleted: ${req.params.id}`);
+    res.json({ message: "Test deleted successfully", testId: req.params.id });
+  } catch (err) {
+    console.error("Error deleting test:", err);
+    res.status(500).json({ message: "Server error deleting test" });
+  }
+});
+
+// ===== VERSIONS =====
+// Edits change the test's working copy only. Publishing snapshots it as the
+// next version; new attempts are pinned to the latest one.
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * 🟢 Publish the test as it is now: students can take it, and attempts
+ * started from now on get this content. Body: { note } (optional).
+ * Publishing unchanged content (e.g. un-archiving) reuses the latest version.
+ */
+router.post("/:id/publish", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    if (countAttemptQuestions(req.test) === 0) {
+      return res.status(400).json({ code: "NOTHING_TO_PUBLISH", message: "Add questions before publishing this test" });
+    }
+
+    const bankProblem = await validateBankReferences(req.test);
+    if (bankProblem) return validationError(res, bankProblem.errors);
+
+    const note = typeof req.body?.note === "string" ? req.body.note.trim() : "";
+    const { version, created } = await publishTest(req.test, { admin: req.admin, note });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? `Published as version ${version.version}` : `Version ${version.version} is published`,
+      created,
+      version: { _id: version._id, version: version.version, publishedAt: version.publishedAt, note: version.note },
+      test: req.test,
+    });
+  } catch (err) {
+    console.error("Error publishing test:", err);
+    res.status(500).json({ message: "Server error publishing test" });
+  }
+});
+
+/**
+ * 🟢 Archive the test: no new attempts, but students keep their results.
+ * Publish it again to reopen it.
+ */
+router.post("/:id/archive", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    req.test.status = "archived";
+    req.test.updatedAt = new Date();
+    await req.test.save();
+
+    console.log(`📦 Test archived: ${req.test._id}`);
+    res.json({ message: "Test archived", test: req.test });
+  } catch (err) {
+    console.error("Error archiving test:", err);
+    res.status(500).json({ message: "Server error archiving test" });
+  }
+});
+
+// ✅ Published versions of a test, newest first, with how many attempts each has
+router.get("/:id/versions", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const [versions, attemptCounts, latest] = await Promise.all([
+      TestVersion.aggregate([
+        { $match: { test: req.test._id } },
+        { $sort: { version: -1 } },
+        { $project: { version: 1, title: 1, note: 1, publishedBy: 1, publishedAt: 1, questionCount: { $size: "$questions" } } },
+      ]),
+      StudentTestAttempt.aggregate([
+        { $match: { test: req.test._id, testVersion: { $ne: null } } },
+        { $group: { _id: "$testVersion", count: { $sum: 1 } } },
+      ]),
+      findLatestVersion(req.test._id),
+    ]);
+    const attemptsByVersion = new Map(attemptCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      status: getTestStatus(req.test),
+      publishedVersion: req.test.publishedVersion || null,
+      hasUnpublishedChanges: hasUnpublishedChanges(req.test, latest),
+      versions: versions.map(v => ({ ...v, attempts: attemptsByVersion.get(v._id.toString()) || 0 })),
+    });
+  } catch (err) {
+    console.error("Error listing test versions:", err);
+    res.status(500).json({ message: "Server error listing versions" });
+  }
+});
+
+/**
+ * 🟢 What changed between two versions: ?from=1&to=2. `to` may be "draft"
+ * (the working copy); by default this compares the latest version with it.
+ */
+router.get("/:id/versions/diff", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const working = Object.fromEntries(VERSIONED_FIELDS.map(field => [field, req.test[field]]));
+    const load = async (value) => {
+      if (value === "draft") return working;
+      const number = parseVersion(value);
+      return number && findVersion(req.test._id, number);
+    };
+
+    const latest = await findLatestVersion(req.test._id);
+    const fromKey = req.query.from ?? latest?.version;
+    const toKey = req.query.to ?? "draft";
+    const [from, to] = await Promise.all([fromKey === undefined ? {} : load(String(fromKey)), load(String(toKey))]);
+    if (!from || !to) return res.status(404).json({ message: "Version not found" });
+
+    res.json({ from: fromKey ?? null, to: toKey, ...diffVersions(from, to) });
+  } catch (err) {
+    console.error("Error comparing test versions:", err);
+    res.status(500).json({ message: "Server error comparing versions" });
+  }
+});
+
+// ✅ One published version, as its attempts saw it
+router.get("/:id/versions/:version", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const number = parseVersion(req.params.version);
+    const version = number && await findVersion(req.test._id, number);
+    if (!version) return res.status(404).json({ message: "Version not found" });
+
+    res.json(version);
+  } catch (err) {
+    console.error("Error fetching test version:", err);
+    res.status(500).json({ message: "Server error fetching version" });
+  }
+});
+
+/**
+ * 🟢 Results of the attempts taken on one version: scores, pass rate and how
+ * each question went. Bank questions drawn per attempt are included too.
+ */
+router.get("/:id/versions/:version/stats", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const number = parseVersion(req.params.version);
+    const version = number && await findVersion(req.test._id, number);
+    if (!version) return res.status(404).json({ message: "Version not found" });
+
+    const attempts = await StudentTestAttempt.find({ testVersion: version._id, status: { $ne: "in-progress" } })
+      .select("percentage passed gradingStatus questionResults")
+      .lean();
+
+    const byQuestion = new Map();
+    for (const attempt of attempts) {
+      for (const result of attempt.questionResults || []) {
+        const key = result.questionId.toString();
+        if (!byQuestion.has(key)) {
+          byQuestion.set(key, {
+            questionId: result.questionId,
+            text: result.questionText,
+            type: result.questionType,
+            answered: 0, correct: 0, partial: 0, pointsEarned: 0, maxPoints: 0,
+          });
+        }
+        const stats = byQuestion.get(key);
+        stats.answered += 1;
+        if (result.isCorrect === true) stats.correct += 1;
+        if (result.isCorrect === "partial") stats.partial += 1;
+        stats.pointsEarned += result.pointsEarned || 0;
+        stats.maxPoints += result.maxPoints || 0;
+      }
+    }
+
+    // Version questions first, in the version's order; drawn bank questions after
+    const order = new Map(version.questions.map((q, index) => [q._id.toString(), index]));
+    const questions = [...byQuestion.entries()]
+      .sort(([a], [b]) => (order.get(a) ?? Infinity) - (order.get(b) ?? Infinity))
+      .map(([, { pointsEarned, maxPoints, ...stats }]) => ({
+        ...stats,
+        fromBank: !order.has(stats.questionId.toString()),
+        correctRate: stats.answered ? stats.correct / stats.answered : null,
+        averageScore: maxPoints ? pointsEarned / maxPoints : null,
+      }));
+
+    const count = attempts.length;
+    res.json({
+      version: version.version,
+      attempts: count,
+      pendingGrading: attempts.filter(a => a.gradingStatus === "pending").length,
+      averagePercentage: count ? attempts.reduce((sum, a) => sum + (a.percentage || 0), 0) / count : null,
+      passRate: count ? attempts.filter(a => a.passed).length / count : null,
+      questions,
+    });
+  } catch (err) {
+    console.error("Error computing version stats:", err);
+    res.status(500).json({ message: "Server error computing stats" });
+  }
+});
+
+// ===== QUESTIONS =====
+
+// ✅ Add a question (optionally at a given position)
+router.post("/:id/questions", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const { position, ...body } = req.body;
+    const question = pickQuestionFields(body);
+    delete question._id;
+
+    const errors = validateQuestion(question);
+    if (errors.length) return validationError(res, errors);
+
+    const index = Number.isInteger(position)
+      ? Math.max(0, Math.min(position, req.test.questions.length))
+      : req.test.questions.length;
+
+    // A test that asked every question keeps doing so
+    const askedAll = req.test.howManyQuestions === req.test.questions.length;
+    req.test.questions.splice(index, 0, question);
+    if (askedAll) req.test.howManyQuestions = req.test.questions.length;
+    req.test.updatedAt = new Date();
+    await req.test.save();
+
+    res.status(201).json({ message: "Question added", question: req.test.questions[index], test: req.test });
+  } catch (err) {
+    console.error("Error adding question:", err);
+    res.status(500).json({ message: "Server error adding question" });
+  }
+});
+
+// ✅ Reorder questions - body: { order: [questionId, ...] } listing every question once
+router.put("/:id/questions/order", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const { order } = req.body;
+    const current = req.test.questions;
+    const currentIds = current.map(q => q._id.toString());
+
+    if (!Array.isArray(order) || order.length !== current.length
+      || new Set(order.map(String)).size !== order.length
+      || !order.every(id => currentIds.includes(String(id)))) {
+      return validationError(res, ["order must list every question id of this test exactly once"]);
+    }
+
+    const byId = new Map(current.map(q => [q._id.toString(), q.toObject()]));
+    req.test.questions = order.map(id => byId.get(String(id)));
+    req.test.updatedAt = new Date();
+    await req.test.save();
+
+    res.json({ message: "Questions reordered", test: req.test });
+  } catch (err) {
+    console.error("Error reordering questions:", err);
+    res.status(500).json({ message: "Server error reordering questions" });
+  }
+});
+
+// ✅ Edit a question
+router.patch("/:id/questions/:questionId", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const question = req.test.questions.id(req.params.questionId);
+    if (!question) return res.status(404).json({ message: "Question not found" });
+
+    const changes = pickQuestionFields(req.body);
+    delete changes._id;
+
+    const merged = { ...question.toObject(), ...changes };
+    const errors = validateQuestion(merged);
+    if (errors.length) return validationError(res, errors);
+
+    const filesBefore = collectQuestionFileKeys([question]);
+    question.set(changes);
+    req.test.updatedAt = new Date();
+    await req.test.save();
+    await releaseDroppedFiles(filesBefore, req.test.questions);
+
+    res.json({ message: "Question updated", question });
+  } catch (err) {
+    console.error("Error updating question:", err);
+    res.status(500).json({ message: "Server error updating question" });
+  }
+});
+
+// ✅ Remove a question
+router.delete("/:id/questions/:questionId", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const question = req.test.questions.id(req.params.questionId);
+    if (!question) return res.status(404).json({ message: "Question not found" });
+
+    const filesBefore = collectQuestionFileKeys([question]);
+    question.deleteOne();
+    // Never ask for more questions than the test now has
+    if (req.test.howManyQuestions > req.test.questions.length) {
+      req.test.howManyQuestions = req.test.questions.length;
+    }
+    req.test.updatedAt = new Date();
+    await req.test.save();
+    await releaseDroppedFiles(filesBefore, req.test.questions);
+
+    res.json({ message: "Question removed", test: req.test });
+  } catch (err) {
+    console.error("Error removing question:", err);
+    res.status(500).json({ message: "Server error removing question" });
+  }
+});
+
+// ===== IMPORT / EXPORT =====
+
+/**
+ * 📄 What to import: an uploaded "file" (multipart) or its text as `content`
+ * in a JSON body. The format comes from ?format= / `format`, else the file
+ * extension (.csv, .json, .gift/.txt, .xml/.zip for QTI).
+ */
+function importSource(req) {
+  const content = req.file ? req.file.buffer : req.body?.content;
+  if (typeof content !== "string" && !Buffer.isBuffer(content)) {
+    return { error: "Upload the file as the \"file\" field or send its text as content" };
+  }
+  const format = String(req.query.format || req.body?.format || formatForFile(req.file?.originalname) || "").toLowerCase();
+  if (!FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(FORMATS).join(", ")}` };
+  }
+  return { format, content };
+}
+
+const isDryRun = (req) => ["true", "1", true].includes(req.query.dryRun ?? req.body?.dryRun);
+
+/**
+ * 📥 Parse and validate an import; an import with no questions at all is an error too.
+ */
+function readImport(format, content) {
+  const result = importQuestions(format, content);
+  if (!result.questions.length && !result.errors.length) {
+    result.errors.push({ label: "file", errors: ["No questions found"] });
+  }
+  return result;
+}
+
+const importReport = (format, { questions, errors, total }) => ({
+  dryRun: true,
+  format,
+  valid: errors.length === 0,
+  total,
+  importable: questions.length,
+  errors,
+  questions,
+});
+
+const importError = (res, errors) =>
+  res.status(400).json({ code: "VALIDATION_ERROR", message: "The import has errors; nothing was saved", errors });
+
+/**
+ * 🟢 Create a test from a CSV, JSON, GIFT or QTI file.
+ * Test fields come from the file (JSON / QTI) overridden by `test` in the body
+ * (an object, or a JSON string in a multipart form). With ?dryRun=true the
+ * parsed questions and per-row errors are returned and nothing is saved.
+ */
+router.post("/import", authenticateAdmin, receiveFile, async (req, res) => {
+  try {
+    const source = importSource(req);
+    if (source.error) return validationError(res, [source.error]);
+
+    let overrides = req.body?.test ?? {};
+    if (typeof overrides === "string") {
+      try {
+        overrides = JSON.parse(overrides);
+      } catch {
+        return validationError(res, ["test must be a JSON object"]);
+      }
+    }
+
+    const result = readImport(source.format, source.content);
+    const data = pickTestFields({ ...result.test, ...overrides, questions: result.questions.map(q => q.question) });
+    if (data.howManyQuestions === undefined) data.howManyQuestions = data.questions.length;
+
+    const testErrors = validateTest(data);
+    if (!testErrors.length && data.prerequisites?.length) {
+      const prerequisiteProblem = await validatePrerequisites({
+        testId: null,
+        subjectCode: data.subjectCode,
+        prerequisites: data.prerequisites,
+      });
+      if (prerequisiteProblem) testErrors.push(...prerequisiteProblem.errors);
+    }
+    if (!testErrors.length) {
+      const bankProblem = await validateBankReferences(data);
+      if (bankProblem) testErrors.push(...bankProblem.errors);
+    }
+    if (testErrors.length) result.errors.push({ label: "test", errors: testErrors });
+
+    if (isDryRun(req)) return res.json(importReport(source.format, result));
+    if (result.errors.length) return importError(res, result.errors);
+
+    const test = await Test.create({
+      ...data,
+      status: "draft",
+      createdBy: req.admin._id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    console.log(`📥 Test imported by ${req.admin.email} from ${source.format}: ${test.title} (${test.questions.length} questions)`);
+    res.status(201).json({ message: "Test imported", imported: test.questions.length, test });
+  } catch (err) {
+    console.error("Error importing test:", err);
+    res.status(500).json({ message: "Server error importing test" });
+  }
+});
+
+/**
+ * 🟢 Append questions from a file to an existing test (same formats and
+ * ?dryRun=true as above; test fields in the file are ignored).
+ */
+router.post("/:id/import", authenticateAdmin, loadOwnedTest, receiveFile, async (req, res) => {
+  try {
+    const source = importSource(req);
+    if (source.error) return validationError(res, [source.error]);
+
+    const result = readImport(source.format, source.content);
+    if (isDryRun(req)) return res.json(importReport(source.format, result));
+    if (result.errors.length) return importError(res, result.errors);
+
+    // A test that asked every question keeps doing so
+    const askedAll = req.test.howManyQuestions === req.test.questions.length;
+    req.test.questions.push(...result.questions.map(q => q.question));
+    if (askedAll) req.test.howManyQuestions = req.test.questions.length;
+    req.test.updatedAt = new Date();
+    await req.test.save();
+
+    console.log(`📥 ${result.questions.length} question(s) imported into ${req.test._id} from ${source.format}`);
+    res.json({ message: "Questions imported", imported: result.questions.length, test: req.test });
+  } catch (err) {
+    console.error("Error importing questions:", err);
+    res.status(500).json({ message: "Server error importing questions" });
+  }
+});
+
+/**
+ * 🟢 Download a test as ?format=json (default), csv, gift or qti.
+ * Questions the format cannot hold are left out and counted in X-Skipped-Questions;
+ * questions that lost fields on the way are counted in X-Export-Warnings.
+ */
+router.get("/:id/export", authenticateAdmin, loadOwnedTest, async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!FORMATS[format]) return validationError(res, [`format must be one of: ${Object.keys(FORMATS).join(", ")}`]);
+
+    const { body, contentType, filename, skipped, warnings } = exportTest(format, req.test);
+    if (skipped.length) {
+      console.log(`⚠️ Export of ${req.test._id} as ${format} skipped ${skipped.length} question(s)`);
+    }
+    for (const warning of warnings) {
+      console.log(`⚠️ Export of ${req.test._id} as ${format}, question ${warning.index + 1}: ${warning.reason}`);
+    }
+
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "X-Skipped-Questions": String(skipped.length),
+      "X-Export-Warnings": String(warnings.length),
+    });
+    res.send(body);
+  } catch (err) {
+    console.error("Error exporting test:", err);
+    res.status(500).json({ message: "Server error exporting test" });
+  }
+});
+
+export default router;
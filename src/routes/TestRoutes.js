@@ -2,6 +2,27 @@ import express from "express";
 import mongoose from "mongoose";
 import Test from "../models/Test.js";
 import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { authenticate, ensureSelf } from "../middleware/auth.js";
+import { isTestVisibleToStudent, getAvailabilityStatus, getTestAccessError } from "../services/testAccess.js";
+import { loadStudentProgress, getUnmetPrerequisites } from "../services/prerequisites.js";
+import {
+  startOrResumeAttempt,
+  submitAttempt,
+  describeSession,
+  getAttemptQuestions,
+  findFinishedAttempts,
+} from "../services/attemptSessions.js";
+import {
+  selectPolicyScore,
+  describeAttemptAllowance,
+  groupAttemptsByTest,
+} from "../services/attemptPolicy.js";
+import { presentQuestion } from "../services/choiceOrder.js";
+import { getReviewLevel, reviewAllows } from "../services/reviewPolicy.js";
+import { getTestStatus } from "../services/testVersions.js";
+import { issueAttemptTicket, isOfflineEnabled } from "../services/offlineAttempts.js";
+import { serializeTest, serializeTestSummary } from "../serializers/testSerializer.js";
+import { serializeQuestionResults } from "../serializers/attemptSerializer.js";
 
 const router = express.Router();
 
@@ -10,48 +31,57 @@ router.get("/test", (req, res) => {
   res.json({ message: "API is working!", timestamp: new Date().toISOString() });
 });
 
-// ✅ Get all tests with user attempt status
-router.get("/", async (req, res) => {
+// ✅ Get all tests with the authenticated student's attempt status
+router.get("/", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId } = req.query;
-    console.log("📥 Received request for all tests", studentId ? `for student: ${studentId}` : "for all students");
+    const studentObjectId = req.student._id;
+    console.log(`📥 Received request for all tests for student: ${req.student.studentID}`);
     
-    const tests = await Test.find().sort({ createdAt: -1 }).lean();
-    console.log(`📦 Found ${tests.length} tests in MongoDB`);
+    const allTests = await Test.find().sort({ createdAt: -1 }).lean();
     
-    // If studentId is provided, check for completed attempts
-    if (studentId) {
-      const studentObjectId = typeof studentId === 'string' 
-        ? new mongoose.Types.ObjectId(studentId) 
-        : studentId;
-      
-      // Get all attempts for this student
-      const attempts = await StudentTestAttempt.find({ student: studentObjectId })
-        .select('test score percentage passed submittedAt')
-        .lean();
-      
-      // Create a map of testId to attempt for quick lookup
-      const attemptMap = {};
-      attempts.forEach(attempt => {
-        attemptMap[attempt.test.toString()] = attempt;
-      });
-      
-      // Add attempt status to each test
-      const testsWithStatus = tests.map(test => {
-        const attempt = attemptMap[test._id.toString()];
-        return {
-          ...test,
-          status: attempt ? "Done" : "Available",
-          score: attempt ? `${attempt.percentage.toFixed(1)}%` : null,
-          attemptId: attempt ? attempt._id : null,
-          submittedAt: attempt ? attempt.submittedAt : null
-        };
-      });
-      
-      res.json(testsWithStatus);
-    } else {
-      res.json(tests);
-    }
+    // Get all finished attempts for this student, grouped by test for quick lookup
+    const attempts = await StudentTestAttempt.find({ student: studentObjectId, status: { $ne: "in-progress" } })
+      .select('test attemptNumber score totalPoints percentage passed takenAt submittedAt')
+      .sort({ submittedAt: 1 })
+      .lean();
+    const attemptsByTest = groupAttemptsByTest(attempts);
+
+    // Archived tests only stay listed for students who have results on them
+    const tests = allTests.filter(test =>
+      isTestVisibleToStudent(test, req.student) &&
+      (getTestStatus(test) !== "archived" || attemptsByTest.has(test._id.toString()))
+    );
+    console.log(`📦 Found ${allTests.length} tests in MongoDB, ${tests.length} visible to student`);
+    
+    // Work out which prerequisites each test still has for this student
+    const testsById = new Map(allTests.map(test => [test._id.toString(), test]));
+    const progress = await loadStudentProgress(studentObjectId, testsById);
+    
+    // Add attempt status to each test: Done, otherwise Upcoming / Locked / Available / Overdue
+    const now = new Date();
+    const testsWithStatus = tests.map(test => {
+      const testAttempts = attemptsByTest.get(test._id.toString()) || [];
+      const latest = testAttempts[testAttempts.length - 1];
+      // Score that counts under the test's scoringPolicy (highest / latest / average)
+      const policyScore = selectPolicyScore(test, testAttempts);
+      const unmetPrerequisites = getUnmetPrerequisites(test, progress, testsById);
+      const locked = unmetPrerequisites.length > 0;
+      let status = latest ? "Done" : getAvailabilityStatus(test, now);
+      if (status === "Available" && locked) status = "Locked";
+      return {
+        ...serializeTestSummary(test),
+        status,
+        locked,
+        unmetPrerequisites,
+        score: policyScore ? `${policyScore.percentage.toFixed(1)}%` : null,
+        policyScore,
+        attemptId: latest ? (policyScore.attemptId || latest._id) : null,
+        submittedAt: latest ? latest.submittedAt : null,
+        ...describeAttemptAllowance(test, testAttempts, now)
+      };
+    });
+    
+    res.json(testsWithStatus);
   } catch (err) {
     console.error("Error fetching tests:", err);
     res.status(500).json({ message: "Server error fetching tests" });
@@ -59,23 +89,27 @@ router.get("/", async (req, res) => {
 });
 
 // ✅ Get a single test with its questions (with randomization if specified)
-router.get("/:id", async (req, res) => {
+// Starts (or resumes) the student's attempt; the random subset is frozen on it,
+// so reloading returns the same questions (from the version the attempt is pinned to).
+router.get("/:id", authenticate, async (req, res) => {
   try {
-    const test = await Test.findById(req.params.id).lean();
-    if (!test) return res.status(404).json({ message: "Test not found" });
+    const liveTest = await Test.findById(req.params.id).lean();
+    if (!liveTest) return res.status(404).json({ message: "Test not found" });
+
+    const accessError = await getTestAccessError(liveTest, req.student);
+    if (accessError) return res.status(accessError.status).json(accessError.body);
+
+    const { attempt, test, error } = await startOrResumeAttempt(liveTest, req.student);
+    if (error) return res.status(error.status).json(error.body);
     
-    // Apply randomization if howManyQuestions is specified and less than total questions
-    let questionsToShow = test.questions;
-    if (test.howManyQuestions && test.howManyQuestions < test.questions.length) {
-      console.log(`🎲 Randomizing questions: showing ${test.howManyQuestions} out of ${test.questions.length}`);
-      questionsToShow = shuffleArray([...test.questions]).slice(0, test.howManyQuestions);
-    }
+    // Questions drawn for this attempt when it started, choices in this attempt's order
+    const studentTest = serializeTest(test, { attempt });
     
     const testWithRandomizedQuestions = {
-      ...test,
-      questions: questionsToShow,
+      ...studentTest,
       totalQuestions: test.questions.length, // Keep original total for reference
-      questionsShown: questionsToShow.length // Number of questions actually shown
+      questionsShown: studentTest.questions.length, // Number of questions actually shown
+      session: describeSession(attempt)
     };
     
     res.json(testWithRandomizedQuestions);
@@ -85,21 +119,79 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// ✅ Start a timed attempt - records the start time server-side and returns the expiry
+router.post("/:id/start", authenticate, ensureSelf, async (req, res) => {
+  try {
+    const liveTest = await Test.findById(req.params.id).lean();
+    if (!liveTest) return res.status(404).json({ success: false, message: "Test not found" });
+
+    const accessError = await getTestAccessError(liveTest, req.student);
+    if (accessError) return res.status(accessError.status).json(accessError.body);
+
+    const { attempt, test, resumed, error } = await startOrResumeAttempt(liveTest, req.student);
+    if (error) return res.status(error.status).json(error.body);
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      resumed,
+      version: test.version,
+      timeLimit: test.timeLimit || null,
+      ...describeSession(attempt)
+    });
+  } catch (err) {
+    console.error("Error starting attempt:", err);
+    res.status(500).json({ success: false, message: "Server error starting attempt" });
+  }
+});
+
 /**
- * 🎲 Shuffle Array Function
- * Randomly shuffles an array using Fisher-Yates algorithm
+ * 🎫 Take a test offline: starts (or resumes) the attempt like /start and
+ * returns its questions with a signed ticket. The app answers without a
+ * connection and uploads the bundle to POST /api/quiz-attempts/offline.
  */
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+router.post("/:id/offline-ticket", authenticate, ensureSelf, async (req, res) => {
+  try {
+    if (!isOfflineEnabled()) {
+      return res.status(503).json({ success: false, code: "OFFLINE_UNAVAILABLE", message: "Offline attempts are not enabled on this server" });
+    }
+
+    const liveTest = await Test.findById(req.params.id).lean();
+    if (!liveTest) return res.status(404).json({ success: false, message: "Test not found" });
+
+    const accessError = await getTestAccessError(liveTest, req.student);
+    if (accessError) return res.status(accessError.status).json(accessError.body);
+
+    const { attempt, test, error } = await startOrResumeAttempt(liveTest, req.student);
+    if (error) return res.status(error.status).json(error.body);
+
+    const { ticket, uploadBy } = await issueAttemptTicket(attempt, test, req.student);
+    const attemptQuestions = getAttemptQuestions(test, attempt);
+
+    res.status(201).json({
+      success: true,
+      ticket,
+      uploadBy,
+      test: {
+        _id: test._id,
+        version: test.version,
+        title: test.title,
+        description: test.description,
+        timeLimit: test.timeLimit,
+        passingPoints: test.passingPoints,
+        questions: attemptQuestions.map(q => presentQuestion(q, attempt)),
+        totalPoints: attemptQuestions.reduce((sum, q) => sum + (q.points || 0), 0),
+        totalQuestions: attemptQuestions.length
+      },
+      session: describeSession(attempt)
+    });
+  } catch (err) {
+    console.error("Error issuing offline ticket:", err);
+    res.status(500).json({ success: false, message: "Server error issuing offline ticket" });
   }
-  return shuffled;
-}
+});
 
 // ✅ Trigger sync for a specific test (when clicked in app)
-router.post("/:id/sync", async (req, res) => {
+router.post("/:id/sync", authenticate, async (req, res) => {
   try {
     const test = await Test.findById(req.params.id).lean();
     if (!test) return res.status(404).json({ message: "Test not found" });
@@ -140,52 +232,25 @@ router.post("/:id/sync", async (req, res) => {
   }
 });
 
-// ✅ Submit quiz attempt
-router.post("/:id/submit", async (req, res) => {
+// ✅ Submit quiz attempt (send an Idempotency-Key header to make retries safe)
+router.post("/:id/submit", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId, answers } = req.body;
-    
-    // Convert string studentId to ObjectId if needed
-    const studentObjectId = typeof studentId === 'string' 
-      ? new mongoose.Types.ObjectId(studentId) 
-      : studentId;
-    
-    // Check if student already attempted this test
-    const existingAttempt = await StudentTestAttempt.findOne({
-      student: studentObjectId,
-      test: req.params.id
-    });
-
-    if (existingAttempt) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Test already attempted" 
-      });
-    }
+    const { answers } = req.body;
+    const studentObjectId = req.student._id;
     
-    const test = await Test.findById(req.params.id).lean();
-    if (!test) return res.status(404).json({ message: "Test not found" });
+    const liveTest = await Test.findById(req.params.id).lean();
+    if (!liveTest) return res.status(404).json({ message: "Test not found" });
 
-    console.log(`📝 Processing quiz submission for test: ${test.title}`);
+    console.log(`📝 Processing quiz submission for test: ${liveTest.title}`);
     console.log(`👤 Student ID: ${studentObjectId}`);
-    console.log(`📊 Received ${answers.length} answers`);
+    console.log(`📊 Received ${answers?.length || 0} answers`);
 
-    // Process the quiz submission with comprehensive scoring
-    const result = processQuizSubmissionWithStudentTestAttempt(test, answers, studentObjectId);
-    
-    // Save the attempt to database
-    const attempt = new StudentTestAttempt({
-      student: studentObjectId,
-      test: test._id,
-      questionResults: result.questionResults,
-      score: result.score,
-      totalPoints: result.totalPoints,
-      percentage: result.percentage,
-      passed: result.passed,
-      submittedAt: new Date()
+    // Grade into the open session (rejects repeats and expired sessions), against its version:
+    // only the questions frozen on the attempt, autosaved answers winning over the body
+    const { attempt, test, result, replayed, error } = await submitAttempt(liveTest, req.student, answers, {
+      idempotencyKey: req.get("Idempotency-Key") ?? null,
     });
-
-    await attempt.save();
+    if (error) return res.status(error.status).json(error.body);
     
     console.log(`✅ Quiz submitted successfully:`, {
       score: result.score,
@@ -194,15 +259,24 @@ router.post("/:id/submit", async (req, res) => {
       passed: result.passed
     });
 
+    // Right/wrong counts only where the test's review policy shows correctness
+    const reviewLevel = getReviewLevel(test, attempt);
+
     res.json({ 
       message: "Quiz submitted successfully", 
+      replayed,
       attempt: {
         score: result.score,
         totalPoints: result.totalPoints,
         percentage: result.percentage,
         passed: result.passed,
-        correctAnswers: result.correctAnswers,
-        totalQuestions: result.totalQuestions
+        gradingStatus: result.gradingStatus,
+        ...(reviewAllows(reviewLevel, "correctness") && {
+          correctAnswers: result.correctAnswers,
+          partialAnswers: result.partialAnswers,
+        }),
+        totalQuestions: result.totalQuestions,
+        reviewLevel
       }
     });
   } catch (err) {
@@ -211,350 +285,83 @@ router.post("/:id/submit", async (req, res) => {
   }
 });
 
-/**
- * 🎯 Comprehensive Quiz Submission Processing Function for StudentTestAttempt
- * Handles all question types and scoring logic based on Test.js and StudentTestAttempt.js models
- */
-function processQuizSubmissionWithStudentTestAttempt(test, studentAnswers, studentId) {
-  console.log(`🔄 Processing quiz submission for test: ${test.title}`);
-  
-  let totalPoints = 0;
-  let score = 0;
-  let correctAnswers = 0;
-  const questionResults = [];
-
-  // Process each question in the test
-  for (const question of test.questions) {
-    console.log(`\n🔍 PROCESSING QUESTION: ${question.text.substring(0, 50)}...`);
-    console.log(`   Question ID: ${question._id}`);
-    console.log(`   Type: ${question.type}, Points: ${question.points}`);
-    console.log(`   Available Student Answers: ${JSON.stringify(studentAnswers.map(a => ({ questionId: a.questionId, answer: a.answer })))}`);
-    
-    // Find the student's answer for this question
-    const studentAnswer = studentAnswers.find(a => {
-      const match = a.questionId && a.questionId.toString() === question._id.toString();
-      console.log(`   Checking answer: ${a.questionId} === ${question._id} ? ${match}`);
-      return match;
-    });
-    
-    console.log(`   Found Student Answer: ${JSON.stringify(studentAnswer)}`);
-    
-    const result = evaluateQuestion(question, studentAnswer);
-    
-    console.log(`   Student Answer: ${JSON.stringify(studentAnswer ? studentAnswer.answer : 'No answer')}`);
-    console.log(`   Correct Answer: ${JSON.stringify(question.correctAnswer)}`);
-    console.log(`   Is Correct: ${result.isCorrect}, Points Earned: ${result.pointsEarned}`);
-    
-    // Update totals
-    totalPoints += question.points || 0;
-    score += result.pointsEarned;
-    if (result.isCorrect) correctAnswers++;
-    
-    // Store detailed answer information for StudentTestAttempt
-    questionResults.push({
-      questionId: question._id,
-      questionText: question.text,
-      questionType: question.type,
-      studentAnswer: studentAnswer ? studentAnswer.answer : null,
-      correctAnswer: question.correctAnswer || null, // Store the actual correct answer from the question, default to null if undefined
-      isCorrect: result.isCorrect,
-      pointsEarned: result.pointsEarned,
-      maxPoints: question.points || 0,
-      feedback: {
-        text: result.isCorrect ? (question.feedbackWhenCorrect?.text || "") : (question.feedbackWhenIncorrect?.text || ""),
-        file: result.isCorrect ? (question.feedbackWhenCorrect?.file || "") : (question.feedbackWhenIncorrect?.file || "")
-      }
-    });
-  }
-
-  // Calculate final results
-  const percentage = totalPoints > 0 ? (score / totalPoints) * 100 : 0;
-  const passed = percentage >= (test.passingPoints || 50);
-
-  console.log(`\n📊 Final Results:`);
-  console.log(`   Correct Answers: ${correctAnswers}/${test.questions.length}`);
-  console.log(`   Score: ${score}/${totalPoints}`);
-  console.log(`   Percentage: ${percentage.toFixed(2)}%`);
-  console.log(`   Passed: ${passed}`);
-
-  return {
-    questionResults,
-    score,
-    totalPoints,
-    percentage,
-    passed,
-    correctAnswers,
-    totalQuestions: test.questions.length
-  };
-}
-
-/**
- * 🎯 Question Evaluation Function
- * Evaluates a single question based on its type and returns scoring information
- */
-function evaluateQuestion(question, studentAnswer) {
-  console.log(`\n🔍 EVALUATING QUESTION:`);
-  console.log(`   Question ID: ${question._id}`);
-  console.log(`   Question Text: ${question.text.substring(0, 100)}...`);
-  console.log(`   Question Type: ${question.type}`);
-  console.log(`   Question Points: ${question.points}`);
-  console.log(`   Correct Answer: ${JSON.stringify(question.correctAnswer)} (type: ${typeof question.correctAnswer})`);
-  console.log(`   Student Answer: ${JSON.stringify(studentAnswer)}`);
-  
-  let isCorrect = false;
-  let pointsEarned = 0;
-
-  // If no student answer provided, question is incorrect
-  if (!studentAnswer || studentAnswer.answer === null || studentAnswer.answer === undefined) {
-    console.log(`   ❌ No student answer provided`);
-    return { isCorrect: false, pointsEarned: 0 };
-  }
-
-  const studentAns = studentAnswer.answer;
-  const correctAns = question.correctAnswer;
-  
-  console.log(`   Student Answer Value: ${JSON.stringify(studentAns)} (type: ${typeof studentAns})`);
-  console.log(`   Correct Answer Value: ${JSON.stringify(correctAns)} (type: ${typeof correctAns})`);
-
-  switch (question.type) {
-    case 'multiple':
-      console.log(`   🔹 Processing MULTIPLE CHOICE`);
-      console.log(`   Student Index: ${studentAns}, Correct Answer: ${JSON.stringify(correctAns)}`);
-      
-      // Handle different correctAnswer formats
-      if (Array.isArray(correctAns) && correctAns.length > 0) {
-        // If correctAnswer is an array like ["B"], convert to index
-        const correctChoice = correctAns[0]; // Get the first (and usually only) correct choice
-        const choiceIndex = question.choices ? question.choices.indexOf(correctChoice) : -1;
-        console.log(`   Correct Choice: ${correctChoice}, Choice Index: ${choiceIndex}`);
-        isCorrect = studentAns === choiceIndex;
-      } else if (typeof correctAns === 'number') {
-        // If correctAnswer is already an index
-        isCorrect = studentAns === correctAns;
-      } else {
-        console.log(`   ❌ Unexpected correctAnswer format: ${typeof correctAns}`);
-        isCorrect = false;
-      }
-      console.log(`   Result: ${isCorrect}`);
-      break;
-
-    case 'truefalse':
-      console.log(`   🔹 Processing TRUE/FALSE`);
-      console.log(`   Student Answer: ${studentAns} (type: ${typeof studentAns})`);
-      console.log(`   Correct Answer: ${correctAns} (type: ${typeof correctAns})`);
-      
-      // Convert student answer to boolean (handle both boolean and numeric formats)
-      let studentBool;
-      if (typeof studentAns === 'boolean') {
-        studentBool = studentAns;
-      } else if (typeof studentAns === 'number') {
-        studentBool = studentAns === 1; // 1 = true, 0 = false
-      } else if (typeof studentAns === 'string') {
-        studentBool = studentAns.toLowerCase() === 'true';
-      } else {
-        console.log(`   ❌ Unexpected student answer format: ${typeof studentAns}`);
-        studentBool = false;
-      }
-      
-      // Convert correct answer to boolean
-      let correctBool;
-      if (typeof correctAns === 'string') {
-        correctBool = correctAns.toLowerCase() === 'true';
-      } else if (typeof correctAns === 'boolean') {
-        correctBool = correctAns;
-      } else if (typeof correctAns === 'number') {
-        correctBool = correctAns === 1; // 1 = true, 0 = false
-      } else {
-        console.log(`   ❌ Unexpected correctAnswer format: ${typeof correctAns}`);
-        correctBool = false;
-      }
-      
-      console.log(`   Student Boolean: ${studentBool}, Correct Boolean: ${correctBool}`);
-      isCorrect = studentBool === correctBool;
-      console.log(`   Result: ${isCorrect}`);
-      break;
-
-    case 'enumeration':
-      console.log(`   🔹 Processing ENUMERATION`);
-      console.log(`   Student Array: ${JSON.stringify(studentAns)} (isArray: ${Array.isArray(studentAns)})`);
-      console.log(`   Question Answers: ${JSON.stringify(question.answers)}`);
-      console.log(`   Correct Answer: ${JSON.stringify(correctAns)} (isArray: ${Array.isArray(correctAns)})`);
-      
-      // Use question.answers array for correct answers, fallback to correctAnswer
-      const enumerationAnswers = question.answers ? question.answers.map(ans => String(ans).toLowerCase().trim()).filter(ans => ans.length > 0) : [];
-      if (enumerationAnswers.length > 0) {
-        let studentAnswers = [];
-        if (Array.isArray(studentAns)) {
-          // If answers are numeric indexes, map through choices if available
-          if (studentAns.length > 0 && typeof studentAns[0] === 'number' && Array.isArray(question.choices)) {
-            studentAnswers = studentAns
-              .map(idx => question.choices[idx])
-              .filter(ans => typeof ans === 'string')
-              .map(ans => ans.toLowerCase().trim())
-              .filter(ans => ans.length > 0);
-          } else {
-            studentAnswers = studentAns
-              .map(ans => String(ans).toLowerCase().trim())
-              .filter(ans => ans.length > 0);
-          }
-        } else if (studentAns) {
-          studentAnswers = [String(studentAns).toLowerCase().trim()].filter(ans => ans.length > 0);
-        }
-        
-        console.log(`   Correct Answers: ${JSON.stringify(enumerationAnswers)}`);
-        console.log(`   Student Answers: ${JSON.stringify(studentAnswers)}`);
-        
-        // Require set equality (order-insensitive, case-insensitive)
-        const uniqueStudent = [...new Set(studentAnswers)];
-        const requiredCount = enumerationAnswers.length;
-        if (uniqueStudent.length !== requiredCount) {
-          isCorrect = false;
-          console.log(`   ❌ Count mismatch: ${uniqueStudent.length} vs ${requiredCount}`);
-        } else {
-          const allMatch = enumerationAnswers.every(ans => uniqueStudent.includes(ans));
-          isCorrect = allMatch;
-          console.log(`   All Match: ${allMatch}`);
-        }
-      } else if (Array.isArray(studentAns) && Array.isArray(correctAns)) {
-        // Fallback to old logic
-        const sortedStudent = [...studentAns].sort();
-        const sortedCorrect = [...correctAns].sort();
-        console.log(`   Sorted Student: ${JSON.stringify(sortedStudent)}`);
-        console.log(`   Sorted Correct: ${JSON.stringify(sortedCorrect)}`);
-        isCorrect = JSON.stringify(sortedStudent) === JSON.stringify(sortedCorrect);
-        console.log(`   Arrays Match: ${isCorrect}`);
-      } else {
-        console.log(`   ❌ No valid answers found`);
-        isCorrect = false;
-      }
-      break;
-
-    case 'identification':
-      console.log(`   🔹 Processing IDENTIFICATION`);
-      console.log(`   Student String: "${studentAns}" (type: ${typeof studentAns})`);
-      console.log(`   Question Answers: ${JSON.stringify(question.answers)}`);
-      console.log(`   Correct Answer: "${correctAns}" (type: ${typeof correctAns})`);
-      
-      // Check against answers array first, then fallback to correctAnswer
-      const identificationAnswers = question.answers ? question.answers.map(ans => ans.toLowerCase().trim()) : [];
-      if (identificationAnswers.length > 0) {
-        const studentLower = String(studentAns).toLowerCase().trim();
-        isCorrect = identificationAnswers.includes(studentLower);
-        console.log(`   Student Lower: "${studentLower}"`);
-        console.log(`   Correct Answers: ${JSON.stringify(identificationAnswers)}`);
-        console.log(`   Answer Found: ${isCorrect}`);
-      } else if (typeof studentAns === 'string' && typeof correctAns === 'string') {
-        const studentLower = studentAns.toLowerCase().trim();
-        const correctLower = correctAns.toLowerCase().trim();
-        console.log(`   Student Lower: "${studentLower}"`);
-        console.log(`   Correct Lower: "${correctLower}"`);
-        isCorrect = studentLower === correctLower;
-        console.log(`   Strings Match: ${isCorrect}`);
-      } else if (correctAns === undefined || correctAns === null) {
-        console.log(`   ⚠️ Correct answer is undefined/null - marking as incorrect`);
-        isCorrect = false;
-      } else {
-        console.log(`   ❌ One or both are not strings`);
-        isCorrect = false;
-      }
-      break;
-
-    case 'essay':
-      console.log(`   🔹 Processing ESSAY (always incorrect for auto-grading)`);
-      isCorrect = false;
-      break;
-
-    default:
-      console.warn(`   ⚠️ Unknown question type: ${question.type}`);
-      isCorrect = false;
-  }
-
-  // Award points if correct
-  if (isCorrect) {
-    pointsEarned = question.points || 0;
-    console.log(`   ✅ CORRECT! Points earned: ${pointsEarned}`);
-  } else {
-    console.log(`   ❌ INCORRECT! Points earned: 0`);
-  }
-
-  console.log(`   Final Result: isCorrect=${isCorrect}, pointsEarned=${pointsEarned}`);
-  return { isCorrect, pointsEarned };
-}
-
 // ===== NEW SIMPLIFIED QUIZ SYSTEM =====
 
 // ✅ Take Test - Get test questions for taking
-router.get('/take-test/:testId', async (req, res) => {
+router.get('/take-test/:testId', authenticate, ensureSelf, async (req, res) => {
   try {
     const testId = req.params.testId;
-    const { studentId } = req.query;
+    const studentId = req.student._id;
 
     console.log('🎯 TAKE TEST DEBUG:');
     console.log('Test ID:', testId);
     console.log('Student ID:', studentId);
 
-    // Check if student already attempted this test
-    const existingAttempt = await StudentTestAttempt.findOne({
+    // Get test details
+    const liveTest = await Test.findById(testId).lean();
+    if (!liveTest) {
+      return res.status(404).json({
+        success: false,
+        message: "Test not found"
+      });
+    }
+
+    // Check assignment and availability window before touching any attempt
+    const accessError = await getTestAccessError(liveTest, req.student);
+    if (accessError) return res.status(accessError.status).json(accessError.body);
+
+    // Previous attempts are all kept; a retake starts a new numbered attempt
+    const finishedAttempts = await findFinishedAttempts(liveTest, req.student);
+    const hasOpenAttempt = await StudentTestAttempt.exists({
       student: studentId,
-      test: testId
+      test: testId,
+      status: "in-progress"
     });
 
     // Check if this is a retake request (has query parameter)
     const isRetake = req.query.retake === 'true';
 
-    if (existingAttempt && !isRetake) {
+    if (finishedAttempts.length > 0 && !hasOpenAttempt && !isRetake) {
       // Return existing attempt info if already attempted and not retaking
+      const policyScore = selectPolicyScore(liveTest, finishedAttempts);
       return res.json({
         success: false,
         message: "Test already attempted",
         existingAttempt: {
-          score: existingAttempt.score,
-          passed: existingAttempt.passed,
-          takenAt: existingAttempt.takenAt
-        }
+          score: policyScore.score,
+          percentage: policyScore.percentage,
+          passed: policyScore.passed,
+          takenAt: finishedAttempts[finishedAttempts.length - 1].takenAt
+        },
+        scoringPolicy: policyScore.scoringPolicy,
+        ...describeAttemptAllowance(liveTest, finishedAttempts)
       });
     }
 
-    if (existingAttempt && isRetake) {
-      // Delete the old attempt to allow retake
-      await StudentTestAttempt.findByIdAndDelete(existingAttempt._id);
-      console.log('🗑️ Deleted old attempt for retake:', existingAttempt._id);
-    }
+    // Start the timed session (or resume the one already running); the retake policy is enforced here
+    const { attempt, test, error } = await startOrResumeAttempt(liveTest, req.student);
+    if (error) return res.status(error.status).json(error.body);
 
-    // Get test details
-    const test = await Test.findById(testId);
-    if (!test) {
-      return res.status(404).json({
-        success: false,
-        message: "Test not found"
-      });
-    }
-
-    // Check access (simplified for mobile)
-    // For now, we'll allow all tests to be taken
+    const attemptQuestions = getAttemptQuestions(test, attempt);
 
     console.log('✅ Test loaded successfully:', test.title);
-    console.log('📊 Questions count:', test.questions.length);
+    console.log('📊 Questions count:', attemptQuestions.length, 'of', test.questions.length);
 
     res.json({
       success: true,
       test: {
         _id: test._id,
+        version: test.version,
         title: test.title,
         description: test.description,
         timeLimit: test.timeLimit,
         passingPoints: test.passingPoints,
-        questions: test.questions.map(q => ({
-          _id: q._id,
-          text: q.text,
-          type: q.type,
-          points: q.points,
-          choices: q.choices,
-          // Don't send correct answers to frontend
-        })),
-        totalPoints: test.totalPoints,
-        totalQuestions: test.questions.length
+        // Don't send correct answers to frontend
+        questions: attemptQuestions.map(q => presentQuestion(q, attempt)),
+        totalPoints: attemptQuestions.reduce((sum, q) => sum + (q.points || 0), 0),
+        totalQuestions: attemptQuestions.length
       },
+      session: describeSession(attempt),
       isRetake: isRetake
     });
 
@@ -568,10 +375,11 @@ router.get('/take-test/:testId', async (req, res) => {
 });
 
 // ✅ Submit Test Answers - Simplified grading
-router.post('/submit-test/:testId', async (req, res) => {
+router.post('/submit-test/:testId', authenticate, ensureSelf, async (req, res) => {
   try {
     const testId = req.params.testId;
-    const { studentId, answers } = req.body; // Array of student answers
+    const studentId = req.student._id;
+    const { answers } = req.body; // Array of student answers
 
     console.log('📝 Submitting test:', testId);
     console.log('👤 Student:', studentId);
@@ -589,243 +397,49 @@ router.post('/submit-test/:testId', async (req, res) => {
       });
     }
 
-    // Check if student already attempted this test
-    const existingAttempt = await StudentTestAttempt.findOne({
-      student: studentId,
-      test: testId
-    });
-
-    if (existingAttempt) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Test already attempted" 
-      });
-    }
-
     // Get test with questions
-    const test = await Test.findById(testId);
-    if (!test) {
+    const liveTest = await Test.findById(testId).lean();
+    if (!liveTest) {
       return res.status(404).json({ 
         success: false, 
         message: "Test not found" 
       });
     }
 
-    // Grade the test
-    let totalScore = 0;
-    const questionResults = [];
-
-    test.questions.forEach((question, index) => {
-      const studentAnswer = answers[index];
-      let isCorrect = false;
-      let pointsEarned = 0;
-
-      // Add this before the switch statement
-      console.log('🎯 Grading Question:', {
-        index: index,
-        type: question.type,
-        text: question.text,
-        correctAnswer: question.correctAnswer,
-        studentAnswer: studentAnswer
-      });
-
-      // Grade based on question type
-      switch (question.type) {
-        case 'identification':
-          // Case-insensitive comparison for identification
-          const identificationCorrectAnswers = question.answers ? question.answers.map(ans => ans.toLowerCase().trim()) : [];
-          const studentAns = (studentAnswer || '').toLowerCase().trim();
-          isCorrect = identificationCorrectAnswers.includes(studentAns);
-          break;
-
-        case 'multiple':
-          // Convert both correct and student answers to comparable formats
-          if (question.correctAnswer !== undefined && studentAnswer !== undefined) {
-            if (Array.isArray(question.correctAnswer)) {
-              // Multiple correct answers (select all that apply)
-              // Convert letter answers (A, B, C) to indexes (0, 1, 2)
-              const correctIndexes = question.correctAnswer.map(letter => {
-                // Convert "A" -> 0, "B" -> 1, "C" -> 2, etc.
-                return letter.charCodeAt(0) - 65; // A=65 in ASCII
-              }).sort();
-              
-              // Ensure student answer is an array of numbers
-              const studentIndexes = Array.isArray(studentAnswer) 
-                ? [...new Set(studentAnswer.map(val => Number(val)))].sort()
-                : [Number(studentAnswer)].sort();
-              
-              isCorrect = JSON.stringify(correctIndexes) === JSON.stringify(studentIndexes);
-            } else {
-              // Single correct answer - convert letter to index
-              const correctIndex = question.correctAnswer.charCodeAt(0) - 65;
-              const studentIndex = Number(studentAnswer);
-              isCorrect = correctIndex === studentIndex;
-            }
-          }
-          break;
-
-        case 'truefalse':
-          // Normalize both sides to booleans
-          if (question.correctAnswer !== undefined && studentAnswer !== undefined) {
-            const normalizeBool = (val) => {
-              if (typeof val === 'boolean') return val;
-              if (typeof val === 'number') return val === 1 || val === 0 ? val === 1 : Boolean(val);
-              const s = String(val).toLowerCase().trim();
-              if (s === 'true' || s === 't' || s === '1') return true;
-              if (s === 'false' || s === 'f' || s === '0') return false;
-              return Boolean(s);
-            };
-            isCorrect = normalizeBool(question.correctAnswer) === normalizeBool(studentAnswer);
-          }
-          break;
-
-        case 'enumeration':
-          // For enumeration questions, use the 'answers' array for correct answers
-          if (Array.isArray(question.answers) && question.answers.length > 0) {
-            const enumerationCorrectAnswers = question.answers
-              .map(ans => String(ans).toLowerCase().trim())
-              .filter(ans => ans.length > 0);
-            
-            let studentAnswers = [];
-            if (Array.isArray(studentAnswer)) {
-              // If answers are numeric indexes, map through choices if available
-              if (studentAnswer.length > 0 && typeof studentAnswer[0] === 'number' && Array.isArray(question.choices)) {
-                studentAnswers = studentAnswer
-                  .map(idx => question.choices[idx])
-                  .filter(ans => typeof ans === 'string')
-                  .map(ans => ans.toLowerCase().trim())
-                  .filter(ans => ans.length > 0);
-              } else {
-                studentAnswers = studentAnswer
-                  .map(ans => String(ans).toLowerCase().trim())
-                  .filter(ans => ans.length > 0);
-              }
-            } else if (studentAnswer) {
-              studentAnswers = [String(studentAnswer).toLowerCase().trim()].filter(ans => ans.length > 0);
-            }
-            
-            console.log('🔍 Enumeration Debug:', {
-              question: question.text,
-              correctAnswers: enumerationCorrectAnswers,
-              studentAnswers,
-              studentAnswerRaw: studentAnswer
-            });
-            
-            // Require set equality (order-insensitive, case-insensitive)
-            const uniqueStudent = [...new Set(studentAnswers)];
-            const requiredCount = enumerationCorrectAnswers.length;
-            if (uniqueStudent.length !== requiredCount) {
-              isCorrect = false;
-            } else {
-              const allMatch = enumerationCorrectAnswers.every(ans => uniqueStudent.includes(ans));
-              isCorrect = allMatch;
-            }
-          } else {
-            isCorrect = false;
-            console.log('❌ No answers array defined for enumeration');
-          }
-          break;
-
-        case 'essay':
-          // For essay questions, auto-grade as correct for now
-          isCorrect = true; // Auto-pass essays for demo
-          break;
-      }
-
-      // Calculate points
-      pointsEarned = isCorrect ? question.points : 0;
-      totalScore += pointsEarned;
-
-      // Store the answers in a display-friendly format for results
-      let displayStudentAnswer = studentAnswer;
-      let displayCorrectAnswer = question.correctAnswer;
-
-      // Format enumeration answers for display (check first as it has special logic)
-      if (question.type === 'enumeration') {
-        if (Array.isArray(studentAnswer)) {
-          // Map numeric indexes to choice text if available
-          if (studentAnswer.length > 0 && typeof studentAnswer[0] === 'number' && Array.isArray(question.choices)) {
-            displayStudentAnswer = studentAnswer
-              .map(idx => question.choices[idx])
-              .filter(Boolean)
-              .join(', ');
-          } else {
-            displayStudentAnswer = studentAnswer
-              .map(ans => String(ans))
-              .filter(ans => ans && ans.trim().length > 0)
-              .join(', ');
-          }
-        } else if (studentAnswer) {
-          displayStudentAnswer = String(studentAnswer);
-        } else {
-          displayStudentAnswer = 'No answer provided';
-        }
-        
-        // Use answers array for display since correctAnswer is undefined
-        if (Array.isArray(question.answers)) {
-          displayCorrectAnswer = question.answers.filter(ans => ans && ans.trim().length > 0).join(', ');
-        } else {
-          displayCorrectAnswer = 'No correct answers defined';
-        }
-      }
-
-      // Handle unanswered questions - mark as "No answer provided" (after enumeration formatting)
-      if (displayStudentAnswer === null || displayStudentAnswer === undefined || 
-          (typeof displayStudentAnswer === 'string' && displayStudentAnswer.trim() === '' && displayStudentAnswer !== 'No answer provided') ||
-          (Array.isArray(displayStudentAnswer) && displayStudentAnswer.length === 0)) {
-        displayStudentAnswer = 'No answer provided';
-      }
-
-      // Convert true/false to consistent capitalization for display
-      if (question.type === 'truefalse') {
-        if (displayStudentAnswer !== 'No answer provided') {
-          displayStudentAnswer = String(studentAnswer).charAt(0).toUpperCase() + String(studentAnswer).slice(1).toLowerCase();
-        }
-        displayCorrectAnswer = String(question.correctAnswer).charAt(0).toUpperCase() + String(question.correctAnswer).slice(1).toLowerCase();
-      }
-
-      questionResults.push({
-        questionId: question._id,
-        questionText: question.text,
-        questionType: question.type,
-        studentAnswer: displayStudentAnswer,
-        correctAnswer: displayCorrectAnswer,
-        isCorrect: isCorrect,
-        pointsEarned: pointsEarned,
-        maxPoints: question.points,
-        feedback: isCorrect ? question.feedbackWhenCorrect : question.feedbackWhenIncorrect
-      });
-    });
-
-    // Determine if student passed
-    const passed = totalScore >= test.passingPoints;
-
-    // Save attempt to database
-    const testAttempt = new StudentTestAttempt({
-      student: studentId,
-      test: testId,
-      score: totalScore,
-      totalPoints: test.totalPoints,
-      percentage: test.totalPoints > 0 ? (totalScore / test.totalPoints) * 100 : 0,
-      passed: passed,
-      questionResults: questionResults,
-      takenAt: new Date(),
-      submittedAt: new Date()
+    // Grade into the open session (rejects repeats and expired sessions), against its version.
+    // Autosaved answers are graded as stored; the body (positional over the questions
+    // frozen on the attempt) only fills in the rest. Shuffled choices come back as
+    // display indexes and are mapped to the original ones. takenAt stays the
+    // server-recorded start time; an Idempotency-Key header makes retries safe
+    const { attempt: testAttempt, test, result, replayed, error } = await submitAttempt(liveTest, req.student, answers, {
+      idempotencyKey: req.get("Idempotency-Key") ?? null,
     });
+    if (error) return res.status(error.status).json(error.body);
 
-    await testAttempt.save();
+    console.log('✅ Test submitted successfully. Score:', result.score);
 
-    console.log('✅ Test submitted successfully. Score:', totalScore);
+    const reviewLevel = getReviewLevel(test, testAttempt);
 
     res.json({
       success: true,
-      score: totalScore,
-      totalPoints: test.totalPoints,
-      percentage: test.totalPoints > 0 ? (totalScore / test.totalPoints) * 100 : 0,
-      passed: passed,
-      correctAnswers: questionResults.filter(q => q.isCorrect).length,
-      totalQuestions: test.questions.length,
-      results: questionResults
+      replayed,
+      score: result.score,
+      totalPoints: result.totalPoints,
+      percentage: result.percentage,
+      passed: result.passed,
+      gradingStatus: result.gradingStatus,
+      ...(reviewAllows(reviewLevel, "correctness") && {
+        correctAnswers: result.correctAnswers,
+        partialAnswers: result.partialAnswers,
+      }),
+      totalQuestions: result.totalQuestions,
+      // This route has always answered with display strings; keys only if the review policy allows
+      results: serializeQuestionResults(result.questionResults, reviewLevel).map(r => ({
+        ...r,
+        studentAnswer: r.displayStudentAnswer,
+        ...(reviewAllows(reviewLevel, "answers") && { correctAnswer: r.displayCorrectAnswer }),
+      })),
+      reviewLevel
     });
 
   } catch (error) {
@@ -1,6 +1,16 @@
 import express from "express";
 import bcrypt from "bcryptjs";
 import Student from "../models/Student.js";
+import Admin from "../models/Admin.js";
+import { authenticate, ensureSelf } from "../middleware/auth.js";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeAccessToken,
+} from "../utils/tokens.js";
+import { buildPolicyStats, groupAttemptsByTest, selectPolicyScore } from "../services/attemptPolicy.js";
 
 const router = express.Router();
 
@@ -129,11 +139,17 @@ router.post("/login", async (req, res) => {
     const studentData = student.toObject();
     delete studentData.password;
 
+    delete studentData.securityAnswer;
+    delete studentData.tokenVersion;
+
+    const tokens = await issueTokens(student, "student", { ip: req.ip });
+
     console.log(`✅ Login successful for student: ${studentID}`);
 
     res.status(200).json({
       message: "Login successful!",
       user: studentData,
+      ...tokens,
     });
 
   } catch (error) {
@@ -145,13 +161,71 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// POST /api/token/refresh - Rotate refresh token and issue a new pair (students and instructors)
+router.post("/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body ?? {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const rotated = await rotateRefreshToken(
+      refreshToken,
+      (payload) => {
+        if (payload.role === "student") return Student.findById(payload.sub);
+        if (payload.role === "admin") return Admin.findOne({ _id: payload.sub, active: true });
+        return null;
+      },
+      { ip: req.ip }
+    );
+    if (!rotated) {
+      return res.status(401).json({ code: "REFRESH_INVALID", message: "Invalid or expired refresh token" });
+    }
+
+    res.json({ message: "Token refreshed", ...rotated.tokens });
+  } catch (err) {
+    console.error("Error refreshing token:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/logout - Revoke the current access token and the given refresh token
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    await revokeAccessToken(req.auth);
+    if (req.body?.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken, req.student._id);
+    }
+
+    console.log(`👋 Student logged out: ${req.student.studentID}`);
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Error logging out:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/token/revoke-all - Sign out every device for the current student
+router.post("/token/revoke-all", authenticate, async (req, res) => {
+  try {
+    await Student.updateOne({ _id: req.student._id }, { $inc: { tokenVersion: 1 } });
+    await revokeAllRefreshTokens(req.student._id);
+
+    console.log(`⛔ All tokens revoked for student: ${req.student.studentID}`);
+    res.json({ message: "All sessions have been revoked" });
+  } catch (err) {
+    console.error("Error revoking tokens:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ✅ Update student profile
-router.put("/update-profile", async (req, res) => {
+router.put("/update-profile", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentID, firstName, lastName, course, section, yearLevel } = req.body;
+    const { firstName, lastName, course, section, yearLevel } = req.body;
 
     const student = await Student.findOneAndUpdate(
-      { studentID },
+      { _id: req.student._id },
       { firstName, lastName, course, section, yearLevel },
       { new: true }
     );
@@ -160,7 +234,7 @@ router.put("/update-profile", async (req, res) => {
       return res.status(404).json({ message: "Student not found" });
     }
 
-    const { password: _, ...studentData } = student.toObject();
+    const { password: _, securityAnswer: __, tokenVersion: ___, ...studentData } = student.toObject();
     res.json({ message: "Profile updated successfully", user: studentData });
   } catch (err) {
     console.error("Error updating profile:", err);
@@ -169,23 +243,25 @@ router.put("/update-profile", async (req, res) => {
 });
 
 // ✅ Change password
-router.put("/change-password", async (req, res) => {
+router.put("/change-password", authenticate, ensureSelf, async (req, res) => {
   try {
+    const studentID = req.student.studentID;
+
     console.log("🔐 Change password request received:", {
-      studentID: req.body.studentID,
+      studentID,
       hasCurrentPassword: !!req.body.currentPassword,
       hasNewPassword: !!req.body.newPassword,
       bodyKeys: Object.keys(req.body)
     });
 
-    const { studentID, currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword } = req.body;
 
-    if (!studentID || !currentPassword || !newPassword) {
-      console.log("❌ Missing required fields:", { studentID: !!studentID, currentPassword: !!currentPassword, newPassword: !!newPassword });
-      return res.status(400).json({ message: "Student ID, current password, and new password are required" });
+    if (!currentPassword || !newPassword) {
+      console.log("❌ Missing required fields:", { currentPassword: !!currentPassword, newPassword: !!newPassword });
+      return res.status(400).json({ message: "Current password and new password are required" });
     }
 
-    const student = await Student.findOne({ studentID });
+    const student = await Student.findById(req.student._id);
     if (!student) {
       console.log("❌ Student not found:", studentID);
       return res.status(404).json({ message: "Student not found" });
@@ -205,13 +281,18 @@ router.put("/change-password", async (req, res) => {
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, 12);
 
-    // Update password
-    student.password = hashedPassword;
-    await student.save();
+    // Update password and sign out every session; this one gets fresh tokens
+    const updated = await Student.findByIdAndUpdate(
+      student._id,
+      { $set: { password: hashedPassword }, $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+    await revokeAllRefreshTokens(student._id);
+    const tokens = await issueTokens(updated, "student", { ip: req.ip });
 
     console.log("✅ Password updated successfully for student:", studentID);
 
-    res.json({ message: "Password changed successfully" });
+    res.json({ message: "Password changed successfully", ...tokens });
   } catch (err) {
     console.error("❌ Error changing password:", err);
     res.status(500).json({ message: "Server error" });
@@ -282,10 +363,12 @@ router.post("/reset-password", async (req, res) => {
       return res.status(401).json({ message: "Incorrect security answer" });
     }
 
-    // Hash and update password
+    // Hash and update password, signing out every existing session
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     student.password = hashedPassword;
+    student.tokenVersion = (student.tokenVersion || 0) + 1;
     await student.save();
+    await revokeAllRefreshTokens(student._id);
 
     console.log(`✅ Password reset successfully for student: ${studentID}`);
 
@@ -296,34 +379,19 @@ router.post("/reset-password", async (req, res) => {
   }
 });
 
-// ✅ Get user statistics
-router.get("/stats/:studentId", async (req, res) => {
+// ✅ Get user statistics (each test counts once, with its scoringPolicy score)
+router.get("/stats{/:studentId}", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
     // Import models here to avoid circular imports
     const StudentTestAttempt = (await import("../models/StudentTestAttempt.js")).default;
-    const Student = (await import("../models/Student.js")).default;
-    
-    // First find the student by studentID to get their ObjectId
-    const student = await Student.findOne({ studentID: studentId }).lean();
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
-    }
+    const Test = (await import("../models/Test.js")).default;
     
-    // Now find test attempts using the student's ObjectId
-    const attempts = await StudentTestAttempt.find({ student: student._id }).lean();
+    const attempts = await StudentTestAttempt.find({ student: req.student._id, status: { $ne: "in-progress" } }).lean();
+    const tests = await Test.find({ _id: { $in: [...new Set(attempts.map(a => a.test.toString()))] } })
+      .select('scoringPolicy passingPoints')
+      .lean();
     
-    const stats = {
-      totalTests: attempts.length,
-      passedTests: attempts.filter(a => a.passed).length,
-      averageScore: attempts.length > 0 
-        ? Math.round(attempts.reduce((sum, a) => sum + a.percentage, 0) / attempts.length)
-        : 0,
-      totalPoints: attempts.reduce((sum, a) => sum + a.score, 0),
-      bestScore: attempts.length > 0 ? Math.max(...attempts.map(a => a.percentage)) : 0,
-      worstScore: attempts.length > 0 ? Math.min(...attempts.map(a => a.percentage)) : 0,
-    };
+    const stats = buildPolicyStats(attempts, new Map(tests.map(t => [t._id.toString(), t])));
 
     res.json(stats);
   } catch (err) {
@@ -333,27 +401,24 @@ router.get("/stats/:studentId", async (req, res) => {
 });
 
 // ✅ Get test history
-router.get("/test-history/:studentId", async (req, res) => {
+router.get("/test-history{/:studentId}", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
     // Import models here to avoid circular imports
     const StudentTestAttempt = (await import("../models/StudentTestAttempt.js")).default;
     const Test = (await import("../models/Test.js")).default;
-    const Student = (await import("../models/Student.js")).default;
-    
-    // First find the student by studentID to get their ObjectId
-    const student = await Student.findOne({ studentID: studentId }).lean();
-    if (!student) {
-      return res.status(404).json({ message: "Student not found" });
-    }
     
-    // Now find test attempts using the student's ObjectId
-    const attempts = await StudentTestAttempt.find({ student: student._id })
-      .populate('test', 'title subjectCode')
+    const attempts = await StudentTestAttempt.find({ student: req.student._id, status: { $ne: "in-progress" } })
+      .populate('test', 'title subjectCode scoringPolicy passingPoints')
       .sort({ submittedAt: -1 })
       .lean();
     
+    // Score that counts for each test under its scoringPolicy
+    const testsById = new Map(attempts.filter(a => a.test?._id).map(a => [a.test._id.toString(), a.test]));
+    const policyScores = new Map();
+    for (const [testId, testAttempts] of groupAttemptsByTest(attempts)) {
+      policyScores.set(testId, selectPolicyScore(testsById.get(testId) || {}, testAttempts));
+    }
+    
     const history = attempts.map(attempt => {
       // Calculate time spent if both takenAt and submittedAt are available
       let timeSpent = 'Unknown';
@@ -372,8 +437,11 @@ router.get("/test-history/:studentId", async (req, res) => {
         }
       }
       
+      const policyScore = policyScores.get((attempt.test?._id || attempt.test).toString());
+      
       return {
         id: attempt._id,
+        attemptNumber: attempt.attemptNumber || 1,
         testId: attempt.test?._id || attempt.test, // Include test ID for frontend calculation
         testTitle: attempt.test?.title || 'Unknown Test',
         subject: attempt.test?.subjectCode || 'Unknown Subject',
@@ -384,21 +452,16 @@ router.get("/test-history/:studentId", async (req, res) => {
         submittedAt: attempt.submittedAt,
         takenAt: attempt.takenAt, // Include takenAt for frontend calculation
         timeSpent: timeSpent,
+        status: attempt.gradingStatus === "pending" ? "awaiting grading" : attempt.status || "submitted",
+        gradingStatus: attempt.gradingStatus || "complete",
+        policyScore,
+        countsTowardScore: policyScore.scoringPolicy === "average" || String(policyScore.attemptId) === String(attempt._id),
         questionsAnswered: attempt.questionResults?.length || 0,
         totalQuestions: attempt.questionResults?.length || 0,
       };
     });
 
-    const stats = {
-      totalTests: attempts.length,
-      passedTests: attempts.filter(a => a.passed).length,
-      averageScore: attempts.length > 0 
-        ? Math.round(attempts.reduce((sum, a) => sum + a.percentage, 0) / attempts.length)
-        : 0,
-      totalPoints: attempts.reduce((sum, a) => sum + a.score, 0),
-      bestScore: attempts.length > 0 ? Math.max(...attempts.map(a => a.percentage)) : 0,
-      worstScore: attempts.length > 0 ? Math.min(...attempts.map(a => a.percentage)) : 0,
-    };
+    const stats = buildPolicyStats(attempts, testsById);
 
     res.json({ history, stats });
   } catch (err) {
@@ -408,7 +471,7 @@ router.get("/test-history/:studentId", async (req, res) => {
 });
 
 // ✅ Get detailed test attempt results
-router.get("/test-attempt/:attemptId", async (req, res) => {
+router.get("/test-attempt/:attemptId", authenticate, async (req, res) => {
   try {
     const { attemptId } = req.params;
     
@@ -416,7 +479,7 @@ router.get("/test-attempt/:attemptId", async (req, res) => {
     const StudentTestAttempt = (await import("../models/StudentTestAttempt.js")).default;
     const Test = (await import("../models/Test.js")).default;
     
-    const attempt = await StudentTestAttempt.findById(attemptId)
+    const attempt = await StudentTestAttempt.findOne({ _id: attemptId, student: req.student._id })
       .populate('test', 'title subjectCode description')
       .lean();
     
@@ -425,20 +488,34 @@ router.get("/test-attempt/:attemptId", async (req, res) => {
     }
     
     // Get the original test questions to show the full question details
-    const test = await Test.findById(attempt.test._id).lean();
+    // (only the ones this attempt was given, as of the version it was taken on)
+    const { loadTestForAttempt } = await import("../services/testVersions.js");
+    const liveTest = attempt.test ? await Test.findById(attempt.test._id).lean() : null;
+    const test = await loadTestForAttempt(attempt, liveTest);
+    const { serializeAttempt, serializeAttemptQuestions } = await import("../serializers/attemptSerializer.js");
+    const { reviewAllows } = await import("../services/reviewPolicy.js");
     
+    // Keys and feedback only when the test's review policy allows it
+    const { questionResults, reviewLevel } = serializeAttempt(attempt, { test });
     const detailedResults = {
       attemptId: attempt._id,
-      testTitle: attempt.test?.title || 'Unknown Test',
-      subject: attempt.test?.subjectCode || 'Unknown Subject',
-      description: attempt.test?.description || '',
+      testTitle: test?.title || 'Unknown Test',
+      subject: test?.subjectCode || 'Unknown Subject',
+      description: test?.description || '',
       score: attempt.score,
       totalPoints: attempt.totalPoints,
       percentage: attempt.percentage,
       passed: attempt.passed,
+      gradingStatus: attempt.gradingStatus || "complete",
       submittedAt: attempt.submittedAt,
-      questionResults: attempt.questionResults || [],
-      originalQuestions: test?.questions || []
+      version: test?.version || null,
+      ...(reviewAllows(reviewLevel, "correctness") && {
+        correctAnswers: questionResults.filter(r => r.isCorrect === true).length,
+        partialAnswers: questionResults.filter(r => r.isCorrect === "partial").length,
+      }),
+      questionResults,
+      reviewLevel,
+      originalQuestions: test ? serializeAttemptQuestions(test, attempt) : []
     };
 
     res.json(detailedResults);
@@ -449,16 +526,14 @@ router.get("/test-attempt/:attemptId", async (req, res) => {
 });
 
 // ✅ Get user profile data
-router.get("/profile/:studentId", async (req, res) => {
+router.get("/profile{/:studentId}", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
-    const student = await Student.findOne({ studentID: studentId }).lean();
+    const student = await Student.findById(req.student._id).lean();
     if (!student) {
       return res.status(404).json({ message: "Student not found" });
     }
 
-    const { password: _, ...studentData } = student;
+    const { password: _, securityAnswer: __, tokenVersion: ___, ...studentData } = student;
     res.json(studentData);
   } catch (err) {
     console.error("Error fetching user profile:", err);
@@ -467,13 +542,12 @@ router.get("/profile/:studentId", async (req, res) => {
 });
 
 // ✅ Save user settings
-router.put("/settings/:studentId", async (req, res) => {
+router.put("/settings{/:studentId}", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    const settings = req.body;
+    const { studentId: _, studentID: __, ...settings } = req.body;
     
     const student = await Student.findOneAndUpdate(
-      { studentID: studentId },
+      { _id: req.student._id },
       { settings },
       { new: true }
     );
@@ -490,11 +564,9 @@ router.put("/settings/:studentId", async (req, res) => {
 });
 
 // ✅ Get user settings
-router.get("/settings/:studentId", async (req, res) => {
+router.get("/settings{/:studentId}", authenticate, ensureSelf, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
-    const student = await Student.findOne({ studentID: studentId }).lean();
+    const student = await Student.findById(req.student._id).lean();
     if (!student) {
       return res.status(404).json({ message: "Student not found" });
     }
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import connectDB from "../config/mongodb.js";
+import Admin from "../models/Admin.js";
+
+// Usage: npm run create-admin -- <email> <password> <firstName> <lastName> [instructor|superadmin]
+const [email, password, firstName, lastName, role = "instructor"] = process.argv.slice(2);
+
+if (!email || !password || !firstName || !lastName) {
+  console.error("Usage: npm run create-admin -- <email> <password> <firstName> <lastName> [instructor|superadmin]");
+  process.exit(1);
+}
+
+if (!["instructor", "superadmin"].includes(role)) {
+  console.error("❌ Role must be instructor or superadmin");
+  process.exit(1);
+}
+
+await connectDB();
+
+try {
+  const admin = await Admin.create({
+    email,
+    password: await bcrypt.hash(password, 12),
+    firstName,
+    lastName,
+    role,
+  });
+  console.log(`✅ Created ${admin.role} account: ${admin.email} (${admin._id})`);
+} catch (err) {
+  console.error("❌ Failed to create admin:", err.code === 11000 ? "email already exists" : err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import connectDB from "../config/mongodb.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+
+// Usage: npm run renumber-attempts [-- --dry-run]
+// Attempts are unique per student, test and attemptNumber. Older data can
+// break that (attempts recorded before retakes were numbered all default to 1,
+// and double submits left duplicates), so this renumbers each affected
+// student/test pair 1..n in the order the attempts were taken, then builds the
+// indexes.
+const dryRun = process.argv.includes("--dry-run");
+
+await connectDB();
+
+try {
+  const groups = await StudentTestAttempt.aggregate([
+    { $group: { _id: { student: "$student", test: "$test", attemptNumber: "$attemptNumber" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $group: { _id: { student: "$_id.student", test: "$_id.test" } } },
+  ]);
+  console.log(`🔎 ${groups.length} student/test pair(s) with duplicate attempt numbers`);
+
+  let renumbered = 0;
+  for (const { _id: { student, test } } of groups) {
+    const attempts = await StudentTestAttempt.find({ student, test })
+      .select("attemptNumber takenAt submittedAt")
+      .sort({ attemptNumber: 1, takenAt: 1, submittedAt: 1, _id: 1 })
+      .lean();
+
+    // Move them out of the way first so the new numbers never collide mid-way
+    const writes = attempts.map((attempt, index) => ({
+      updateOne: { filter: { _id: attempt._id }, update: { $set: { attemptNumber: -(index + 1) } } },
+    }));
+    const final = attempts.map((attempt, index) => ({
+      updateOne: { filter: { _id: attempt._id }, update: { $set: { attemptNumber: index + 1 } } },
+    }));
+    const changed = attempts.filter((attempt, index) => attempt.attemptNumber !== index + 1).length;
+    renumbered += changed;
+    console.log(`  student ${student} test ${test}: ${attempts.length} attempt(s), ${changed} renumbered`);
+
+    if (!dryRun) {
+      await StudentTestAttempt.bulkWrite(writes);
+      await StudentTestAttempt.bulkWrite(final);
+    }
+  }
+
+  if (dryRun) {
+    console.log(`✅ Dry run: ${renumbered} attempt(s) would be renumbered`);
+  } else {
+    await StudentTestAttempt.createIndexes();
+    console.log(`✅ Renumbered ${renumbered} attempt(s); indexes are in place`);
+  }
+} catch (err) {
+  console.error("❌ Failed to renumber attempts:", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
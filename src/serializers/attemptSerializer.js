@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import { presentQuestion } from "../services/choiceOrder.js";
+import { getAttemptQuestions } from "../services/attemptSessions.js";
+import { getReviewLevel, reviewAllows } from "../services/reviewPolicy.js";
+import { toPlain } from "./testSerializer.js";
+
+// What each role gets to see of an attempt. Instructors get everything;
+// students see answer keys and feedback only once the attempt is submitted and
+// the test's reviewPolicy allows it.
+
+// Per-question fields that give answers away; feedback often does too
+const KEY_FIELDS = ["correctAnswer", "displayCorrectAnswer", "feedback", "matchedRule"];
+const CORRECTNESS_FIELDS = ["isCorrect", "pointsEarned"];
+
+const omit = (source, fields) => {
+  const copy = { ...source };
+  for (const field of fields) delete copy[field];
+  return copy;
+};
+
+/**
+ * 🔒 questionResults trimmed to a review level (see services/reviewPolicy.js).
+ */
+export function serializeQuestionResults(questionResults = [], level) {
+  if (!reviewAllows(level, "score")) return [];
+
+  const results = questionResults.map(toPlain);
+  if (reviewAllows(level, "answers")) return results;
+  if (reviewAllows(level, "correctness")) return results.map(result => omit(result, KEY_FIELDS));
+  return results.map(result => omit(result, [...KEY_FIELDS, ...CORRECTNESS_FIELDS]));
+}
+
+/**
+ * 🔒 An attempt for `role`. `test` supplies the reviewPolicy; a populated
+ * `attempt.test` is used when it isn't passed.
+ */
+export function serializeAttempt(attempt, { role = "student", test } = {}) {
+  const data = toPlain(attempt);
+  if (role === "admin") return data;
+
+  const populatedTest = data.test && !(data.test instanceof mongoose.Types.ObjectId) ? data.test : null;
+  const level = getReviewLevel(test || populatedTest, data);
+  // Drawn bank questions carry their answer keys; suspicion scores and
+  // idempotency bookkeeping are for instructors and the server
+  const { choiceOrders: _, drawnQuestions: __, proctoring: ___, submissionKey: ____, offline, ...rest } = data;
+
+  return {
+    ...rest,
+    ...(offline && { offline: omit(offline, ["bundleHash"]) }),
+    // Answer keys live on a populated test's questions
+    test: populatedTest ? omit(populatedTest, ["questions"]) : data.test,
+    questionResults: serializeQuestionResults(data.questionResults, level),
+    reviewLevel: level,
+  };
+}
+
+/**
+ * 🔒 The attempt's questions for review: full questions (with keys) when the
+ * review level allows it, otherwise only what was shown while taking the test.
+ */
+export function serializeAttemptQuestions(test, attempt, { role = "student" } = {}) {
+  const questions = getAttemptQuestions(test, attempt).map(toPlain);
+  if (role === "admin") return questions;
+
+  const level = getReviewLevel(test, attempt);
+  if (!reviewAllows(level, "score")) return [];
+  if (reviewAllows(level, "answers")) return questions;
+  return questions.map(question => presentQuestion(question, attempt));
+}
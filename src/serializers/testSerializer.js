@@ -0,0 +1,37 @@
+import { presentQuestion } from "../services/choiceOrder.js";
+import { getAttemptQuestions } from "../services/attemptSessions.js";
+import { countAttemptQuestions } from "../services/questionBank.js";
+import { getTestStatus } from "../services/testVersions.js";
+
+// What each role gets to see of a test. Instructors get the whole document;
+// students never get answer keys, accepted answers or feedback.
+
+export const toPlain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc);
+
+/**
+ * 🔒 Test settings and counts for students, without any questions. Draw rules
+ * and proctoring rules stay with the instructor.
+ */
+export function serializeTestSummary(test) {
+  const { questions = [], __v: _, drawRules, proctoring: __, ...rest } = toPlain(test);
+  return {
+    ...rest,
+    totalQuestions: questions.length,
+    questionsShown: countAttemptQuestions({ ...rest, drawRules, questions }),
+  };
+}
+
+/**
+ * 🔒 A test for `role` ("student" or "admin"). Students only get questions for
+ * an attempt, as that attempt shows them: stems and choices, nothing else.
+ */
+export function serializeTest(test, { role = "student", attempt = null } = {}) {
+  if (role === "admin") return { ...toPlain(test), status: getTestStatus(test) };
+
+  const summary = serializeTestSummary(test);
+  if (!attempt) return summary;
+  return {
+    ...summary,
+    questions: getAttemptQuestions(test, attempt).map(question => presentQuestion(question, attempt)),
+  };
+}
@@ -4,11 +4,17 @@ import dotenv from "dotenv";
 import connectDB from "./config/mongodb.js";
 import { startMongoToFirestoreSync } from "./sync/mongoToFirestore.js";
 import { startFirestoreToMongoSync } from "./sync/firestoreToMongo.js";
+import { startAttemptSweeper } from "./jobs/attemptSweeper.js";
 
 // ===== ROUTES =====
 import authRoutes from "./routes/auth.js";
 import testRoutes from "./routes/TestRoutes.js";
 import quizAttemptRoutes from "./routes/QuizAttemptRoutes.js"; // ✅ new import
+import adminRoutes from "./routes/AdminRoutes.js";
+import testAuthoringRoutes from "./routes/TestAuthoringRoutes.js";
+import gradingRoutes from "./routes/GradingRoutes.js";
+import questionBankRoutes from "./routes/QuestionBankRoutes.js";
+import fileRoutes, { legacyFileRoutes } from "./routes/FileRoutes.js";
 
 dotenv.config();
 
@@ -18,10 +24,16 @@ const app = express();
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Idempotency-Key']
 }));
 app.use(express.json());
+// Express 5 leaves req.body undefined when a request has no JSON body; handlers
+// destructure it, so give them an empty one and let validation answer 400
+app.use((req, res, next) => {
+  req.body ??= {};
+  next();
+});
 
 // Add request logging
 app.use((req, res, next) => {
@@ -31,8 +43,14 @@ app.use((req, res, next) => {
 
 // ===== API ROUTES =====
 app.use("/api", authRoutes);
+app.use("/api/admin/grading", gradingRoutes); // essay grading queue
+app.use("/api/admin/questions", questionBankRoutes); // shared question bank
+app.use("/api/admin", adminRoutes);
+app.use("/api/tests", testAuthoringRoutes); // instructor create/update/delete
 app.use("/api/tests", testRoutes);
 app.use("/api/quiz-attempts", quizAttemptRoutes); // ✅ new route
+app.use("/api/files", fileRoutes); // question attachments & feedback files
+app.use(["/QuestionFile", "/CorrectFile"], legacyFileRoutes); // links stored by older data
 
 // ===== DEFAULT ROUTE =====
 app.get("/", (req, res) => {
@@ -42,6 +60,9 @@ app.get("/", (req, res) => {
 // ===== DATABASE CONNECTION =====
 await connectDB();
 
+// ===== BACKGROUND JOBS =====
+startAttemptSweeper(); // auto-submits timed attempts left open past their expiry
+
 // ===== FIREBASE SYNC =====
 try {
   console.log("🔄 Starting sync services...");
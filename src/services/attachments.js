@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import path from "path";
+import Test from "../models/Test.js";
+import Question from "../models/Question.js";
+import TestVersion from "../models/TestVersion.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { getStorage } from "../storage/index.js";
+
+// Question attachments and feedback files. Files are stored content-addressed
+// ("QuestionFile/<sha256>.png"), so the same upload twice is stored once and a
+// file can be shared by several questions. Questions keep the URL returned by
+// the upload API; a file is only deleted once nothing refers to it any more -
+// no test, no published test version, no bank question and no attempt's copy
+// of a drawn bank question.
+
+export const FILE_FOLDERS = { question: "QuestionFile", feedback: "CorrectFile" };
+
+// Accepted types and the extension each is stored under
+export const ALLOWED_TYPES = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+  "audio/mpeg": ".mp3",
+  "video/mp4": ".mp4",
+};
+
+const CONTENT_TYPES = {
+  ...Object.fromEntries(Object.entries(ALLOWED_TYPES).map(([type, ext]) => [ext, type])),
+  ".jpeg": "image/jpeg",
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * 🔎 The type a file really is, from its first bytes (null when unrecognised).
+ * The client's declared MIME type is never trusted on its own.
+ */
+export function sniffMimeType(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) return "image/gif";
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "application/pdf";
+  if (startsWith(buffer, [0x49, 0x44, 0x33]) || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4)) return "video/mp4";
+  return null;
+}
+
+export const contentTypeFor = (name) =>
+  CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+
+/**
+ * 📎 Validate and store one uploaded file.
+ * Returns `{ error }` ({ status, body }) or `{ file }` describing the stored file.
+ */
+export async function storeAttachment({ buffer, mimetype, kind = "question" }) {
+  const folder = FILE_FOLDERS[kind];
+  if (!folder) {
+    return { error: { status: 400, body: { code: "VALIDATION_ERROR", message: `kind must be one of: ${Object.keys(FILE_FOLDERS).join(", ")}` } } };
+  }
+
+  const detected = sniffMimeType(buffer);
+  if (!detected || !ALLOWED_TYPES[detected]) {
+    return { error: { status: 415, body: { code: "UNSUPPORTED_FILE_TYPE", message: `Allowed types: ${Object.keys(ALLOWED_TYPES).join(", ")}` } } };
+  }
+  if (mimetype && mimetype !== "application/octet-stream" && mimetype !== detected) {
+    return { error: { status: 415, body: { code: "FILE_TYPE_MISMATCH", message: `File content is ${detected}, not ${mimetype}` } } };
+  }
+
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const key = `${folder}/${sha256}${ALLOWED_TYPES[detected]}`;
+
+  const storage = getStorage();
+  const duplicate = await storage.exists(key);
+  if (!duplicate) await storage.put(key, buffer, { contentType: detected });
+
+  return {
+    file: { key, url: `/api/files/${key}`, sha256, size: buffer.length, contentType: detected, duplicate },
+  };
+}
+
+/**
+ * 🔗 Storage key for a stored file URL, or null for anything that isn't ours.
+ * Accepts "/api/files/QuestionFile/x.png" as well as the older
+ * "/QuestionFile/x.png" and "public/QuestionFile/x.png" forms.
+ */
+export function fileUrlToKey(url) {
+  if (typeof url !== "string" || !url) return null;
+  let pathname = url;
+  try {
+    pathname = new URL(url, "http://local").pathname;
+  } catch {
+    return null;
+  }
+  const folders = Object.values(FILE_FOLDERS).join("|");
+  const match = new RegExp(`(?:^|/)(${folders})/([\\w.-]+)$`).exec(pathname);
+  if (!match || match[2].startsWith(".")) return null;
+  return `${match[1]}/${match[2]}`;
+}
+
+/**
+ * 📎 Storage keys referenced by a list of questions (attachments and feedback files).
+ */
+export function collectQuestionFileKeys(questions = []) {
+  const keys = new Set();
+  for (const question of questions) {
+    const urls = [...(question.files || []), question.feedbackWhenCorrect?.file, question.feedbackWhenIncorrect?.file];
+    for (const url of urls) {
+      const key = fileUrlToKey(url);
+      if (key) keys.add(key);
+    }
+  }
+  return keys;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whether any test, bank question or drawn-question copy links the file
+async function isFileInUse(key) {
+  const pattern = new RegExp(`(^|/)${escapeRegex(key)}$`);
+  const linksIn = (prefix) => ({
+    $or: ["files", "feedbackWhenCorrect.file", "feedbackWhenIncorrect.file"].map(field => ({ [`${prefix}${field}`]: pattern })),
+  });
+  return Boolean(await Test.exists(linksIn("questions."))
+    || await TestVersion.exists(linksIn("questions."))
+    || await Question.exists(linksIn(""))
+    || await StudentTestAttempt.exists(linksIn("drawnQuestions.")));
+}
+
+/**
+ * 🧹 Delete stored files that nothing refers to any more.
+ * `keys` are the files the caller just dropped; ones still used elsewhere stay.
+ * Failures are logged, never thrown - a leftover file is better than a failed save.
+ */
+export async function removeOrphanedFiles(keys) {
+  const removed = [];
+  for (const key of keys) {
+    try {
+      if (await isFileInUse(key)) continue;
+
+      await getStorage().remove(key);
+      removed.push(key);
+    } catch (err) {
+      console.error(`⚠️ Failed to clean up file ${key}:`, err);
+    }
+  }
+  if (removed.length) console.log(`🧹 Removed ${removed.length} orphaned file(s)`);
+  return removed;
+}
+
+/**
+ * 🧹 After a test's questions changed: remove files that were referenced
+ * `before` (a key set from collectQuestionFileKeys) and no longer are.
+ */
+export function releaseDroppedFiles(before, questions) {
+  const after = collectQuestionFileKeys(questions);
+  const dropped = [...before].filter(key => !after.has(key));
+  return dropped.length ? removeOrphanedFiles(dropped) : Promise.resolve([]);
+}
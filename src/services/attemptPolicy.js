@@ -0,0 +1,152 @@
+import { passesTest } from "../grading/index.js";
+
+// Retake rules for a test: how many attempts, how long between them, and
+// which score counts (highest, latest or the average of every attempt).
+
+export const SCORING_POLICIES = ["highest", "latest", "average"];
+
+const finishedAt = (attempt) => new Date(attempt.submittedAt || attempt.takenAt || 0).getTime();
+
+/**
+ * 🏅 The score that counts for a test under its scoringPolicy.
+ * `attempts` are the student's finished attempts on that test.
+ * Returns null when there are none.
+ */
+export function selectPolicyScore(test, attempts) {
+  if (!attempts || attempts.length === 0) return null;
+
+  const scoringPolicy = SCORING_POLICIES.includes(test?.scoringPolicy) ? test.scoringPolicy : "highest";
+  const byTime = [...attempts].sort((a, b) => finishedAt(a) - finishedAt(b));
+
+  if (scoringPolicy === "average") {
+    const score = byTime.reduce((sum, a) => sum + (a.score || 0), 0) / byTime.length;
+    const totalPoints = byTime.reduce((sum, a) => sum + (a.totalPoints || 0), 0) / byTime.length;
+    const percentage = byTime.reduce((sum, a) => sum + (a.percentage || 0), 0) / byTime.length;
+    return {
+      scoringPolicy,
+      score,
+      totalPoints,
+      percentage,
+      passed: passesTest(test, score, percentage),
+      attemptId: null,
+      attemptCount: byTime.length,
+    };
+  }
+
+  let selected;
+  if (scoringPolicy === "latest") {
+    selected = byTime[byTime.length - 1];
+  } else {
+    // Highest percentage; ties go to the earlier attempt
+    selected = byTime.reduce((best, a) => ((a.percentage || 0) > (best.percentage || 0) ? a : best));
+  }
+
+  return {
+    scoringPolicy,
+    score: selected.score,
+    totalPoints: selected.totalPoints,
+    percentage: selected.percentage,
+    passed: selected.passed,
+    attemptId: selected._id,
+    attemptCount: byTime.length,
+  };
+}
+
+/**
+ * 🔢 Retake bookkeeping for the test list and take-test.
+ * maxAttempts 0 means unlimited.
+ */
+export function describeAttemptAllowance(test, attempts, now = new Date()) {
+  const maxAttempts = test?.maxAttempts ?? 1;
+  const attemptsUsed = attempts.length;
+  const attemptsRemaining = maxAttempts > 0 ? Math.max(0, maxAttempts - attemptsUsed) : null;
+
+  let nextAttemptAt = null;
+  if (attemptsUsed > 0 && test?.cooldownMinutes > 0) {
+    const last = Math.max(...attempts.map(finishedAt));
+    const readyAt = last + test.cooldownMinutes * 60 * 1000;
+    if (readyAt > now.getTime()) nextAttemptAt = new Date(readyAt);
+  }
+
+  return {
+    maxAttempts,
+    attemptsUsed,
+    attemptsRemaining,
+    nextAttemptAt,
+    canRetake: attemptsRemaining !== 0 && !nextAttemptAt,
+  };
+}
+
+/**
+ * 🚦 May the student begin another attempt? Returns null when allowed,
+ * otherwise `{ status, body }`.
+ */
+export function getNewAttemptError(test, attempts, now = new Date()) {
+  const allowance = describeAttemptAllowance(test, attempts, now);
+
+  if (allowance.attemptsRemaining === 0) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        code: "MAX_ATTEMPTS_REACHED",
+        message: allowance.maxAttempts === 1
+          ? "Test already attempted"
+          : `You have used all ${allowance.maxAttempts} attempts for this test`,
+        ...allowance,
+      },
+    };
+  }
+
+  if (allowance.nextAttemptAt) {
+    return {
+      status: 429,
+      body: {
+        success: false,
+        code: "COOLDOWN_ACTIVE",
+        message: "Please wait before starting another attempt",
+        ...allowance,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 📊 Group finished attempts by test id.
+ */
+export function groupAttemptsByTest(attempts) {
+  const grouped = new Map();
+  for (const attempt of attempts) {
+    const testId = (attempt.test?._id || attempt.test).toString();
+    if (!grouped.has(testId)) grouped.set(testId, []);
+    grouped.get(testId).push(attempt);
+  }
+  return grouped;
+}
+
+/**
+ * 📈 Student stats where each test contributes its policy-selected score once.
+ * `testsById` supplies scoringPolicy / passingPoints for every test id.
+ */
+export function buildPolicyStats(attempts, testsById) {
+  const results = [];
+  for (const [testId, testAttempts] of groupAttemptsByTest(attempts)) {
+    const result = selectPolicyScore(testsById.get(testId) || {}, testAttempts);
+    if (result) results.push(result);
+  }
+
+  const percentages = results.map(r => r.percentage);
+  return {
+    totalTests: results.length,
+    totalAttempts: attempts.length,
+    passedTests: results.filter(r => r.passed).length,
+    averageScore: results.length > 0
+      ? Math.round(percentages.reduce((sum, p) => sum + p, 0) / results.length)
+      : 0,
+    totalPoints: results.reduce((sum, r) => sum + r.score, 0),
+    bestScore: results.length > 0 ? Math.max(...percentages) : 0,
+    worstScore: results.length > 0 ? Math.min(...percentages) : 0,
+  };
+}
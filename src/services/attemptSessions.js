@@ -0,0 +1,476 @@
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { withTransaction } from "../config/mongodb.js";
+import { getTestAccessError } from "./testAccess.js";
+import { shuffleArray } from "../utils/shuffle.js";
+import { buildChoiceOrders, remapKeyedAnswers } from "./choiceOrder.js";
+import { getNewAttemptError } from "./attemptPolicy.js";
+import { gradeAttempt, normalizeAnswers } from "../grading/index.js";
+import { drawBankQuestions, usesQuestionBank } from "./questionBank.js";
+import { getPublishedVersion, applyVersion, loadTestForAttempt } from "./testVersions.js";
+
+// Submissions are still accepted this long after expiresAt (network latency, slow phones)
+export const ATTEMPT_GRACE_MS = (Number(process.env.ATTEMPT_GRACE_SECONDS) || 30) * 1000;
+
+// Finished attempts are everything that isn't an open session (legacy docs have no status)
+const FINISHED = { status: { $ne: "in-progress" } };
+
+// Largest single autosaved answer (serialized), so an open attempt can't grow without bound
+const MAX_SAVED_ANSWER_BYTES = 16 * 1024;
+
+/**
+ * ⏳ When an attempt started at `startedAt` must be handed in:
+ * start + timeLimit, never later than the test deadline. Null when neither applies.
+ */
+export function computeExpiry(test, startedAt) {
+  const candidates = [];
+  if (test.timeLimit) candidates.push(startedAt.getTime() + test.timeLimit * 60 * 1000);
+  if (test.deadline) candidates.push(new Date(test.deadline).getTime());
+  return candidates.length ? new Date(Math.min(...candidates)) : null;
+}
+
+export function isAttemptExpired(attempt, now = new Date()) {
+  return !!attempt.expiresAt && now.getTime() > new Date(attempt.expiresAt).getTime() + ATTEMPT_GRACE_MS;
+}
+
+/**
+ * 📴 Offline attempts stay open for their answer bundle until offline.uploadBy,
+ * even once their time is up; they are only auto-submitted after that.
+ */
+export function isAwaitingUpload(attempt, now = new Date()) {
+  return !!attempt.offline?.uploadBy && now.getTime() <= new Date(attempt.offline.uploadBy).getTime();
+}
+
+export function getRemainingSeconds(attempt, now = new Date()) {
+  if (!attempt.expiresAt) return null;
+  return Math.max(0, Math.floor((new Date(attempt.expiresAt).getTime() - now.getTime()) / 1000));
+}
+
+// The test asks fewer questions than it has, so each attempt draws its own
+const selectsSubset = (test) => Boolean(test.howManyQuestions) && test.howManyQuestions < (test.questions || []).length;
+
+/**
+ * 🎲 Pick the test's own questions for a new attempt: a random `howManyQuestions`
+ * subset when the test asks for fewer than it has, otherwise every question in
+ * order. Bank questions are drawn separately (drawBankQuestions).
+ */
+export function selectQuestionIds(test) {
+  const questions = test.questions || [];
+  if (selectsSubset(test)) {
+    console.log(`🎲 Randomizing questions: drawing ${test.howManyQuestions} out of ${questions.length}`);
+    return shuffleArray(questions).slice(0, test.howManyQuestions).map(q => q._id);
+  }
+  return questions.map(q => q._id);
+}
+
+/**
+ * 📋 The questions frozen on an attempt, in the order they were shown.
+ * Legacy attempts without `questionIds` cover the whole test. Bank questions
+ * come from the attempt's own copies; test questions deleted since the attempt
+ * started are skipped.
+ */
+export function getAttemptQuestions(test, attempt) {
+  const questions = test.questions || [];
+  if (!attempt?.questionIds || attempt.questionIds.length === 0) return questions;
+
+  const byId = new Map([...questions, ...(attempt.drawnQuestions || [])].map(q => [q._id.toString(), q]));
+  return attempt.questionIds
+    .map(id => byId.get(id.toString()))
+    .filter(Boolean);
+}
+
+/**
+ * 📥 The answers to grade for `attempt`, in original choice order: autosaved
+ * answers win, and `submitted` (a submit body, keyed or positional) only fills
+ * in questions that were never autosaved.
+ */
+export function collectAttemptAnswers(questions, attempt, submitted = []) {
+  const saved = (attempt.savedAnswers || []).map(s => ({ questionId: s.questionId.toString(), answer: s.answer }));
+  const savedIds = new Set(saved.map(s => s.questionId));
+  const fresh = normalizeAnswers(questions, submitted).filter(entry => !savedIds.has(entry.questionId));
+  return remapKeyedAnswers(questions, attempt, [...saved, ...fresh]);
+}
+
+/**
+ * 🕰️ Close an expired session, grading whatever answers were autosaved.
+ * `test` is the live test; the attempt is graded against its own version.
+ * `submittedAt` defaults to when the time ran out; `extra` fields are set in
+ * the same write. Only an attempt still in progress is closed, so a submission
+ * recorded meanwhile is never overwritten. Pass the `session` of a surrounding
+ * transaction to write within it. Returns the attempt as stored: the
+ * auto-submitted one, or the one that got there first.
+ */
+export async function autoSubmitAttempt(attempt, test, { submittedAt = attempt.expiresAt || new Date(), extra = {}, session = null } = {}) {
+  const pinned = (await loadTestForAttempt(attempt, test)) || {};
+  const questions = getAttemptQuestions(pinned, attempt);
+  const result = gradeAttempt(pinned, collectAttemptAnswers(questions, attempt), { questions });
+
+  const closed = await StudentTestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in-progress" },
+    {
+      $set: {
+        status: "auto-submitted",
+        score: result.score,
+        totalPoints: result.totalPoints,
+        percentage: result.percentage,
+        passed: result.passed,
+        gradingStatus: result.gradingStatus,
+        questionResults: result.questionResults,
+        submittedAt,
+        ...extra,
+      },
+    },
+    { new: true, session }
+  );
+  if (!closed) return StudentTestAttempt.findById(attempt._id).session(session);
+
+  console.log(`🕰️ Auto-submitted attempt ${attempt._id} with ${attempt.savedAnswers?.length || 0} saved answer(s)`);
+  return closed;
+}
+
+// An expired offline attempt must be finished by uploading its bundle
+const uploadPendingError = (attempt) => ({
+  status: 409,
+  body: {
+    success: false,
+    code: "OFFLINE_UPLOAD_PENDING",
+    message: "This attempt was taken offline; upload its answers from the device that took it",
+    attemptId: attempt._id,
+    uploadBy: attempt.offline.uploadBy,
+  },
+});
+
+/**
+ * 🕰️ Deal with an open attempt whose time ran out: auto-submit it, unless it
+ * is offline and still waiting for its bundle. Returns the error to answer with.
+ */
+export async function closeExpiredAttempt(attempt, test, now, session = null) {
+  if (isAwaitingUpload(attempt, now)) return uploadPendingError(attempt);
+  await autoSubmitAttempt(attempt, test, { session });
+  return expiredError(attempt);
+}
+
+const expiredError = (attempt) => ({
+  status: 410,
+  body: {
+    success: false,
+    code: "ATTEMPT_EXPIRED",
+    message: "Time is up for this attempt; it has been submitted automatically",
+    attemptId: attempt._id,
+    expiresAt: attempt.expiresAt,
+  },
+});
+
+const answerError = (status, code, message, extra = {}) => ({ status, body: { success: false, code, message, ...extra } });
+
+/**
+ * 💾 Autosave answers on an open attempt. Each entry is
+ * `{ questionId, answer, version }`, where `version` is the version the client
+ * last saw for that question (0 if it never saved one). Each save is atomic and
+ * only applies over that exact version; otherwise the entry fails with
+ * STALE_ANSWER and the server's current copy. `test` is the live test.
+ * Returns `{ results }` (one per entry: `{ questionId, version, savedAt }` or
+ * `{ questionId, error }`) or `{ error: { status, body } }` for the attempt.
+ */
+export async function saveAnswers(attempt, test, entries, now = new Date()) {
+  if (attempt.status !== "in-progress") {
+    return { error: answerError(409, "ATTEMPT_NOT_OPEN", "This attempt has already been submitted") };
+  }
+  if (isAttemptExpired(attempt, now)) return { error: await closeExpiredAttempt(attempt, test, now) };
+
+  const questions = getAttemptQuestions((await loadTestForAttempt(attempt, test)) || {}, attempt);
+  const questionIds = new Set(questions.map(q => q._id.toString()));
+
+  const results = [];
+  for (const { questionId, answer = null, version } of entries) {
+    const id = questionId?.toString();
+    if (!id || !questionIds.has(id)) {
+      results.push({ questionId, error: answerError(404, "QUESTION_NOT_IN_ATTEMPT", "This question is not part of the attempt") });
+      continue;
+    }
+    if (!Number.isInteger(version) || version < 0) {
+      results.push({ questionId, error: answerError(400, "VALIDATION_ERROR", "version must be the last saved version (0 for a first save)") });
+      continue;
+    }
+    if (Buffer.byteLength(JSON.stringify(answer) ?? "null") > MAX_SAVED_ANSWER_BYTES) {
+      results.push({ questionId, error: answerError(413, "ANSWER_TOO_LARGE", "This answer is too large to save") });
+      continue;
+    }
+
+    // Match the version being replaced (or no saved answer yet) so concurrent writes can't both win
+    const open = { _id: attempt._id, status: "in-progress" };
+    const saved = version === 0
+      ? await StudentTestAttempt.findOneAndUpdate(
+        { ...open, "savedAnswers.questionId": { $ne: id } },
+        { $push: { savedAnswers: { questionId: id, answer, version: 1, savedAt: now } } },
+        { new: true, projection: { savedAnswers: 1 } }
+      )
+      : await StudentTestAttempt.findOneAndUpdate(
+        { ...open, savedAnswers: { $elemMatch: { questionId: id, version } } },
+        { $set: { "savedAnswers.$.answer": answer, "savedAnswers.$.version": version + 1, "savedAnswers.$.savedAt": now } },
+        { new: true, projection: { savedAnswers: 1 } }
+      );
+
+    if (saved) {
+      results.push({ questionId: id, version: version + 1, savedAt: now });
+      continue;
+    }
+
+    const current = await StudentTestAttempt.findById(attempt._id).select("status savedAnswers").lean();
+    if (current?.status !== "in-progress") {
+      return { error: answerError(409, "ATTEMPT_NOT_OPEN", "This attempt has already been submitted") };
+    }
+    const existing = current.savedAnswers.find(s => s.questionId.toString() === id);
+    results.push({
+      questionId: id,
+      error: answerError(409, "STALE_ANSWER", "A newer answer was saved for this question", {
+        current: existing ? { answer: existing.answer, version: existing.version, savedAt: existing.savedAt } : { version: 0 },
+      }),
+    });
+  }
+
+  return { results };
+}
+
+/**
+ * 📚 The student's finished attempts on a test, oldest first.
+ */
+export function findFinishedAttempts(test, student, session = null) {
+  return StudentTestAttempt.find({ student: student._id, test: test._id, ...FINISHED })
+    .sort({ attemptNumber: 1, submittedAt: 1 })
+    .session(session)
+    .lean();
+}
+
+/**
+ * ▶️ Start a timed attempt, or resume the student's open one.
+ * New attempts must fit the test's maxAttempts / cooldown policy and are pinned
+ * to the test's published version.
+ * Access (assignment, window, prerequisites) must be checked by the caller.
+ * Returns `{ attempt, test, resumed }`, where `test` is the test as of the
+ * attempt's version, or `{ error: { status, body } }`.
+ */
+export async function startOrResumeAttempt(liveTest, student, now = new Date()) {
+  const open = await StudentTestAttempt.findOne({ student: student._id, test: liveTest._id, status: "in-progress" });
+  if (open) {
+    if (!isAttemptExpired(open, now)) {
+      return { attempt: open, test: await loadTestForAttempt(open, liveTest), resumed: true };
+    }
+    if (isAwaitingUpload(open, now)) return { error: uploadPendingError(open) };
+    await autoSubmitAttempt(open, liveTest);
+  }
+
+  const finished = await findFinishedAttempts(liveTest, student);
+  const policyError = getNewAttemptError(liveTest, finished, now);
+  if (policyError) {
+    // Report the expiry rather than the policy when the open session just ran out
+    return { error: open ? expiredError(open) : policyError };
+  }
+
+  const version = await getPublishedVersion(liveTest);
+  const test = applyVersion(liveTest, version);
+  const drawnQuestions = await drawBankQuestions(test);
+  const questionIds = [...selectQuestionIds(test), ...drawnQuestions.map(q => q._id)];
+  const selected = getAttemptQuestions(test, { questionIds, drawnQuestions });
+
+  let attempt;
+  try {
+    attempt = await StudentTestAttempt.create({
+      student: student._id,
+      test: test._id,
+      testVersion: version?._id,
+      status: "in-progress",
+      attemptNumber: nextAttemptNumber(finished),
+      takenAt: now,
+      expiresAt: computeExpiry(test, now),
+      questionIds,
+      drawnQuestions,
+      choiceOrders: buildChoiceOrders(test, selected),
+    });
+  } catch (err) {
+    // A simultaneous request (double tap) started this attempt first: resume that one
+    if (err.code !== 11000) throw err;
+    const winner = await StudentTestAttempt.findOne({ student: student._id, test: test._id, status: "in-progress" });
+    if (!winner) throw err;
+    return { attempt: winner, test: await loadTestForAttempt(winner, liveTest), resumed: true };
+  }
+
+  console.log(`▶️ Attempt ${attempt._id} started for test ${test._id} v${test.version}, expires ${attempt.expiresAt || "never"}`);
+  return { attempt, test, resumed: false };
+}
+
+/**
+ * 📨 Find the attempt a submission should be graded into.
+ * - an open, unexpired session started via /start (its deadline was checked at start)
+ * - for untimed tests that ask every question, a fresh attempt for clients
+ *   that never called /start
+ * Expired sessions are auto-submitted (within `session`, when given) and
+ * rejected with ATTEMPT_EXPIRED.
+ * Returns `{ attempt, test }` (attempt possibly unsaved; test as of the
+ * attempt's version) or `{ error: { status, body } }`.
+ */
+export async function resolveSubmissionAttempt(liveTest, student, now = new Date(), session = null) {
+  const open = await StudentTestAttempt.findOne({ student: student._id, test: liveTest._id, status: "in-progress" })
+    .session(session);
+  if (open) {
+    if (isAttemptExpired(open, now)) return { error: await closeExpiredAttempt(open, liveTest, now, session) };
+    return { attempt: open, test: await loadTestForAttempt(open, liveTest) };
+  }
+
+  const finished = await findFinishedAttempts(liveTest, student, session);
+  const policyError = getNewAttemptError(liveTest, finished, now);
+  if (policyError) return { error: policyError };
+
+  const accessError = await getTestAccessError(liveTest, student, now);
+  if (accessError) return { error: accessError };
+
+  const version = await getPublishedVersion(liveTest);
+  const test = applyVersion(liveTest, version);
+
+  // Timed tests and tests that draw questions (a subset, or from the bank) only exist as started sessions
+  const drawsQuestions = usesQuestionBank(test) || selectsSubset(test);
+  if (test.timeLimit || drawsQuestions) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          success: false,
+          code: "ATTEMPT_NOT_STARTED",
+          message: test.timeLimit
+            ? "Start this timed test before submitting it"
+            : "Start this test before submitting it; its questions are drawn when it starts",
+        },
+      },
+    };
+  }
+
+  return {
+    test,
+    attempt: new StudentTestAttempt({
+      student: student._id,
+      test: test._id,
+      testVersion: version?._id,
+      status: "in-progress",
+      attemptNumber: nextAttemptNumber(finished),
+      takenAt: now,
+    }),
+  };
+}
+
+export const isValidIdempotencyKey = (key) => typeof key === "string" && key.length >= 8 && key.length <= 200;
+
+// gradeAttempt()'s result, rebuilt from an attempt that was already graded
+function storedResult(attempt) {
+  const questionResults = attempt.questionResults || [];
+  return {
+    questionResults,
+    score: attempt.score,
+    totalPoints: attempt.totalPoints,
+    percentage: attempt.percentage,
+    passed: attempt.passed,
+    gradingStatus: attempt.gradingStatus,
+    correctAnswers: questionResults.filter(r => r.isCorrect === true).length,
+    partialAnswers: questionResults.filter(r => r.isCorrect === "partial").length,
+    totalQuestions: questionResults.length,
+  };
+}
+
+async function replaySubmission(attempt, liveTest) {
+  console.log(`🔁 Submission for attempt ${attempt._id} already recorded; returning the original result`);
+  return { attempt, test: await loadTestForAttempt(attempt, liveTest), result: storedResult(attempt), replayed: true };
+}
+
+/**
+ * 📨 Grade a submission into the attempt it belongs to (see
+ * resolveSubmissionAttempt) and record it, inside a transaction.
+ * Retries are safe: with the same `idempotencyKey`, and for simultaneous
+ * submits of one attempt (double taps), the first recorded submission wins and
+ * the others get its result back with `replayed: true`.
+ * Returns `{ attempt, test, result, replayed }` or `{ error: { status, body } }`.
+ */
+export async function submitAttempt(liveTest, student, answers, { idempotencyKey = null, now = new Date() } = {}) {
+  if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+    return { error: answerError(400, "VALIDATION_ERROR", "Idempotency-Key must be 8 to 200 characters") };
+  }
+
+  const findByKey = () => idempotencyKey && StudentTestAttempt.findOne({ student: student._id, submissionKey: idempotencyKey });
+  const keyReused = () => ({
+    error: answerError(422, "IDEMPOTENCY_KEY_REUSED", "This Idempotency-Key was already used for another test"),
+  });
+
+  const previous = await findByKey();
+  if (previous) return previous.test.equals(liveTest._id) ? replaySubmission(previous, liveTest) : keyReused();
+
+  // The open attempt being submitted, remembered across transaction retries so a
+  // retry after losing a race replays it instead of starting a fresh attempt
+  let claimedId = null;
+
+  try {
+    return await withTransaction(async (session) => {
+      if (claimedId) {
+        const claimed = await StudentTestAttempt.findById(claimedId).session(session);
+        if (claimed && claimed.status !== "in-progress") return replaySubmission(claimed, liveTest);
+      }
+
+      const { attempt, test, error } = await resolveSubmissionAttempt(liveTest, student, now, session);
+      if (error) return { error };
+
+      const questions = getAttemptQuestions(test, attempt);
+      const result = gradeAttempt(test, collectAttemptAnswers(questions, attempt, answers), { questions });
+      const fields = {
+        questionResults: result.questionResults,
+        score: result.score,
+        totalPoints: result.totalPoints,
+        percentage: result.percentage,
+        passed: result.passed,
+        gradingStatus: result.gradingStatus,
+        status: "submitted",
+        submittedAt: now,
+        ...(idempotencyKey && { submissionKey: idempotencyKey }),
+      };
+
+      if (attempt.isNew) {
+        attempt.set(fields);
+        await attempt.save({ session });
+        return { attempt, test, result, replayed: false };
+      }
+
+      claimedId = attempt._id;
+      const submitted = await StudentTestAttempt.findOneAndUpdate(
+        { _id: attempt._id, status: "in-progress" },
+        { $set: fields },
+        { new: true, session }
+      );
+      if (!submitted) return replaySubmission(await StudentTestAttempt.findById(attempt._id).session(session), liveTest);
+      return { attempt: submitted, test, result, replayed: false };
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // A simultaneous submit recorded this attempt first (same key, or the same new attempt number)
+    const winner = (await findByKey()) || await StudentTestAttempt.findOne({ student: student._id, test: liveTest._id, ...FINISHED })
+      .sort({ attemptNumber: -1 });
+    if (!winner) throw err;
+    return winner.test.equals(liveTest._id) ? replaySubmission(winner, liveTest) : keyReused();
+  }
+}
+
+function nextAttemptNumber(finished) {
+  return finished.reduce((max, a) => Math.max(max, a.attemptNumber || 1), 0) + 1;
+}
+
+/**
+ * 🧾 Serializable summary of an open session for the client.
+ */
+export function describeSession(attempt, now = new Date()) {
+  return {
+    attemptId: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    startedAt: attempt.takenAt,
+    expiresAt: attempt.expiresAt,
+    remainingSeconds: getRemainingSeconds(attempt, now),
+    graceSeconds: ATTEMPT_GRACE_MS / 1000,
+    serverTime: now,
+    // Autosaved answers to restore when resuming, possibly on another device
+    savedAnswers: (attempt.savedAnswers || []).map(({ questionId, answer, version, savedAt }) => ({ questionId, answer, version, savedAt })),
+  };
+}
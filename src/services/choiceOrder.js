@@ -0,0 +1,130 @@
+import { shuffleArray } from "../utils/shuffle.js";
+
+// Per-attempt option shuffling. An attempt stores, for each shuffled question,
+// `order[displayIndex] = originalIndex`. Students only ever see and answer with
+// display indexes; everything stored or graded uses original ones, so "the
+// answer is C" means something different on every phone.
+// Options are multiple-choice `choices`, ordering `items` and the `match` side
+// of matching pairs.
+
+/**
+ * The list a question's display indexes point into, or null.
+ */
+export function getQuestionOptions(question) {
+  switch (question.type) {
+    case "multiple": return Array.isArray(question.choices) ? question.choices : null;
+    case "ordering": return Array.isArray(question.items) ? question.items : null;
+    case "matching": return Array.isArray(question.pairs) ? question.pairs.map(pair => pair.match) : null;
+    default: return null;
+  }
+}
+
+/**
+ * Whether a question's options should be shuffled. Ordering and matching
+ * always are (the stored order is the answer). For multiple choice the
+ * question setting wins, otherwise the test-wide `shuffleChoices` flag applies.
+ */
+export function shouldShuffleChoices(test, question) {
+  const options = getQuestionOptions(question);
+  if (!options || options.length < 2) return false;
+  if (question.type !== "multiple") return true;
+  if (typeof question.shuffleChoices === "boolean") return question.shuffleChoices;
+  return !!test.shuffleChoices;
+}
+
+/**
+ * 🎲 Build the permutations for a new attempt.
+ */
+export function buildChoiceOrders(test, questions) {
+  return questions
+    .filter(question => shouldShuffleChoices(test, question))
+    .map(question => ({
+      questionId: question._id,
+      order: shuffleArray(getQuestionOptions(question).map((_, index) => index)),
+    }));
+}
+
+export function getChoiceOrder(attempt, questionId) {
+  const entry = (attempt?.choiceOrders || []).find(
+    item => item.questionId.toString() === questionId.toString()
+  );
+  return entry ? [...entry.order] : null;
+}
+
+/**
+ * 👀 Options in the order this attempt shows them.
+ */
+export function presentOptions(question, attempt) {
+  const options = getQuestionOptions(question);
+  const order = getChoiceOrder(attempt, question._id);
+  if (!order || !options) return options;
+  return order.map(index => options[index]);
+}
+
+/**
+ * 👀 Choices in the order this attempt shows them.
+ */
+export function presentChoices(question, attempt) {
+  return question.type === "multiple" ? presentOptions(question, attempt) : question.choices;
+}
+
+/**
+ * 👀 What a student needs to answer a question, and nothing that gives the
+ * answer away.
+ */
+export function presentQuestion(question, attempt) {
+  const presented = {
+    _id: question._id,
+    text: question.text,
+    type: question.type,
+    points: question.points,
+    choices: presentChoices(question, attempt),
+    files: question.files || [],
+  };
+
+  switch (question.type) {
+    case "ordering":
+      presented.items = presentOptions(question, attempt);
+      break;
+    case "matching":
+      presented.prompts = (question.pairs || []).map(pair => pair.prompt);
+      presented.options = presentOptions(question, attempt);
+      break;
+    case "cloze":
+      presented.blankCount = (question.blanks || []).length;
+      break;
+    case "numeric":
+      presented.unit = question.unit || "";
+      break;
+  }
+  return presented;
+}
+
+/**
+ * 🔁 Map a submitted display index (or array of them) back to original indexes.
+ * Anything that isn't an index is passed through untouched.
+ */
+export function remapChoiceAnswer(question, attempt, answer) {
+  const order = getChoiceOrder(attempt, question._id);
+  if (!order || answer === null || answer === undefined) return answer;
+
+  const toOriginal = (value) => {
+    const displayIndex = typeof value === "string" && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(displayIndex) || displayIndex < 0 || displayIndex >= order.length) return value;
+    return order[displayIndex];
+  };
+
+  return Array.isArray(answer) ? answer.map(toOriginal) : toOriginal(answer);
+}
+
+/**
+ * 🔁 Remap `[{ questionId, answer }]` submissions for every shuffled question.
+ */
+export function remapKeyedAnswers(questions, attempt, answers = []) {
+  const byId = new Map(questions.map(q => [q._id.toString(), q]));
+  return answers.map(entry => {
+    const question = entry?.questionId ? byId.get(entry.questionId.toString()) : null;
+    if (!question) return entry;
+    return { ...entry, answer: remapChoiceAnswer(question, attempt, entry.answer) };
+  });
+}
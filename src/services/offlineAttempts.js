@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import Test from "../models/Test.js";
+import jwtConfig from "../config/jwt.js";
+import { signAttemptTicket, verifyAttemptTicket } from "../utils/tokens.js";
+import { gradeAttempt, normalizeAnswers } from "../grading/index.js";
+import { remapKeyedAnswers } from "./choiceOrder.js";
+import { ATTEMPT_GRACE_MS, getAttemptQuestions, isValidIdempotencyKey } from "./attemptSessions.js";
+import { loadTestForAttempt } from "./testVersions.js";
+
+// Taking a test without a connection. The app asks for a ticket while online:
+// the attempt is started server-side as usual (questions frozen, version
+// pinned) and the ticket - a JWT signed with ATTEMPT_TICKET_SECRET - names the
+// attempt, its questions and its start time. Later the app uploads a bundle
+// { ticket, answers, startedAt, finishedAt, idempotencyKey }. The attempt
+// already exists, so a bundle can only ever complete it; sending it again
+// returns the same result instead of recording anything new.
+
+// How long after its time is up an offline attempt at an untimed test waits for its bundle
+export const OFFLINE_UPLOAD_WINDOW_MS = (Number(process.env.OFFLINE_UPLOAD_HOURS) || 72) * 60 * 60 * 1000;
+
+// Timed tests get only this long past their time limit to upload. Device clocks
+// can be set to anything, so the upload's arrival on the server is the one
+// honest bound on how long a student really had: started + time limit + this.
+// The trade-off is deliberate - a student who stays offline longer than this
+// after finishing loses the bundle, and the attempt is auto-submitted with
+// whatever it autosaved before going offline.
+export const OFFLINE_SYNC_ALLOWANCE_MS = (Number(process.env.OFFLINE_SYNC_MINUTES) || 60) * 60 * 1000;
+
+// Neither window runs past the test deadline (plus ATTEMPT_GRACE_MS): late
+// answers are refused like any other submission after the deadline, and by
+// then every offline window on the test has closed, which is what lets an
+// "after-deadline" review policy reveal the answers (see reviewPolicy.js).
+const deadlineCap = (test) => (test?.deadline ? new Date(test.deadline).getTime() + ATTEMPT_GRACE_MS : Infinity);
+
+// Device clocks are only compared with each other, except for this much slack
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const bundleError = (status, code, message, extra = {}) => ({ status, body: { success: false, code, message, ...extra } });
+
+const sameIds = (a = [], b = []) => a.length === b.length && a.every((id, i) => id.toString() === b[i].toString());
+
+export const isOfflineEnabled = () => Boolean(jwtConfig.ticketSecret);
+
+const isTimed = (attempt, test) => Boolean(test?.timeLimit && attempt.expiresAt);
+
+/**
+ * 📴 Until when a bundle for `attempt` is accepted (see OFFLINE_SYNC_ALLOWANCE_MS
+ * and deadlineCap).
+ */
+function getUploadDeadline(attempt, test, now = new Date()) {
+  const window = isTimed(attempt, test)
+    ? new Date(attempt.expiresAt).getTime() + OFFLINE_SYNC_ALLOWANCE_MS
+    : (attempt.expiresAt ? new Date(attempt.expiresAt) : now).getTime() + OFFLINE_UPLOAD_WINDOW_MS;
+  return new Date(Math.min(window, deadlineCap(test)));
+}
+
+/**
+ * 🎫 Turn an open attempt into an offline one and sign its ticket.
+ * Returns `{ ticket, uploadBy }`.
+ */
+export async function issueAttemptTicket(attempt, test, student, now = new Date()) {
+  const uploadBy = getUploadDeadline(attempt, test, now);
+  attempt.offline = { ...(attempt.offline?.toObject?.() || {}), ticketIssuedAt: now, uploadBy };
+  await attempt.save();
+
+  const ticket = signAttemptTicket(student._id, {
+    attemptId: attempt._id.toString(),
+    testId: attempt.test.toString(),
+    version: test.version ?? null,
+    questionIds: attempt.questionIds.map(String),
+    startedAt: attempt.takenAt.getTime(),
+    expiresAt: attempt.expiresAt ? attempt.expiresAt.getTime() : null,
+  }, uploadBy);
+
+  console.log(`🎫 Offline ticket issued for attempt ${attempt._id}, upload by ${uploadBy.toISOString()}`);
+  return { ticket, uploadBy };
+}
+
+const hashAnswers = (answers) =>
+  crypto.createHash("sha256").update(JSON.stringify(answers ?? [])).digest("hex");
+
+
+const toDate = (value) => {
+  const date = value === undefined || value === null ? null : new Date(value);
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * ⏱️ Check the device's own start/finish times against the ticket. The device
+ * may not claim to have worked longer than the attempt allows (time limit,
+ * capped at the deadline), nor longer than the ticket has existed.
+ */
+function getTimingError(claims, { startedAt, finishedAt }, now) {
+  if (!startedAt || !finishedAt || finishedAt < startedAt) {
+    return bundleError(400, "VALIDATION_ERROR", "startedAt and finishedAt must be dates, finishedAt not before startedAt");
+  }
+
+  const worked = finishedAt.getTime() - startedAt.getTime();
+  if (worked > now.getTime() - claims.startedAt + CLOCK_SKEW_MS) {
+    return bundleError(422, "INVALID_START_TIME", "The bundle claims more time than has passed since the attempt started");
+  }
+  if (claims.expiresAt && worked > claims.expiresAt - claims.startedAt + ATTEMPT_GRACE_MS) {
+    return bundleError(422, "TIME_LIMIT_EXCEEDED", "These answers were finished after the time allowed for this attempt");
+  }
+  return null;
+}
+
+/**
+ * 📦 Verify and grade an offline bundle for `student`: ticket signature and
+ * owner, that it still matches its attempt, the device timing and the
+ * idempotency key. Returns `{ attempt, test, replayed }` or `{ error }`.
+ */
+export async function submitOfflineBundle(student, bundle, now = new Date()) {
+  const { ticket, answers = [], idempotencyKey } = bundle || {};
+  if (!isValidIdempotencyKey(idempotencyKey)) {
+    return { error: bundleError(400, "VALIDATION_ERROR", "idempotencyKey must be a string of 8 to 200 characters") };
+  }
+  if (!Array.isArray(answers)) {
+    return { error: bundleError(400, "VALIDATION_ERROR", "answers must be a list") };
+  }
+
+  let claims;
+  try {
+    claims = verifyAttemptTicket(String(ticket || ""));
+  } catch (err) {
+    return err instanceof jwt.TokenExpiredError
+      ? { error: bundleError(410, "TICKET_EXPIRED", "The upload window for this attempt has closed") }
+      : { error: bundleError(401, "INVALID_TICKET", "The attempt ticket is invalid") };
+  }
+  if (claims.sub !== student._id.toString()) {
+    return { error: bundleError(403, "TICKET_NOT_YOURS", "This ticket was issued to another student") };
+  }
+
+  const attempt = await StudentTestAttempt.findOne({ _id: claims.attemptId, student: student._id });
+  if (!attempt) return { error: bundleError(404, "ATTEMPT_NOT_FOUND", "Attempt not found") };
+  if (attempt.takenAt.getTime() !== claims.startedAt || !sameIds(attempt.questionIds, claims.questionIds)) {
+    return { error: bundleError(409, "TICKET_MISMATCH", "This ticket no longer matches its attempt") };
+  }
+
+  const liveTest = await Test.findById(attempt.test).lean();
+  const test = (await loadTestForAttempt(attempt, liveTest)) || {};
+
+  const bundleHash = hashAnswers(answers);
+  // A re-sent bundle may carry a new key, but a recorded key never stands for other answers
+  const replay = (current) => {
+    const { bundleKey, bundleHash: storedHash } = current.offline || {};
+    if (bundleKey === idempotencyKey && storedHash !== bundleHash) {
+      return { error: bundleError(422, "IDEMPOTENCY_KEY_REUSED", "This Idempotency-Key was already used for different answers") };
+    }
+    if (bundleKey !== idempotencyKey && storedHash !== bundleHash) {
+      return { error: bundleError(409, "ATTEMPT_ALREADY_SUBMITTED", "This attempt has already been submitted") };
+    }
+    console.log(`📦 Offline bundle for attempt ${current._id} received again; returning the stored result`);
+    return { attempt: current, test, replayed: true };
+  };
+  if (attempt.status !== "in-progress") return replay(attempt);
+
+  // Judged by when the bundle reaches the server. A ticket can outlive its
+  // window when it was signed before the deadline moved earlier (or before
+  // the window was capped), so the window is worked out again here.
+  const issuedAt = attempt.offline?.ticketIssuedAt ? new Date(attempt.offline.ticketIssuedAt) : now;
+  const uploadBy = Math.min(getUploadDeadline(attempt, test, issuedAt).getTime(), deadlineCap(liveTest));
+  if (now.getTime() > uploadBy) {
+    return { error: bundleError(410, "TICKET_EXPIRED", "The upload window for this attempt has closed") };
+  }
+
+  const deviceTimes = { startedAt: toDate(bundle.startedAt), finishedAt: toDate(bundle.finishedAt) };
+  const timingError = getTimingError(claims, deviceTimes, now);
+  if (timingError) return { error: timingError };
+
+  // Bundle answers are the device's full answer sheet; autosaves only fill gaps
+  const questions = getAttemptQuestions(test, attempt);
+  const fromBundle = normalizeAnswers(questions, answers);
+  const answered = new Set(fromBundle.map(entry => entry.questionId));
+  const saved = (attempt.savedAnswers || [])
+    .map(s => ({ questionId: s.questionId.toString(), answer: s.answer }))
+    .filter(entry => !answered.has(entry.questionId));
+  const result = gradeAttempt(test, remapKeyedAnswers(questions, attempt, [...fromBundle, ...saved]), { questions });
+
+  // Only the first copy to arrive completes the attempt
+  const submitted = await StudentTestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in-progress" },
+    {
+      $set: {
+        questionResults: result.questionResults,
+        score: result.score,
+        totalPoints: result.totalPoints,
+        percentage: result.percentage,
+        passed: result.passed,
+        gradingStatus: result.gradingStatus,
+        status: "submitted",
+        submittedAt: now,
+        "offline.bundleKey": idempotencyKey,
+        "offline.bundleHash": bundleHash,
+        "offline.deviceStartedAt": deviceTimes.startedAt,
+        "offline.deviceFinishedAt": deviceTimes.finishedAt,
+        "offline.receivedAt": now,
+      },
+    },
+    { new: true }
+  );
+  if (!submitted) return replay(await StudentTestAttempt.findById(attempt._id));
+
+  console.log(`📦 Offline bundle graded for attempt ${attempt._id}: ${result.score}/${result.totalPoints}`);
+  return { attempt: submitted, test, replayed: false };
+}
@@ -0,0 +1,150 @@
+import Test from "../models/Test.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+
+// A prerequisite entry is either a Test _id or a subject code.
+//  - Test id:      the student must have a passed attempt on that test.
+//  - Subject code: the student must have passed at least one test with that subjectCode.
+// Ids of tests that no longer exist are ignored so a deleted test can't lock anyone out.
+
+export const isObjectIdString = (value) => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+/**
+ * 📚 What the student has already passed: test ids and subject codes.
+ * `testsById` (optional) avoids a lookup when the caller already loaded the tests.
+ */
+export async function loadStudentProgress(studentId, testsById = null) {
+  const passedAttempts = await StudentTestAttempt.find({ student: studentId, passed: true })
+    .select("test")
+    .lean();
+
+  const passedTestIds = new Set(passedAttempts.map(a => a.test.toString()));
+
+  let passedTests;
+  if (testsById) {
+    passedTests = [...passedTestIds].map(id => testsById.get(id)).filter(Boolean);
+  } else {
+    passedTests = await Test.find({ _id: { $in: [...passedTestIds] } }).select("subjectCode").lean();
+  }
+
+  const passedSubjectCodes = new Set(passedTests.map(t => t.subjectCode));
+  return { passedTestIds, passedSubjectCodes };
+}
+
+/**
+ * 🔒 List the prerequisites of `test` the student has not passed yet.
+ * `testsById` maps id → test (needs title) for every test-id prerequisite.
+ */
+export function getUnmetPrerequisites(test, progress, testsById) {
+  const unmet = [];
+
+  for (const entry of test.prerequisites || []) {
+    if (isObjectIdString(entry) && testsById.has(String(entry))) {
+      if (!progress.passedTestIds.has(String(entry))) {
+        const prerequisite = testsById.get(String(entry));
+        unmet.push({ type: "test", testId: String(entry), title: prerequisite.title, subjectCode: prerequisite.subjectCode });
+      }
+    } else if (!isObjectIdString(entry)) {
+      if (!progress.passedSubjectCodes.has(entry)) {
+        unmet.push({ type: "subject", subjectCode: entry });
+      }
+    }
+  }
+
+  return unmet;
+}
+
+/**
+ * 🚦 Reject with PREREQUISITES_NOT_MET when the student hasn't passed every prerequisite.
+ * Returns null when allowed, otherwise `{ status, body }`.
+ */
+export async function getPrerequisiteError(test, studentId) {
+  if (!test.prerequisites || test.prerequisites.length === 0) return null;
+
+  const prerequisiteIds = test.prerequisites.filter(isObjectIdString);
+  const prerequisiteTests = await Test.find({ _id: { $in: prerequisiteIds } })
+    .select("title subjectCode")
+    .lean();
+  const testsById = new Map(prerequisiteTests.map(t => [t._id.toString(), t]));
+
+  const progress = await loadStudentProgress(studentId);
+  const unmetPrerequisites = getUnmetPrerequisites(test, progress, testsById);
+  if (unmetPrerequisites.length === 0) return null;
+
+  return {
+    status: 403,
+    body: {
+      success: false,
+      code: "PREREQUISITES_NOT_MET",
+      message: "You must pass every prerequisite before taking this test",
+      unmetPrerequisites,
+    },
+  };
+}
+
+/**
+ * 🔁 Check that saving `prerequisites` on a test doesn't create a cycle.
+ * `testId` is null for a test that is being created. Returns null when fine,
+ * or `{ errors, cycle }` where cycle lists the test ids on the loop.
+ */
+export async function validatePrerequisites({ testId, subjectCode, prerequisites }) {
+  const errors = [];
+  const selfId = testId ? testId.toString() : "__new__";
+
+  const allTests = await Test.find().select("_id title subjectCode prerequisites").lean();
+  const nodes = new Map(allTests.map(t => [t._id.toString(), t]));
+  nodes.set(selfId, { _id: selfId, title: nodes.get(selfId)?.title || "this test", subjectCode, prerequisites });
+
+  for (const entry of prerequisites) {
+    if (isObjectIdString(entry) && !nodes.has(String(entry))) {
+      errors.push(`Prerequisite test ${entry} does not exist`);
+    }
+    if (String(entry) === selfId) {
+      errors.push("A test cannot be its own prerequisite");
+    }
+  }
+  if (errors.length) return { errors, cycle: null };
+
+  // Edges: test → prerequisite test, or test → every other test of the prerequisite subject
+  const testsBySubject = new Map();
+  for (const [id, node] of nodes) {
+    if (!testsBySubject.has(node.subjectCode)) testsBySubject.set(node.subjectCode, []);
+    testsBySubject.get(node.subjectCode).push(id);
+  }
+  const edgesOf = (id) => {
+    const node = nodes.get(id);
+    const edges = [];
+    for (const entry of node?.prerequisites || []) {
+      if (isObjectIdString(entry)) {
+        if (nodes.has(String(entry))) edges.push(String(entry));
+      } else {
+        edges.push(...(testsBySubject.get(entry) || []).filter(other => other !== id));
+      }
+    }
+    return edges;
+  };
+
+  // Depth-first search from the saved test looking for a path back to it
+  const visited = new Set();
+  const path = [];
+  const dfs = (id) => {
+    for (const next of edgesOf(id)) {
+      if (next === selfId) return [...path, id, selfId];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      path.push(id);
+      const found = dfs(next);
+      if (found) return found;
+      path.pop();
+    }
+    return null;
+  };
+
+  const cycle = dfs(selfId);
+  if (!cycle) return null;
+
+  const describe = (id) => id === "__new__" ? "(this test)" : `${nodes.get(id).title} (${id})`;
+  return {
+    errors: [`Prerequisites create a cycle: ${cycle.map(describe).join(" → ")}`],
+    cycle: cycle.map(id => id === "__new__" ? null : id),
+  };
+}
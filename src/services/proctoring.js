@@ -0,0 +1,184 @@
+import ProctoringEvent from "../models/ProctoringEvent.js";
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { autoSubmitAttempt, closeExpiredAttempt, isAttemptExpired } from "./attemptSessions.js";
+
+// The app reports what it notices while an attempt is open: being sent to the
+// background, losing focus, copy / paste, screenshots and network changes.
+// Each event earns suspicion points; most also count as a violation, and a test
+// may close the attempt once a student reaches `autoSubmitAfter` violations.
+// Points are fixed when an event arrives, so later rule changes don't rewrite
+// the history instructors have already seen.
+
+export const PROCTORING_EVENT_TYPES = ["app-backgrounded", "focus-lost", "copy", "paste", "screenshot", "network-change"];
+
+export const DEFAULT_PROCTORING_RULES = {
+  weights: { "app-backgrounded": 3, "focus-lost": 2, copy: 2, paste: 4, screenshot: 5, "network-change": 1 },
+  // A flaky connection is worth noting but isn't the student's doing
+  violationTypes: ["app-backgrounded", "focus-lost", "copy", "paste", "screenshot"],
+  // Leaving the app (or window) for this long earns extra points on top
+  longAbsenceSeconds: 30,
+  longAbsenceWeight: 5,
+  // Suspicion levels by total score
+  levels: { medium: 5, high: 15 },
+  autoSubmitAfter: 0,
+};
+
+const ABSENCE_TYPES = ["app-backgrounded", "focus-lost"];
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_DETAILS_BYTES = 2 * 1024;
+
+const proctoringError = (status, code, message, extra = {}) => ({ status, body: { success: false, code, message, ...extra } });
+
+const notOpenError = () => proctoringError(409, "ATTEMPT_NOT_OPEN", "This attempt has already been submitted");
+
+/**
+ * ⚙️ The rules a test's attempts are scored by: the defaults with the test's
+ * `proctoring` settings on top.
+ */
+export function getProctoringRules(test) {
+  const settings = test?.proctoring || {};
+  // Lean documents give Maps back as plain objects
+  const weights = settings.weights instanceof Map ? Object.fromEntries(settings.weights) : settings.weights;
+  return {
+    ...DEFAULT_PROCTORING_RULES,
+    weights: { ...DEFAULT_PROCTORING_RULES.weights, ...weights },
+    longAbsenceSeconds: settings.longAbsenceSeconds ?? DEFAULT_PROCTORING_RULES.longAbsenceSeconds,
+    autoSubmitAfter: settings.autoSubmitAfter || 0,
+  };
+}
+
+/**
+ * 🔢 Suspicion points for one event and whether it counts as a violation.
+ */
+export function scoreEvent(event, rules) {
+  let points = rules.weights[event.type] || 0;
+  if (ABSENCE_TYPES.includes(event.type) && event.durationSeconds >= rules.longAbsenceSeconds) {
+    points += rules.longAbsenceWeight;
+  }
+  return { points, violation: rules.violationTypes.includes(event.type) };
+}
+
+/**
+ * "none", "low", "medium" or "high" for a suspicion score.
+ */
+export function getSuspicionLevel(score, rules = DEFAULT_PROCTORING_RULES) {
+  if (score >= rules.levels.high) return "high";
+  if (score >= rules.levels.medium) return "medium";
+  return score > 0 ? "low" : "none";
+}
+
+/**
+ * 👀 An attempt's proctoring totals for instructors.
+ */
+export function describeProctoring(attempt) {
+  const { events = 0, violations = 0, suspicionScore = 0, lastEventAt = null, autoSubmittedAt = null } = attempt.proctoring || {};
+  return { events, violations, suspicionScore, level: getSuspicionLevel(suspicionScore), lastEventAt, autoSubmittedAt };
+}
+
+/**
+ * 🕵️ An attempt's events in the order the server received them, with counts
+ * per type.
+ */
+export async function getProctoringTimeline(attemptId) {
+  const events = await ProctoringEvent.find({ attempt: attemptId })
+    .select("-attempt -student -test -__v")
+    .sort({ receivedAt: 1, _id: 1 })
+    .lean();
+
+  const byType = Object.fromEntries(PROCTORING_EVENT_TYPES.map(type => [type, 0]));
+  for (const event of events) byType[event.type] += 1;
+  return { timeline: events, byType };
+}
+
+function validateEvent(event, label) {
+  if (!event || typeof event !== "object" || Array.isArray(event)) return [`${label} must be an object`];
+
+  const errors = [];
+  if (!PROCTORING_EVENT_TYPES.includes(event.type)) {
+    errors.push(`${label}.type must be one of: ${PROCTORING_EVENT_TYPES.join(", ")}`);
+  }
+  if (event.occurredAt !== undefined && Number.isNaN(new Date(event.occurredAt).getTime())) {
+    errors.push(`${label}.occurredAt must be a date`);
+  }
+  if (event.durationSeconds !== undefined && (typeof event.durationSeconds !== "number" || event.durationSeconds < 0)) {
+    errors.push(`${label}.durationSeconds must be a non-negative number`);
+  }
+  if (event.details !== undefined && (typeof event.details !== "object" || event.details === null || Array.isArray(event.details))) {
+    errors.push(`${label}.details must be an object`);
+  } else if (event.details !== undefined && Buffer.byteLength(JSON.stringify(event.details)) > MAX_DETAILS_BYTES) {
+    errors.push(`${label}.details is too large`);
+  }
+  return errors;
+}
+
+/**
+ * 🚨 Record events the app reported for an open attempt, stamped with the
+ * server's clock. Once the attempt reaches the test's autoSubmitAfter
+ * violations it is submitted with the answers saved so far. `test` is the
+ * live test. Returns `{ recorded, violations, autoSubmitAfter, autoSubmitted }`
+ * or `{ error: { status, body } }`.
+ */
+export async function recordProctoringEvents(attempt, test, entries, now = new Date()) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: proctoringError(400, "VALIDATION_ERROR", "Send an event or a list of events") };
+  }
+  if (entries.length > MAX_EVENTS_PER_REQUEST) {
+    return { error: proctoringError(413, "TOO_MANY_EVENTS", `Send at most ${MAX_EVENTS_PER_REQUEST} events at a time`) };
+  }
+  const errors = entries.flatMap((entry, index) => validateEvent(entry, `events[${index}]`));
+  if (errors.length) return { error: proctoringError(400, "VALIDATION_ERROR", "Invalid proctoring events", { errors }) };
+
+  if (attempt.status !== "in-progress") return { error: notOpenError() };
+  if (isAttemptExpired(attempt, now)) return { error: await closeExpiredAttempt(attempt, test, now) };
+
+  const rules = getProctoringRules(test);
+  const events = entries.map(({ type, occurredAt, durationSeconds, details }) => ({
+    attempt: attempt._id,
+    student: attempt.student,
+    test: attempt.test,
+    type,
+    durationSeconds,
+    details,
+    occurredAt: occurredAt === undefined ? undefined : new Date(occurredAt),
+    receivedAt: now,
+    ...scoreEvent({ type, durationSeconds }, rules),
+  }));
+  const violations = events.filter(event => event.violation).length;
+
+  // The log goes first so the counters never count events it doesn't hold;
+  // they only count towards an attempt that is still open
+  const inserted = await ProctoringEvent.insertMany(events);
+  const updated = await StudentTestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in-progress" },
+    {
+      $inc: {
+        "proctoring.events": events.length,
+        "proctoring.violations": violations,
+        "proctoring.suspicionScore": events.reduce((sum, event) => sum + event.points, 0),
+      },
+      $set: { "proctoring.lastEventAt": now },
+    },
+    { new: true, projection: { proctoring: 1 } }
+  );
+  if (!updated) {
+    await ProctoringEvent.deleteMany({ _id: { $in: inserted.map(event => event._id) } });
+    return { error: notOpenError() };
+  }
+
+  // Only the report that crosses the limit tries to submit, and the guarded write
+  // inside autoSubmitAttempt loses to a submission the student made meanwhile
+  const total = updated.proctoring.violations;
+  const limit = rules.autoSubmitAfter;
+  let autoSubmitted = false;
+  if (limit > 0 && violations > 0 && total >= limit && total - violations < limit) {
+    const current = await StudentTestAttempt.findById(attempt._id).lean();
+    const closed = current?.status === "in-progress"
+      ? await autoSubmitAttempt(current, test, { submittedAt: now, extra: { "proctoring.autoSubmittedAt": now } })
+      : null;
+    // autoSubmittedAt is only ever written by that guarded update
+    autoSubmitted = Boolean(closed?.proctoring?.autoSubmittedAt);
+    if (autoSubmitted) console.log(`🚨 Attempt ${attempt._id} submitted after ${total} proctoring violation(s)`);
+  }
+
+  return { recorded: events.length, violations: total, autoSubmitAfter: limit, autoSubmitted };
+}
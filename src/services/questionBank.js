@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import Question from "../models/Question.js";
+
+// A test can take questions from the bank two ways:
+//  - bankQuestions: specific bank questions every attempt gets
+//  - drawRules:     "5 random from topic X, difficulty medium", drawn per attempt
+// Drawn questions are copied onto the attempt (drawnQuestions) when it starts,
+// so later bank edits reach new attempts without changing ones already taken.
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+export const usesQuestionBank = (test) =>
+  (test.bankQuestions?.length || 0) + (test.drawRules?.length || 0) > 0;
+
+/**
+ * Mongo filter for the bank questions a draw rule picks from.
+ */
+export function drawRuleFilter(rule, test) {
+  const filter = { subjectCode: rule.subjectCode || test.subjectCode };
+  if (rule.topic) filter.topic = rule.topic;
+  if (rule.difficulty) filter.difficulty = rule.difficulty;
+  if (rule.tags?.length) filter.tags = { $all: rule.tags };
+  return filter;
+}
+
+/**
+ * 🔢 How many questions each attempt at `test` is given.
+ */
+export function countAttemptQuestions(test) {
+  const embedded = (test.questions || []).length;
+  const shown = test.howManyQuestions > 0 ? Math.min(test.howManyQuestions, embedded) : embedded;
+  const drawn = (test.drawRules || []).reduce((sum, rule) => sum + (rule.count || 0), 0);
+  return shown + (test.bankQuestions || []).length + drawn;
+}
+
+// Bank bookkeeping that doesn't belong on an attempt's copy of the question
+const BANK_ONLY_FIELDS = ["subjectCode", "topic", "difficulty", "tags", "createdBy", "createdAt", "updatedAt", "__v"];
+
+// The question as the attempt keeps it: question fields only, same _id as in the bank
+function toSnapshot(question, rule) {
+  const fields = { ...question };
+  for (const field of BANK_ONLY_FIELDS) delete fields[field];
+  if (typeof rule?.points === "number") fields.points = rule.points;
+  return fields;
+}
+
+/**
+ * 🎲 Bank questions for a new attempt: the test's fixed bank questions, then
+ * each draw rule's random picks. A question is never drawn twice; a rule whose
+ * pool has shrunk since the test was saved draws what is left.
+ */
+export async function drawBankQuestions(test) {
+  const chosen = [];
+  const chosenIds = [];
+
+  if (test.bankQuestions?.length) {
+    const fixed = await Question.find({ _id: { $in: test.bankQuestions } }).lean();
+    const byId = new Map(fixed.map(q => [q._id.toString(), q]));
+    for (const id of test.bankQuestions) {
+      const question = byId.get(id.toString());
+      if (!question || chosenIds.some(chosenId => chosenId.equals(question._id))) continue;
+      chosen.push(toSnapshot(question));
+      chosenIds.push(question._id);
+    }
+  }
+
+  for (const rule of test.drawRules || []) {
+    // aggregate() skips schema casting, so ids are already ObjectIds here
+    const drawn = await Question.aggregate([
+      { $match: { ...drawRuleFilter(rule, test), _id: { $nin: chosenIds } } },
+      { $sample: { size: rule.count } },
+    ]);
+    if (drawn.length < rule.count) {
+      console.warn(`⚠️ Draw rule on test ${test._id} wanted ${rule.count} questions, only ${drawn.length} available`);
+    }
+    for (const question of drawn) {
+      chosen.push(toSnapshot(question, rule));
+      chosenIds.push(question._id);
+    }
+  }
+
+  if (chosen.length) console.log(`🎲 Drew ${chosen.length} bank question(s) for test ${test._id}`);
+  return chosen;
+}
+
+/**
+ * 🔍 Check a test's bank references against the bank: fixed questions exist
+ * and each draw rule's pool is big enough. Returns null when fine, otherwise
+ * `{ errors }`.
+ */
+export async function validateBankReferences({ subjectCode, bankQuestions = [], drawRules = [] }) {
+  const errors = [];
+
+  const fixedIds = bankQuestions.map(String);
+  if (fixedIds.length) {
+    const found = await Question.find({ _id: { $in: fixedIds } }).select("_id").lean();
+    const foundIds = new Set(found.map(q => q._id.toString()));
+    for (const id of fixedIds) {
+      if (!foundIds.has(id)) errors.push(`Bank question ${id} does not exist`);
+    }
+  }
+
+  const excluded = fixedIds.map(id => new mongoose.Types.ObjectId(id));
+  for (const [index, rule] of drawRules.entries()) {
+    const available = await Question.countDocuments({ ...drawRuleFilter(rule, { subjectCode }), _id: { $nin: excluded } });
+    if (available < rule.count) {
+      errors.push(`drawRules[${index}] draws ${rule.count} question(s) but only ${available} match`);
+    }
+  }
+
+  return errors.length ? { errors } : null;
+}
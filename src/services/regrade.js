@@ -0,0 +1,310 @@
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import Question from "../models/Question.js";
+import RegradeLog from "../models/RegradeLog.js";
+import { getGrader, gradeQuestion, summarizeResults } from "../grading/index.js";
+import { loadTestForAttempt } from "./testVersions.js";
+import { getAttemptQuestions } from "./attemptSessions.js";
+
+// Re-scoring submitted attempts after an answer key was corrected. Stored
+// answers (questionResults[].studentAnswer, already in original choice order)
+// are run through the grader again against the current key: the test's working
+// copy for its own questions, the bank for drawn ones. Answers an instructor
+// graded or still has to grade by hand are left alone. Pass/fail uses the
+// passing points of the version each attempt was taken on.
+//
+// Stored answers are choice / item / pair indexes into the question as the
+// attempt saw it (its pinned version, or its copy of a drawn bank question),
+// and its result view renders that copy. So only the key fields of the
+// corrected question are laid over that copy, and a regrade is refused when the
+// correction changed the layout those indexes point into. Ordering items and
+// matching pairs are both layout and key, so those keys can't be corrected
+// after the fact.
+//
+// Writes replace only the regraded (automatic) results, and only while the
+// attempt's totals are still the ones they were added up from. A manual grade
+// saved in the meantime moves those totals; the attempt is then read again
+// and regraded, up to REGRADE_RETRIES times.
+
+export const REGRADE_BATCH_SIZE = 100;
+export const REGRADE_RETRIES = 3;
+
+const FINISHED = { status: { $ne: "in-progress" } };
+
+// Fields a key correction may change; everything else comes from the attempt's copy
+const KEY_FIELDS = [
+  "points", "scoringMode", "correctAnswer", "answer", "answers", "matching", "blanks",
+  "tolerance", "partialTolerance", "partialCredit", "unit", "feedbackWhenCorrect", "feedbackWhenIncorrect",
+];
+
+// What stored answers index into, per question type
+const LAYOUT = {
+  multiple: (q) => q.choices || [],
+  matching: (q) => (q.pairs || []).map(({ prompt, match }) => ({ prompt, match })),
+  ordering: (q) => q.items || [],
+  cloze: (q) => (q.blanks || []).length,
+};
+
+const layoutOf = (question) => JSON.stringify([question.type, LAYOUT[question.type]?.(question) ?? null]);
+
+// The corrected key in the layout of the copy the attempt was graded on
+function keyOnCopy(corrected, copy) {
+  const question = { ...copy };
+  for (const field of KEY_FIELDS) question[field] = corrected[field];
+  return question;
+}
+
+const isManual = (result, question) =>
+  ["pending", "graded"].includes(result.gradingStatus) || Boolean(getGrader(question.type)?.manual);
+
+// A regraded result differs from the stored one in a way the student would see
+const RESULT_FIELDS = ["studentAnswer", "correctAnswer", "isCorrect", "pointsEarned", "maxPoints", "displayCorrectAnswer"];
+const resultChanged = (before, after) =>
+  RESULT_FIELDS.some(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+
+/**
+ * 🔁 Regrade one attempt against `keys` (Map of questionId -> corrected
+ * question), each laid over the attempt's own copy of the question.
+ * Returns null when nothing changes, otherwise the regraded results, the new
+ * totals and a change row.
+ */
+function regradeAttempt(attempt, keys, pinnedTest) {
+  const copies = new Map(getAttemptQuestions(pinnedTest || {}, attempt).map(q => [q._id.toString(), q]));
+  const changedIds = [];
+  const regradedResults = [];
+  const questionResults = attempt.questionResults.map(result => {
+    const id = result.questionId.toString();
+    const corrected = keys.get(id);
+    const copy = copies.get(id);
+    if (!corrected || !copy) return result;
+    const question = keyOnCopy(corrected, copy);
+    if (isManual(result, question)) return result;
+
+    const regraded = gradeQuestion(question, result.studentAnswer);
+    if (!resultChanged(result, regraded)) return result;
+    changedIds.push(result.questionId);
+    regradedResults.push(regraded);
+    return regraded;
+  });
+  if (!changedIds.length) return null;
+
+  const summary = summarizeResults(pinnedTest || {}, questionResults);
+  return {
+    results: regradedResults,
+    totals: {
+      score: summary.score,
+      totalPoints: summary.totalPoints,
+      percentage: summary.percentage,
+      passed: summary.passed,
+      gradingStatus: summary.gradingStatus,
+    },
+    change: {
+      attempt: attempt._id,
+      student: attempt.student?._id || attempt.student,
+      questionIds: changedIds,
+      oldScore: attempt.score,
+      newScore: summary.score,
+      oldTotalPoints: attempt.totalPoints,
+      newTotalPoints: summary.totalPoints,
+      oldPercentage: attempt.percentage,
+      newPercentage: summary.percentage,
+      oldPassed: attempt.passed,
+      newPassed: summary.passed,
+    },
+  };
+}
+
+// Replaces the regraded results by questionId, guarded on the totals they were
+// computed from (see the note at the top)
+function guardedWrite(attempt, { results, totals }) {
+  const $set = { ...totals };
+  const arrayFilters = results.map((result, i) => {
+    $set[`questionResults.$[r${i}]`] = result;
+    return { [`r${i}.questionId`]: result.questionId, [`r${i}.gradingStatus`]: { $nin: ["pending", "graded"] } };
+  });
+  const filter = {
+    _id: attempt._id,
+    ...FINISHED,
+    score: attempt.score ?? null,
+    totalPoints: attempt.totalPoints ?? null,
+    gradingStatus: attempt.gradingStatus ?? null,
+  };
+  return StudentTestAttempt.updateOne(filter, { $set }, { arrayFilters });
+}
+
+/**
+ * 💾 Regrade and write one attempt, reading it again when a manual grade
+ * moved its totals in between. Returns the change row, or null when nothing
+ * changed (or the attempt kept changing under every retry).
+ */
+async function saveRegrade(attempt, keys, pinnedFor) {
+  let current = attempt;
+  for (let tries = 0; tries <= REGRADE_RETRIES; tries++) {
+    const regraded = regradeAttempt(current, keys, await pinnedFor(current));
+    if (!regraded) return null;
+    const { matchedCount } = await guardedWrite(current, regraded);
+    if (matchedCount) return regraded.change;
+
+    current = await StudentTestAttempt.findOne({ _id: attempt._id, ...FINISHED })
+      .populate("student", "firstName lastName studentID section")
+      .lean();
+    if (!current) return null;
+  }
+  console.warn(`⚠️ Attempt ${attempt._id} kept changing during the regrade; left as it was`);
+  return null;
+}
+
+/**
+ * 🧩 Check every copy of the corrected questions that finished attempts were
+ * graded on (pinned versions and drawn bank copies) still has the corrected
+ * layout, before anything is written. With `loadBankKeys` the bank questions
+ * drawn into those attempts are added to `keys` on the way.
+ * Returns `[{ questionId, version }]` (version null for a drawn copy).
+ */
+async function findLayoutConflicts(test, keys, { loadBankKeys, pinnedFor }) {
+  const conflicts = new Map();
+  const checkedVersions = new Set();
+  const check = (copy, version) => {
+    const id = copy._id.toString();
+    const corrected = keys.get(id);
+    if (corrected && layoutOf(corrected) !== layoutOf(copy)) {
+      conflicts.set(`${id}:${version}`, { questionId: id, version });
+    }
+  };
+
+  let batch = [];
+  const flush = async () => {
+    if (loadBankKeys) {
+      const missing = [...new Set(batch.flatMap(a => (a.drawnQuestions || []).map(q => q._id.toString())))]
+        .filter(id => !keys.has(id));
+      if (missing.length) {
+        const bankQuestions = await Question.find({ _id: { $in: missing } }).lean();
+        for (const question of bankQuestions) keys.set(question._id.toString(), question);
+      }
+    }
+
+    for (const attempt of batch) {
+      const pinned = await pinnedFor(attempt);
+      const versionKey = String(attempt.testVersion || "live");
+      if (!checkedVersions.has(versionKey)) {
+        checkedVersions.add(versionKey);
+        for (const copy of pinned?.questions || []) check(copy, pinned.version ?? null);
+      }
+      for (const copy of attempt.drawnQuestions || []) check(copy, null);
+    }
+    batch = [];
+  };
+
+  const cursor = StudentTestAttempt.find({ test: test._id, ...FINISHED })
+    .select("testVersion drawnQuestions")
+    .lean()
+    .cursor({ batchSize: REGRADE_BATCH_SIZE });
+  for await (const attempt of cursor) {
+    batch.push(attempt);
+    if (batch.length >= REGRADE_BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+
+  return [...conflicts.values()];
+}
+
+/**
+ * 🔁 Regrade every finished attempt at `test` (a Test document), optionally
+ * only `questionIds`. With `preview` nothing is written; otherwise attempts are
+ * read in batches of REGRADE_BATCH_SIZE, each written with a guarded update,
+ * and a RegradeLog is saved.
+ * Returns `{ attemptsChecked, changes, log }` or `{ error: { status, body } }`
+ * (404 for an unknown question, 409 KEY_LAYOUT_CHANGED when a correction no
+ * longer fits the copies attempts were taken on).
+ */
+export async function regradeTest(test, { questionIds = [], preview = false, admin, reason = "" } = {}) {
+  const selected = new Set(questionIds.map(String));
+  const keys = new Map(
+    test.questions
+      .filter(q => !selected.size || selected.has(q._id.toString()))
+      .map(q => [q._id.toString(), typeof q.toObject === "function" ? q.toObject() : q])
+  );
+
+  // Selected ids the test doesn't hold itself must be bank questions
+  const bankIds = [...selected].filter(id => !keys.has(id));
+  if (bankIds.length) {
+    const bankQuestions = await Question.find({ _id: { $in: bankIds } }).lean();
+    for (const question of bankQuestions) keys.set(question._id.toString(), question);
+    const unknown = bankIds.filter(id => !keys.has(id));
+    if (unknown.length) {
+      return {
+        error: {
+          status: 404,
+          body: { code: "QUESTION_NOT_FOUND", message: "Some questions are not on this test or in the bank", questionIds: unknown },
+        },
+      };
+    }
+  }
+
+  const pinnedTests = new Map();
+  const pinnedFor = async (attempt) => {
+    const versionKey = String(attempt.testVersion || "live");
+    if (!pinnedTests.has(versionKey)) pinnedTests.set(versionKey, await loadTestForAttempt(attempt, test));
+    return pinnedTests.get(versionKey);
+  };
+
+  const conflicts = await findLayoutConflicts(test, keys, { loadBankKeys: !selected.size, pinnedFor });
+  if (conflicts.length) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          code: "KEY_LAYOUT_CHANGED",
+          message: "The corrected questions no longer have the choices, items or pairs these attempts were taken with",
+          conflicts,
+        },
+      },
+    };
+  }
+
+  const startedAt = new Date();
+  const changes = [];
+  let attemptsChecked = 0;
+  let batch = [];
+
+  const flush = async () => {
+    for (const attempt of batch) {
+      const change = preview
+        ? regradeAttempt(attempt, keys, await pinnedFor(attempt))?.change
+        : await saveRegrade(attempt, keys, pinnedFor);
+      if (change) changes.push({ ...change, studentInfo: attempt.student });
+    }
+
+    attemptsChecked += batch.length;
+    batch = [];
+  };
+
+  const cursor = StudentTestAttempt.find({ test: test._id, ...FINISHED })
+    .populate("student", "firstName lastName studentID section")
+    .lean()
+    .cursor({ batchSize: REGRADE_BATCH_SIZE });
+  for await (const attempt of cursor) {
+    batch.push(attempt);
+    if (batch.length >= REGRADE_BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+
+  const passStatusChanged = changes.filter(c => c.oldPassed !== c.newPassed).length;
+  let log = null;
+  if (!preview) {
+    log = await RegradeLog.create({
+      test: test._id,
+      questionIds: [...selected],
+      reason,
+      requestedBy: admin._id,
+      attemptsChecked,
+      attemptsChanged: changes.length,
+      passStatusChanged,
+      changes: changes.map(({ studentInfo: _, ...change }) => change),
+      startedAt,
+      finishedAt: new Date(),
+    });
+    console.log(`🔁 Regraded test ${test._id}: ${changes.length} of ${attemptsChecked} attempt(s) changed, ${passStatusChanged} pass/fail flip(s)`);
+  }
+
+  return { attemptsChecked, changes, passStatusChanged, log };
+}
@@ -0,0 +1,44 @@
+import { ATTEMPT_GRACE_MS } from "./attemptSessions.js";
+
+// What a student may see of a finished attempt, per the test's reviewPolicy:
+//   "immediate"        → everything: correct answers, correctness and feedback
+//   "correctness-only" → which answers were right and the points for each
+//   "score-only"       → their score and their own answers
+//   "after-deadline"   → score only until the deadline (plus the submission
+//                        grace), everything after it
+//   "never"            → their score; no question-by-question review at all
+// Holding answers back stops them being passed around while classmates are
+// still taking the test. Offline upload windows close by that same moment
+// (see offlineAttempts.js), so no late bundle can arrive after the reveal.
+
+export const REVIEW_POLICIES = ["immediate", "correctness-only", "score-only", "after-deadline", "never"];
+
+// Review levels, least to most revealing
+export const REVIEW_LEVELS = ["none", "score", "correctness", "answers"];
+
+/**
+ * 👀 How much of an attempt a student may review: a REVIEW_LEVELS entry.
+ * Open attempts never reveal anything beyond the score.
+ */
+export function getReviewLevel(test, attempt, now = new Date()) {
+  if (!attempt || attempt.status === "in-progress") return "score";
+
+  switch (REVIEW_POLICIES.includes(test?.reviewPolicy) ? test.reviewPolicy : "immediate") {
+    case "correctness-only":
+      return "correctness";
+    case "score-only":
+      return "score";
+    case "after-deadline":
+      return test.deadline && now.getTime() > new Date(test.deadline).getTime() + ATTEMPT_GRACE_MS ? "answers" : "score";
+    case "never":
+      return "none";
+    default:
+      return "answers";
+  }
+}
+
+/**
+ * Whether `level` shows at least as much as `required`.
+ */
+export const reviewAllows = (level, required) =>
+  REVIEW_LEVELS.indexOf(level) >= REVIEW_LEVELS.indexOf(required);
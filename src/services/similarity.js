@@ -0,0 +1,186 @@
+import StudentTestAttempt from "../models/StudentTestAttempt.js";
+import { isBlank, normalizeText } from "../grading/normalize.js";
+
+// Collusion screening across a test's submissions. Each student's latest
+// finished attempt is compared with every other student's on
+//   - essays: Jaccard similarity of their word shingles (runs of 3 words)
+//   - objective questions (identification included): identical wrong answers,
+//     weighted by rarity, since a mistake half the class made says little
+// A pair needs one of those to be listed at all; submitting close together and
+// sitting in the same section then raise its score. Nothing here proves
+// anything - it points instructors at answers worth reading side by side.
+
+export const SIMILARITY_DEFAULTS = {
+  shingleSize: 3,
+  minEssayWords: 8,        // shorter essays are alike by accident
+  essayThreshold: 0.5,     // Jaccard from which an essay pair counts
+  minSharedWrong: 2,       // identical wrong answers needed to count
+  proximitySeconds: 300,   // "submitted close together"
+  proximityBoost: 0.2,
+  sectionBoost: 0.1,
+  minScore: 0.3,
+  limit: 50,
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const tokenize = (text) =>
+  normalizeText(text).normalize("NFD").replace(/\p{M}/gu, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ").split(/\s+/).filter(Boolean);
+
+/**
+ * Word shingles of an essay answer, or null when it is too short to compare.
+ */
+export function shingle(text, { shingleSize, minEssayWords } = SIMILARITY_DEFAULTS) {
+  const words = tokenize(typeof text === "string" ? text : "");
+  if (words.length < minEssayWords) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + shingleSize <= words.length; i++) shingles.add(words.slice(i, i + shingleSize).join(" "));
+  return shingles;
+}
+
+/**
+ * |A ∩ B| / |A ∪ B| of two sets.
+ */
+export function jaccard(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const item of small) if (large.has(item)) shared += 1;
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 0;
+}
+
+// Graded answers compare as-is; typed text ignores case and spacing
+const answerKey = (value) => {
+  const clean = (v) => (typeof v === "string" ? normalizeText(v).replace(/\s+/g, " ") : v);
+  return JSON.stringify(Array.isArray(value) ? value.map(clean) : clean(value));
+};
+
+// What a pair comparison needs from one attempt
+function profileAttempt(attempt, options) {
+  const essays = new Map();
+  const wrong = new Map();
+  for (const result of attempt.questionResults || []) {
+    const questionId = result.questionId.toString();
+    if (result.questionType === "essay") {
+      const shingles = shingle(result.studentAnswer, options);
+      if (shingles) essays.set(questionId, shingles);
+    } else if (result.isCorrect !== true && !isBlank(result.studentAnswer)) {
+      wrong.set(questionId, {
+        key: answerKey(result.studentAnswer),
+        answer: result.displayStudentAnswer || String(result.studentAnswer),
+      });
+    }
+  }
+
+  const { student } = attempt;
+  return {
+    student: { _id: student._id, firstName: student.firstName, lastName: student.lastName, studentID: student.studentID, section: student.section },
+    attemptId: attempt._id,
+    attemptNumber: attempt.attemptNumber || 1,
+    submittedAt: attempt.submittedAt,
+    essays,
+    wrong,
+  };
+}
+
+function comparePair(a, b, context, options) {
+  const essays = [];
+  for (const [questionId, shingles] of a.essays) {
+    const other = b.essays.get(questionId);
+    if (!other) continue;
+    const similarity = jaccard(shingles, other);
+    if (similarity >= options.essayThreshold) {
+      essays.push({ questionId, questionText: context.questionText.get(questionId), similarity: round(similarity) });
+    }
+  }
+
+  const sharedWrongAnswers = [];
+  for (const [questionId, { key, answer }] of a.wrong) {
+    if (b.wrong.get(questionId)?.key !== key) continue;
+    const sharedBy = context.wrongCounts.get(`${questionId}:${key}`);
+    sharedWrongAnswers.push({ questionId, questionText: context.questionText.get(questionId), answer, sharedBy });
+  }
+
+  const essayScore = Math.max(0, ...essays.map(e => e.similarity));
+  // Rarity-weighted share of the wrong answers the pair could have had in common
+  const wrongScore = sharedWrongAnswers.length >= options.minSharedWrong
+    ? sharedWrongAnswers.reduce((sum, s) => sum + 1 / (s.sharedBy - 1), 0) / Math.min(a.wrong.size, b.wrong.size)
+    : 0;
+  const content = 1 - (1 - essayScore) * (1 - wrongScore);
+  if (content === 0) return null;
+
+  const submittedApartSeconds = a.submittedAt && b.submittedAt
+    ? Math.round(Math.abs(new Date(a.submittedAt) - new Date(b.submittedAt)) / 1000)
+    : null;
+  const submittedClose = submittedApartSeconds !== null && submittedApartSeconds <= options.proximitySeconds;
+  const sameSection = Boolean(a.student.section) && a.student.section === b.student.section;
+  const boost = 1 + (submittedClose ? options.proximityBoost : 0) + (sameSection ? options.sectionBoost : 0);
+
+  return {
+    score: round(content * boost),
+    students: [a, b].map(({ student, attemptId, attemptNumber, submittedAt }) => ({ ...student, attemptId, attemptNumber, submittedAt })),
+    evidence: {
+      essays,
+      sharedWrongAnswers,
+      essayScore: round(essayScore),
+      wrongAnswerScore: round(wrongScore),
+      submittedApartSeconds,
+      submittedClose,
+      sameSection,
+    },
+  };
+}
+
+/**
+ * 🔎 Rank pairs of students whose answers on `test` look alike. Options
+ * override SIMILARITY_DEFAULTS. Returns `{ attemptsCompared, pairsCompared,
+ * pairs }`, most suspicious first.
+ */
+export async function findSimilarSubmissions(test, overrides = {}) {
+  const options = { ...SIMILARITY_DEFAULTS, ...overrides };
+
+  const attempts = await StudentTestAttempt.find({ test: test._id, status: { $ne: "in-progress" } })
+    .select("student attemptNumber submittedAt questionResults")
+    .populate("student", "firstName lastName studentID section")
+    .sort({ submittedAt: 1 })
+    .lean();
+
+  // Latest attempt per student (sorted oldest first, so later ones win)
+  const latest = new Map();
+  for (const attempt of attempts) {
+    if (attempt.student) latest.set(attempt.student._id.toString(), attempt);
+  }
+
+  const questionText = new Map();
+  for (const attempt of latest.values()) {
+    for (const result of attempt.questionResults || []) questionText.set(result.questionId.toString(), result.questionText);
+  }
+  const profiles = [...latest.values()].map(attempt => profileAttempt(attempt, options));
+
+  const wrongCounts = new Map();
+  for (const profile of profiles) {
+    for (const [questionId, { key }] of profile.wrong) {
+      const id = `${questionId}:${key}`;
+      wrongCounts.set(id, (wrongCounts.get(id) || 0) + 1);
+    }
+  }
+
+  const context = { questionText, wrongCounts };
+  const pairs = [];
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      const pair = comparePair(profiles[i], profiles[j], context, options);
+      if (pair && pair.score >= options.minScore) pairs.push(pair);
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score);
+
+  console.log(`🔎 Compared ${profiles.length} submission(s) on test ${test._id}: ${pairs.length} suspicious pair(s)`);
+  return {
+    attemptsCompared: profiles.length,
+    pairsCompared: (profiles.length * (profiles.length - 1)) / 2,
+    pairs: pairs.slice(0, options.limit),
+  };
+}
@@ -0,0 +1,98 @@
+import { getPrerequisiteError } from "./prerequisites.js";
+import { getTestStatus } from "./testVersions.js";
+
+// Rules for whether a student may see / take / submit a test.
+// Public tests are visible to every student; Private tests only to students
+// whose section or course is listed in assignedSections. Drafts are never
+// visible; archived tests stay visible (for results) but take no new attempts.
+
+const normalize = (value) => String(value || "").toLowerCase().trim();
+
+/**
+ * 👀 Is the test visible to this student at all?
+ */
+export function isTestVisibleToStudent(test, student) {
+  if (getTestStatus(test) === "draft") return false;
+  if (test.access === "Public") return true;
+
+  const assigned = (test.assignedSections || []).map(normalize).filter(Boolean);
+  if (assigned.length === 0) return false;
+
+  const studentGroups = [student.section, student.course]
+    .map(normalize)
+    .filter(Boolean);
+  return studentGroups.some(group => assigned.includes(group));
+}
+
+/**
+ * 🕒 Where the test sits in its availability window:
+ * "Upcoming" (not open yet), "Available" or "Overdue" (deadline passed).
+ */
+export function getAvailabilityStatus(test, now = new Date()) {
+  if (test.availableFrom && new Date(test.availableFrom) > now) return "Upcoming";
+  if (test.deadline && new Date(test.deadline) < now) return "Overdue";
+  return "Available";
+}
+
+/**
+ * 🚦 Check whether a student may take or submit a test right now:
+ * publication, assignment, availability window, then prerequisites.
+ * Returns null when allowed, otherwise `{ status, body }` ready for `res.status().json()`.
+ */
+export async function getTestAccessError(test, student, now = new Date()) {
+  const status = getTestStatus(test);
+  if (status === "draft") {
+    // Same answer as for a test that doesn't exist
+    return { status: 404, body: { success: false, message: "Test not found" } };
+  }
+
+  if (status === "archived") {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        code: "TEST_ARCHIVED",
+        message: "This test has been archived and no longer accepts attempts",
+      },
+    };
+  }
+
+  if (!isTestVisibleToStudent(test, student)) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        code: "TEST_NOT_ASSIGNED",
+        message: "This test is not assigned to your section or course",
+      },
+    };
+  }
+
+  const availability = getAvailabilityStatus(test, now);
+
+  if (availability === "Upcoming") {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        code: "TEST_NOT_OPEN",
+        message: "This test is not open yet",
+        availableFrom: test.availableFrom,
+      },
+    };
+  }
+
+  if (availability === "Overdue") {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        code: "DEADLINE_PASSED",
+        message: "The deadline for this test has passed",
+        deadline: test.deadline,
+      },
+    };
+  }
+
+  return getPrerequisiteError(test, student._id);
+}
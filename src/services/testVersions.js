@@ -0,0 +1,196 @@
+import TestVersion from "../models/TestVersion.js";
+
+// Tests move draft -> published -> archived. Publishing snapshots the test's
+// content into an immutable TestVersion; attempts are pinned to the version
+// they started on and are graded and reviewed from it, so later edits only
+// reach attempts started after the next publish.
+//
+// Versioned: the questions and anything that changes how they are graded.
+// Live on the Test: who may take it and when (availability, deadline, access,
+// attempt and review policies, sections, prerequisites).
+
+export const TEST_STATUSES = ["draft", "published", "archived"];
+
+export const VERSIONED_FIELDS = [
+  "title", "subjectCode", "description", "timeLimit", "howManyQuestions",
+  "passingPoints", "shuffleChoices", "questions", "bankQuestions", "drawRules",
+];
+
+// Tests from before versioning have no status and were always visible
+export const getTestStatus = (test) => test?.status || "published";
+
+const toPlain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc);
+
+// Plain JSON (ObjectIds and dates as strings), for comparing snapshots
+const toJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+function pickVersioned(test) {
+  const plain = toPlain(test);
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, plain[field]]));
+}
+
+export function findVersion(testId, version) {
+  return TestVersion.findOne({ test: testId, version }).lean();
+}
+
+export function findLatestVersion(testId) {
+  return TestVersion.findOne({ test: testId }).sort({ version: -1 }).lean();
+}
+
+/**
+ * True when the test's working copy differs from `version` (or there is none).
+ */
+export function hasUnpublishedChanges(test, version) {
+  if (!version) return true;
+  return diffVersions(version, pickVersioned(test)).changed;
+}
+
+/**
+ * 📌 Publish the test's current content. Reuses the latest version when the
+ * content hasn't changed since it (re-publishing an archived test), otherwise
+ * creates the next one. Saves the test. Returns `{ version, created }`.
+ */
+export async function publishTest(test, { admin, note = "" } = {}) {
+  let latest = await findLatestVersion(test._id);
+  let created = false;
+
+  if (hasUnpublishedChanges(test, latest)) {
+    try {
+      latest = (await TestVersion.create({
+        ...pickVersioned(test),
+        test: test._id,
+        version: (latest?.version || 0) + 1,
+        note,
+        publishedBy: admin?._id,
+        publishedAt: new Date(),
+      })).toObject();
+      created = true;
+    } catch (err) {
+      // Someone else published the same test at the same moment
+      if (err.code !== 11000) throw err;
+      latest = await findLatestVersion(test._id);
+    }
+  }
+
+  test.status = "published";
+  test.publishedVersion = latest.version;
+  test.publishedAt = latest.publishedAt;
+  await test.save();
+
+  if (created) console.log(`📌 Published test ${test._id} as version ${latest.version}`);
+  return { version: latest, created };
+}
+
+/**
+ * 📌 The version new attempts at `test` are pinned to. Published tests from
+ * before versioning get their version 1 here, from the live test, the first
+ * time a student starts one.
+ */
+export async function getPublishedVersion(test) {
+  const latest = await findLatestVersion(test._id);
+  if (latest || test.status) return latest;
+
+  try {
+    const created = await TestVersion.create({
+      ...pickVersioned(test),
+      test: test._id,
+      version: 1,
+      note: "Created from the test as it was when versioning started",
+      publishedAt: new Date(),
+    });
+    console.log(`📌 Created version 1 for legacy test ${test._id}`);
+    return created.toObject();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return findLatestVersion(test._id);
+  }
+}
+
+/**
+ * The test as an attempt pinned to `version` sees it: the version's content
+ * over the live test's policies. `test` may be null once the test is deleted.
+ */
+export function applyVersion(test, version) {
+  const live = toPlain(test) || { _id: version.test };
+  if (!version) return live;
+  return {
+    ...live,
+    ...pickVersioned(version),
+    version: version.version,
+    testVersion: version._id,
+  };
+}
+
+/**
+ * 📖 The test `attempt` is graded and reviewed against: its pinned version,
+ * or the live test for attempts from before versioning.
+ */
+export async function loadTestForAttempt(attempt, test) {
+  const versionId = attempt?.testVersion?._id || attempt?.testVersion;
+  if (!versionId) return toPlain(test);
+
+  const version = await TestVersion.findById(versionId).lean();
+  if (!version) {
+    console.warn(`⚠️ Attempt ${attempt._id} points at missing test version ${versionId}`);
+    return toPlain(test);
+  }
+  return applyVersion(test, version);
+}
+
+const describeQuestion = (question, index) => ({
+  questionId: question._id,
+  index,
+  type: question.type,
+  text: question.text,
+});
+
+/**
+ * 🔀 What changed between two snapshots (versions, or a test's working copy):
+ * settings that differ, and questions added, removed or changed, matched by _id.
+ */
+export function diffVersions(from, to) {
+  const settings = [];
+  for (const field of VERSIONED_FIELDS) {
+    if (field === "questions") continue;
+    const before = toJson(from[field]);
+    const after = toJson(to[field]);
+    if (JSON.stringify(before) !== JSON.stringify(after)) settings.push({ field, from: before, to: after });
+  }
+
+  const fromQuestions = toJson(from.questions) || [];
+  const toQuestions = toJson(to.questions) || [];
+  const fromById = new Map(fromQuestions.map((q, index) => [q._id, { question: q, index }]));
+  const toIds = new Set(toQuestions.map(q => q._id));
+
+  const added = [];
+  const changed = [];
+  toQuestions.forEach((question, index) => {
+    const previous = fromById.get(question._id);
+    if (!previous) return added.push(describeQuestion(question, index));
+
+    const fields = [...new Set([...Object.keys(previous.question), ...Object.keys(question)])]
+      .filter(field => field !== "_id")
+      .filter(field => JSON.stringify(previous.question[field] ?? null) !== JSON.stringify(question[field] ?? null));
+    if (fields.length) {
+      changed.push({
+        ...describeQuestion(question, index),
+        fields,
+        from: Object.fromEntries(fields.map(field => [field, previous.question[field] ?? null])),
+        to: Object.fromEntries(fields.map(field => [field, question[field] ?? null])),
+      });
+    }
+  });
+  const removed = fromQuestions
+    .map((question, index) => ({ question, index }))
+    .filter(({ question }) => !toIds.has(question._id))
+    .map(({ question, index }) => describeQuestion(question, index));
+
+  const kept = toQuestions.filter(q => fromById.has(q._id)).map(q => q._id);
+  const reordered = kept.join() !== fromQuestions.filter(q => toIds.has(q._id)).map(q => q._id).join();
+
+  return {
+    changed: settings.length + added.length + removed.length + changed.length > 0 || reordered,
+    settings,
+    questions: { added, removed, changed, reordered },
+  };
+}
@@ -0,0 +1,38 @@
+import storageConfig from "../config/storage.js";
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+
+// A storage backend is an object with:
+//   put(key, buffer, { contentType }) → store (overwrite) a file
+//   exists(key)                       → boolean
+//   get(key)                          → { stream, size, contentType? } or null
+//   remove(key)                       → delete; missing keys are not an error
+
+const BACKENDS = {
+  local: () => createLocalStorage(storageConfig.local),
+  s3: () => createS3Storage(storageConfig.s3),
+};
+
+let storage = null;
+
+/**
+ * 🗄️ The configured backend (STORAGE_DRIVER), created on first use.
+ */
+export function getStorage() {
+  if (!storage) {
+    const create = BACKENDS[storageConfig.driver];
+    if (!create) throw new Error(`Unknown STORAGE_DRIVER: ${storageConfig.driver}`);
+    storage = create();
+  }
+  return storage;
+}
+
+/**
+ * 🔌 Swap in another backend (a custom service, or an in-memory one for scripts).
+ */
+export function setStorage(backend) {
+  for (const method of ["put", "exists", "get", "remove"]) {
+    if (typeof backend?.[method] !== "function") throw new Error(`Storage backend is missing ${method}()`);
+  }
+  storage = backend;
+}
@@ -0,0 +1,61 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * 💾 Storage backend that keeps files on local disk under `root`.
+ * Keys are relative paths such as "QuestionFile/<sha256>.png".
+ */
+export function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+
+  // Never let a key climb out of the storage root
+  const resolveKey = (key) => {
+    const full = path.resolve(base, key);
+    if (!full.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const full = resolveKey(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      // Write then rename so a half-written file is never served
+      const temp = `${full}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+      await fs.writeFile(temp, buffer);
+      await fs.rename(temp, full);
+    },
+
+    async exists(key) {
+      try {
+        await fs.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async get(key) {
+      const full = resolveKey(key);
+      try {
+        const stat = await fs.stat(full);
+        if (!stat.isFile()) return null;
+        return { stream: createReadStream(full), size: stat.size };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+  };
+}
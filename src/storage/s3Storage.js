@@ -0,0 +1,59 @@
+/**
+ * ☁️ Storage backend for S3 and S3-compatible services (MinIO, R2, ...).
+ * The AWS SDK is only loaded when this backend is actually used.
+ */
+export function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+  let sdkPromise;
+  let client;
+
+  const load = async () => {
+    sdkPromise ||= import("@aws-sdk/client-s3");
+    const sdk = await sdkPromise;
+    client ||= new sdk.S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    });
+    return { sdk, client };
+  };
+
+  const isNotFound = (err) =>
+    err.name === "NotFound" || err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, { contentType } = {}) {
+      const { sdk, client } = await load();
+      await client.send(new sdk.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    async exists(key) {
+      const { sdk, client } = await load();
+      try {
+        await client.send(new sdk.HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+    },
+
+    async get(key) {
+      const { sdk, client } = await load();
+      try {
+        const object = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: object.Body, size: object.ContentLength, contentType: object.ContentType };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      const { sdk, client } = await load();
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
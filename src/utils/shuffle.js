@@ -0,0 +1,12 @@
+/**
+ * 🎲 Shuffle Array Function
+ * Randomly shuffles an array using Fisher-Yates algorithm (returns a copy)
+ */
+export function shuffleArray(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import jwtConfig from "../config/jwt.js";
+import RefreshToken from "../models/RefreshToken.js";
+import RevokedToken from "../models/RevokedToken.js";
+
+/**
+ * 🔐 Issue a fresh access/refresh token pair for an account.
+ * The refresh token is recorded so it can be rotated and revoked later.
+ */
+export async function issueTokens(account, role, { ip = "" } = {}) {
+  const accountId = account._id.toString();
+  const tokenVersion = account.tokenVersion || 0;
+
+  const accessToken = jwt.sign(
+    { role, tv: tokenVersion },
+    jwtConfig.accessSecret,
+    {
+      subject: accountId,
+      expiresIn: jwtConfig.accessTokenTtl,
+      jwtid: crypto.randomUUID(),
+      issuer: jwtConfig.issuer,
+    }
+  );
+
+  const refreshJti = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { role, tv: tokenVersion },
+    jwtConfig.refreshSecret,
+    {
+      subject: accountId,
+      expiresIn: jwtConfig.refreshTokenTtl,
+      jwtid: refreshJti,
+      issuer: jwtConfig.issuer,
+    }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+  await RefreshToken.create({
+    jti: refreshJti,
+    accountId: account._id,
+    role,
+    expiresAt: new Date(exp * 1000),
+    createdByIp: ip,
+  });
+
+  return { accessToken, refreshToken, tokenType: "Bearer", expiresIn: jwtConfig.accessTokenTtl };
+}
+
+/**
+ * 🎫 Sign an offline attempt ticket for a student, valid until `expiresAt`.
+ */
+export function signAttemptTicket(studentId, claims, expiresAt) {
+  return jwt.sign(
+    { ...claims, typ: "attempt-ticket" },
+    jwtConfig.ticketSecret,
+    {
+      subject: studentId.toString(),
+      expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)),
+      jwtid: crypto.randomUUID(),
+      issuer: jwtConfig.issuer,
+    }
+  );
+}
+
+export function verifyAttemptTicket(token) {
+  const payload = jwt.verify(token, jwtConfig.ticketSecret, { issuer: jwtConfig.issuer });
+  if (payload.typ !== "attempt-ticket") throw new jwt.JsonWebTokenError("not an attempt ticket");
+  return payload;
+}
+
+export function verifyAccessToken(token) {
+  return jwt.verify(token, jwtConfig.accessSecret, { issuer: jwtConfig.issuer });
+}
+
+export function verifyRefreshToken(token) {
+  return jwt.verify(token, jwtConfig.refreshSecret, { issuer: jwtConfig.issuer });
+}
+
+/**
+ * 🔁 Exchange a refresh token for a new pair (rotation).
+ * `loadAccount(payload)` resolves the account the token was issued to.
+ * Returns null when the token is invalid, expired, revoked or reused.
+ */
+export async function rotateRefreshToken(token, loadAccount, { ip = "" } = {}) {
+  let payload;
+  try {
+    payload = verifyRefreshToken(token);
+  } catch {
+    return null;
+  }
+
+  const stored = await RefreshToken.findOne({ jti: payload.jti }).lean();
+  if (!stored) return null;
+
+  // A rotated-out token came back: treat the family as compromised
+  const reuseDetected = async () => {
+    console.warn(`⚠️ Refresh token reuse detected for account ${stored.accountId}`);
+    await revokeAllRefreshTokens(stored.accountId);
+    return null;
+  };
+  if (stored.revokedAt) return reuseDetected();
+
+  const account = await loadAccount(payload);
+  if (!account || (account.tokenVersion || 0) !== payload.tv) return null;
+
+  // Claim the token atomically: of two refreshes racing with it, only one wins
+  const claimed = await RefreshToken.updateOne(
+    { jti: payload.jti, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (claimed.modifiedCount === 0) return reuseDetected();
+
+  const tokens = await issueTokens(account, payload.role, { ip });
+  await RefreshToken.updateOne({ jti: payload.jti }, { $set: { replacedBy: jwt.decode(tokens.refreshToken).jti } });
+
+  return { account, role: payload.role, tokens };
+}
+
+/**
+ * 🚪 Revoke a single refresh token (logout from one device).
+ * Silently ignores tokens that are malformed or already gone.
+ */
+export async function revokeRefreshToken(token, accountId) {
+  let payload;
+  try {
+    payload = verifyRefreshToken(token);
+  } catch {
+    return false;
+  }
+  if (accountId && payload.sub !== accountId.toString()) return false;
+
+  const result = await RefreshToken.updateOne(
+    { jti: payload.jti, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+export async function revokeAllRefreshTokens(accountId) {
+  await RefreshToken.updateMany(
+    { accountId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+/**
+ * ⛔ Put a verified access token on the denylist until it would expire anyway.
+ */
+export async function revokeAccessToken(payload) {
+  if (!payload?.jti || !payload?.exp) return;
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { jti: payload.jti, expiresAt: new Date(payload.exp * 1000) },
+    { upsert: true }
+  );
+}
+
+export async function isAccessTokenRevoked(jti) {
+  return !!(await RevokedToken.exists({ jti }));
+}
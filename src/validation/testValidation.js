@@ -0,0 +1,454 @@
+import mongoose from "mongoose";
+import { SCORING_POLICIES } from "../services/attemptPolicy.js";
+import { REVIEW_POLICIES } from "../services/reviewPolicy.js";
+import { resolveChoiceIndex } from "../grading/normalize.js";
+import { SCORING_MODES } from "../grading/scoring.js";
+import { parseRegexAnswer } from "../grading/matching.js";
+import { DIFFICULTIES } from "../services/questionBank.js";
+import { PROCTORING_EVENT_TYPES } from "../services/proctoring.js";
+
+export const QUESTION_TYPES = [
+  "multiple", "truefalse", "enumeration", "identification", "essay",
+  "matching", "ordering", "cloze", "numeric",
+];
+export const ACCESS_LEVELS = ["Private", "Public"];
+
+// Fields an instructor may set on a test (everything else is server-managed)
+const TEST_FIELDS = [
+  "title", "subjectCode", "description", "timeLimit", "availableFrom", "deadline", "access",
+  "howManyQuestions", "passingPoints", "shuffleChoices", "maxAttempts", "cooldownMinutes", "scoringPolicy",
+  "reviewPolicy", "proctoring", "assignedSections", "prerequisites", "questions", "bankQuestions", "drawRules",
+];
+
+const QUESTION_FIELDS = [
+  "text", "type", "points", "choices", "shuffleChoices", "scoringMode", "correctAnswer", "answer", "answers",
+  "matching", "pairs", "items", "blanks", "tolerance", "partialTolerance", "partialCredit", "unit",
+  "files", "feedbackWhenCorrect", "feedbackWhenIncorrect",
+];
+
+// Extra fields a question bank entry is filed under
+const BANK_FIELDS = ["subjectCode", "topic", "difficulty", "tags"];
+const DRAW_RULE_FIELDS = ["subjectCode", "topic", "difficulty", "tags", "count", "points"];
+
+// Cloze blanks are marked {{1}}, {{2}}, ... in the question text
+const CLOZE_MARKER = /\{\{\s*(\d+)\s*\}\}/g;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+const pick = (source, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+};
+
+function validateMatching(matching, label, errors) {
+  if (matching === undefined || matching === null) return;
+  if (typeof matching !== "object" || Array.isArray(matching)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  for (const flag of ["ignorePunctuation", "ignoreArticles", "foldAccents"]) {
+    if (matching[flag] !== undefined && typeof matching[flag] !== "boolean") {
+      errors.push(`${label}.${flag} must be true or false`);
+    }
+  }
+  if (matching.maxEditDistance !== undefined && (!Number.isInteger(matching.maxEditDistance) || matching.maxEditDistance < 0)) {
+    errors.push(`${label}.maxEditDistance must be a non-negative integer`);
+  }
+  if (matching.numericTolerance !== undefined && matching.numericTolerance !== null
+    && (typeof matching.numericTolerance !== "number" || matching.numericTolerance < 0)) {
+    errors.push(`${label}.numericTolerance must be a non-negative number`);
+  }
+  if (matching.units !== undefined && (!Array.isArray(matching.units) || !matching.units.every(isNonEmptyString))) {
+    errors.push(`${label}.units must be an array of strings`);
+  }
+}
+
+function validateFeedback(feedback, label, errors) {
+  if (feedback === undefined || feedback === null) return;
+  if (typeof feedback !== "object" || Array.isArray(feedback)) {
+    errors.push(`${label} must be an object with text/file`);
+    return;
+  }
+  if (feedback.text !== undefined && typeof feedback.text !== "string") errors.push(`${label}.text must be a string`);
+  if (feedback.file !== undefined && typeof feedback.file !== "string") errors.push(`${label}.file must be a string`);
+}
+
+/**
+ * ✅ Validate a question against the questionSchema rules.
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validateQuestion(question, label = "question") {
+  const errors = [];
+
+  if (!question || typeof question !== "object" || Array.isArray(question)) {
+    return [`${label} must be an object`];
+  }
+
+  if (!isNonEmptyString(question.text)) errors.push(`${label}.text is required`);
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    errors.push(`${label}.type must be one of: ${QUESTION_TYPES.join(", ")}`);
+    return errors;
+  }
+
+  if (question.points !== undefined && (typeof question.points !== "number" || question.points < 0)) {
+    errors.push(`${label}.points must be a non-negative number`);
+  }
+
+  if (question.shuffleChoices !== undefined && question.shuffleChoices !== null && typeof question.shuffleChoices !== "boolean") {
+    errors.push(`${label}.shuffleChoices must be true or false`);
+  }
+
+  if (question.scoringMode !== undefined && !SCORING_MODES.includes(question.scoringMode)) {
+    errors.push(`${label}.scoringMode must be one of: ${SCORING_MODES.join(", ")}`);
+  }
+
+  for (const field of ["choices", "answers", "items", "files"]) {
+    if (question[field] !== undefined && (!Array.isArray(question[field]) || !question[field].every(v => typeof v === "string"))) {
+      errors.push(`${label}.${field} must be an array of strings`);
+    }
+  }
+  if (errors.length) return errors;
+
+  const { correctAnswer } = question;
+  const hasAnswers = Array.isArray(question.answers) && question.answers.some(isNonEmptyString);
+
+  switch (question.type) {
+    case "multiple": {
+      const choices = question.choices || [];
+      if (choices.length < 2 || !choices.every(isNonEmptyString)) {
+        errors.push(`${label}.choices needs at least two non-empty options for multiple choice`);
+        break;
+      }
+      const keys = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+      if (correctAnswer === undefined || correctAnswer === null || keys.length === 0) {
+        errors.push(`${label}.correctAnswer is required for multiple choice`);
+      } else if (keys.some(key => resolveChoiceIndex(key, choices) === -1)) {
+        errors.push(`${label}.correctAnswer must be a choice index, letter or choice text (or an array of them)`);
+      } else if (question.scoringMode && question.scoringMode !== "all-or-nothing"
+        && new Set(keys.map(key => resolveChoiceIndex(key, choices))).size < 2) {
+        errors.push(`${label}.scoringMode ${question.scoringMode} needs more than one correct answer`);
+      }
+      break;
+    }
+
+    case "truefalse": {
+      const valid = typeof correctAnswer === "boolean"
+        || correctAnswer === 0 || correctAnswer === 1
+        || (typeof correctAnswer === "string" && ["true", "false"].includes(correctAnswer.toLowerCase().trim()));
+      if (!valid) errors.push(`${label}.correctAnswer must be true or false`);
+      break;
+    }
+
+    case "enumeration": {
+      const keyIsList = Array.isArray(correctAnswer) && correctAnswer.length > 0 && correctAnswer.every(isNonEmptyString);
+      if (!hasAnswers && !keyIsList) {
+        errors.push(`${label}.answers must list the expected items for enumeration`);
+      }
+      validateMatching(question.matching, `${label}.matching`, errors);
+      break;
+    }
+
+    case "identification": {
+      if (!hasAnswers && !isNonEmptyString(correctAnswer) && !isNonEmptyString(question.answer)) {
+        errors.push(`${label}.answers (or correctAnswer) is required for identification`);
+      }
+      if (correctAnswer !== undefined && correctAnswer !== null && typeof correctAnswer !== "string") {
+        errors.push(`${label}.correctAnswer must be a string for identification`);
+      }
+      validateMatching(question.matching, `${label}.matching`, errors);
+      break;
+    }
+
+    case "essay":
+      // Essays are graded by hand; no key required
+      break;
+
+    case "matching": {
+      const pairs = question.pairs;
+      if (!Array.isArray(pairs) || pairs.length < 2) {
+        errors.push(`${label}.pairs needs at least two { prompt, match } pairs for matching`);
+      } else if (!pairs.every(pair => pair && isNonEmptyString(pair.prompt) && isNonEmptyString(pair.match))) {
+        errors.push(`${label}.pairs entries need a non-empty prompt and match`);
+      }
+      break;
+    }
+
+    case "ordering": {
+      const items = question.items || [];
+      if (items.length < 2 || !items.every(isNonEmptyString)) {
+        errors.push(`${label}.items needs at least two non-empty items for ordering`);
+      } else if (new Set(items.map(item => item.toLowerCase().trim())).size !== items.length) {
+        errors.push(`${label}.items must not repeat`);
+      }
+      break;
+    }
+
+    case "cloze": {
+      const blanks = question.blanks;
+      if (!Array.isArray(blanks) || blanks.length === 0) {
+        errors.push(`${label}.blanks must list the accepted answers for each blank`);
+        break;
+      }
+      blanks.forEach((blank, index) => {
+        const answers = blank?.answers;
+        if (!Array.isArray(answers) || !answers.some(isNonEmptyString) || !answers.every(a => typeof a === "string")) {
+          errors.push(`${label}.blanks[${index}].answers must be a non-empty array of strings`);
+          return;
+        }
+        for (const accepted of answers) {
+          try {
+            parseRegexAnswer(accepted);
+          } catch {
+            errors.push(`${label}.blanks[${index}].answers has an invalid regular expression: ${accepted}`);
+          }
+        }
+      });
+      if (typeof question.text === "string") {
+        const markers = new Set([...question.text.matchAll(CLOZE_MARKER)].map(match => Number(match[1])));
+        const expected = blanks.map((_, index) => index + 1);
+        if (markers.size !== blanks.length || !expected.every(n => markers.has(n))) {
+          errors.push(`${label}.text must mark each blank once as {{1}} to {{${blanks.length}}}`);
+        }
+      }
+      validateMatching(question.matching, `${label}.matching`, errors);
+      break;
+    }
+
+    case "numeric": {
+      if (typeof correctAnswer !== "number" || !Number.isFinite(correctAnswer)) {
+        errors.push(`${label}.correctAnswer must be a number for numeric questions`);
+      }
+      for (const field of ["tolerance", "partialTolerance"]) {
+        if (question[field] !== undefined && question[field] !== null
+          && (typeof question[field] !== "number" || question[field] < 0)) {
+          errors.push(`${label}.${field} must be a non-negative number`);
+        }
+      }
+      if (typeof question.partialTolerance === "number" && question.partialTolerance < (question.tolerance || 0)) {
+        errors.push(`${label}.partialTolerance must not be smaller than tolerance`);
+      }
+      if (question.partialCredit !== undefined && question.partialCredit !== null
+        && (typeof question.partialCredit !== "number" || question.partialCredit < 0 || question.partialCredit > 1)) {
+        errors.push(`${label}.partialCredit must be between 0 and 1`);
+      }
+      if (question.unit !== undefined && question.unit !== null && typeof question.unit !== "string") {
+        errors.push(`${label}.unit must be a string`);
+      }
+      break;
+    }
+  }
+
+  for (const accepted of question.answers || []) {
+    try {
+      parseRegexAnswer(accepted);
+    } catch {
+      errors.push(`${label}.answers has an invalid regular expression: ${accepted}`);
+    }
+  }
+
+  validateFeedback(question.feedbackWhenCorrect, `${label}.feedbackWhenCorrect`, errors);
+  validateFeedback(question.feedbackWhenIncorrect, `${label}.feedbackWhenIncorrect`, errors);
+
+  return errors;
+}
+
+/**
+ * ✅ Validate a test payload.
+ * With `partial: true` (PATCH) only the fields present are checked.
+ */
+export function validateTest(data, { partial = false } = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["Request body must be a test object"];
+  }
+
+  const present = (field) => data[field] !== undefined;
+
+  if (!partial || present("title")) {
+    if (!isNonEmptyString(data.title)) errors.push("title is required");
+  }
+  if (!partial || present("subjectCode")) {
+    if (!isNonEmptyString(data.subjectCode)) errors.push("subjectCode is required");
+  }
+  if (present("description") && typeof data.description !== "string") {
+    errors.push("description must be a string");
+  }
+  if (present("timeLimit") && data.timeLimit !== null && (typeof data.timeLimit !== "number" || data.timeLimit <= 0)) {
+    errors.push("timeLimit must be a positive number of minutes");
+  }
+  for (const field of ["availableFrom", "deadline"]) {
+    if (present(field) && data[field] !== null && Number.isNaN(new Date(data[field]).getTime())) {
+      errors.push(`${field} must be a valid date`);
+    }
+  }
+  if (data.availableFrom && data.deadline && new Date(data.availableFrom) >= new Date(data.deadline)) {
+    errors.push("availableFrom must be before deadline");
+  }
+  if (present("access") && !ACCESS_LEVELS.includes(data.access)) {
+    errors.push(`access must be one of: ${ACCESS_LEVELS.join(", ")}`);
+  }
+  if (present("howManyQuestions") && (!Number.isInteger(data.howManyQuestions) || data.howManyQuestions < 0)) {
+    errors.push("howManyQuestions must be a non-negative integer");
+  }
+  if (present("passingPoints") && (typeof data.passingPoints !== "number" || data.passingPoints < 0)) {
+    errors.push("passingPoints must be a non-negative number");
+  }
+  if (present("shuffleChoices") && typeof data.shuffleChoices !== "boolean") {
+    errors.push("shuffleChoices must be true or false");
+  }
+  if (present("maxAttempts") && (!Number.isInteger(data.maxAttempts) || data.maxAttempts < 0)) {
+    errors.push("maxAttempts must be a non-negative integer (0 = unlimited)");
+  }
+  if (present("cooldownMinutes") && (typeof data.cooldownMinutes !== "number" || data.cooldownMinutes < 0)) {
+    errors.push("cooldownMinutes must be a non-negative number");
+  }
+  if (present("scoringPolicy") && !SCORING_POLICIES.includes(data.scoringPolicy)) {
+    errors.push(`scoringPolicy must be one of: ${SCORING_POLICIES.join(", ")}`);
+  }
+  if (present("reviewPolicy") && !REVIEW_POLICIES.includes(data.reviewPolicy)) {
+    errors.push(`reviewPolicy must be one of: ${REVIEW_POLICIES.join(", ")}`);
+  }
+  if (!partial && data.reviewPolicy === "after-deadline" && !data.deadline) {
+    errors.push("reviewPolicy after-deadline needs a deadline");
+  }
+  for (const field of ["assignedSections", "prerequisites"]) {
+    if (present(field) && (!Array.isArray(data[field]) || !data[field].every(v => typeof v === "string"))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+
+  if (present("bankQuestions")
+    && (!Array.isArray(data.bankQuestions) || !data.bankQuestions.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    errors.push("bankQuestions must be an array of question ids");
+  }
+  if (present("drawRules")) {
+    if (!Array.isArray(data.drawRules)) {
+      errors.push("drawRules must be an array");
+    } else {
+      data.drawRules.forEach((rule, index) => errors.push(...validateDrawRule(rule, `drawRules[${index}]`)));
+    }
+  }
+
+  if (present("proctoring")) errors.push(...validateProctoring(data.proctoring));
+
+  if (!partial || present("questions")) {
+    if (!Array.isArray(data.questions)) {
+      errors.push("questions must be an array");
+    } else {
+      data.questions.forEach((question, index) => {
+        errors.push(...validateQuestion(question, `questions[${index}]`));
+      });
+      if (Number.isInteger(data.howManyQuestions) && data.howManyQuestions > data.questions.length) {
+        errors.push("howManyQuestions cannot exceed the number of questions");
+      }
+    }
+  }
+
+  return errors;
+}
+
+function validateProctoring(proctoring) {
+  if (proctoring === null) return [];
+  if (typeof proctoring !== "object" || Array.isArray(proctoring)) return ["proctoring must be an object"];
+
+  const errors = [];
+  if (proctoring.autoSubmitAfter !== undefined && (!Number.isInteger(proctoring.autoSubmitAfter) || proctoring.autoSubmitAfter < 0)) {
+    errors.push("proctoring.autoSubmitAfter must be a non-negative integer (0 = never)");
+  }
+  if (proctoring.longAbsenceSeconds !== undefined
+    && (typeof proctoring.longAbsenceSeconds !== "number" || proctoring.longAbsenceSeconds <= 0)) {
+    errors.push("proctoring.longAbsenceSeconds must be a positive number");
+  }
+  if (proctoring.weights !== undefined) {
+    if (!proctoring.weights || typeof proctoring.weights !== "object" || Array.isArray(proctoring.weights)) {
+      errors.push("proctoring.weights must be an object");
+    } else {
+      for (const [type, weight] of Object.entries(proctoring.weights)) {
+        if (!PROCTORING_EVENT_TYPES.includes(type)) {
+          errors.push(`proctoring.weights.${type} is not an event type (${PROCTORING_EVENT_TYPES.join(", ")})`);
+        } else if (typeof weight !== "number" || weight < 0) {
+          errors.push(`proctoring.weights.${type} must be a non-negative number`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function validateDrawRule(rule, label) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) return [`${label} must be an object`];
+
+  const errors = [];
+  if (!Number.isInteger(rule.count) || rule.count < 1) errors.push(`${label}.count must be a positive integer`);
+  for (const field of ["subjectCode", "topic"]) {
+    if (rule[field] !== undefined && typeof rule[field] !== "string") errors.push(`${label}.${field} must be a string`);
+  }
+  if (rule.difficulty !== undefined && !DIFFICULTIES.includes(rule.difficulty)) {
+    errors.push(`${label}.difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+  if (rule.tags !== undefined && (!Array.isArray(rule.tags) || !rule.tags.every(isNonEmptyString))) {
+    errors.push(`${label}.tags must be an array of strings`);
+  }
+  if (rule.points !== undefined && (typeof rule.points !== "number" || rule.points < 0)) {
+    errors.push(`${label}.points must be a non-negative number`);
+  }
+  return errors;
+}
+
+/**
+ * ✅ Validate a question bank entry: a question plus the fields it is filed under.
+ */
+export function validateBankQuestion(question) {
+  const errors = validateQuestion(question);
+  if (!question || typeof question !== "object" || Array.isArray(question)) return errors;
+
+  if (!isNonEmptyString(question.subjectCode)) errors.push("question.subjectCode is required");
+  if (question.topic !== undefined && typeof question.topic !== "string") {
+    errors.push("question.topic must be a string");
+  }
+  if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`question.difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+  if (question.tags !== undefined && (!Array.isArray(question.tags) || !question.tags.every(isNonEmptyString))) {
+    errors.push("question.tags must be an array of strings");
+  }
+  return errors;
+}
+
+/**
+ * Keep only instructor-editable test fields (and question fields inside `questions`).
+ */
+export function pickTestFields(data) {
+  const picked = pick(data, TEST_FIELDS);
+  if (Array.isArray(picked.questions)) {
+    picked.questions = picked.questions.map(pickQuestionFields);
+  }
+  if (Array.isArray(picked.drawRules)) {
+    picked.drawRules = picked.drawRules.map(rule => (rule && typeof rule === "object" ? pick(rule, DRAW_RULE_FIELDS) : rule));
+  }
+  return picked;
+}
+
+/**
+ * Keep only editable fields of a question bank entry.
+ */
+export function pickBankQuestionFields(question) {
+  return { ...pick(question || {}, QUESTION_FIELDS), ...pick(question || {}, BANK_FIELDS) };
+}
+
+/**
+ * Keep only editable question fields, preserving a valid `_id` so edits keep
+ * the identity that StudentTestAttempt.questionResults point at.
+ */
+export function pickQuestionFields(question) {
+  const picked = pick(question || {}, QUESTION_FIELDS);
+  if (question?._id && mongoose.Types.ObjectId.isValid(question._id)) {
+    picked._id = question._id;
+  }
+  return picked;
+}